@@ -0,0 +1,904 @@
+/**
+ * API-SCHEMAS.JS - Contrato da API HTTP
+ *
+ * Declara, para cada rota do servidor, os JSON Schemas da entrada
+ * (params, query, headers e body) e as respostas documentadas. É a fonte
+ * única usada por:
+ * - RequestValidator: valida as requisições e responde 400 estruturado
+ * - openapi.js: gera o documento OpenAPI 3 servido em GET /openapi.json
+ *
+ * Ao criar uma rota nova, declare-a aqui e use validate('MÉTODO /caminho')
+ * no server.js. Campos não declarados no body e na query são recusados.
+ */
+
+const config = require('../config/config.json');
+
+const NETWORKS = ['bitcoin', 'lightning', 'liquid'];
+const PAYMENT_STATUSES = [
+  'pending', 'queued', 'awaiting_approval', 'approved', 'processing',
+  'sent', 'error', 'rejected', 'in_flight', 'needs_review', 'retrying', 'cancelled',
+  'confirmed', 'dropped'
+];
+const INVOICE_STATUSES = ['open', 'paid', 'expired'];
+const DEPOSIT_NETWORKS = ['bitcoin', 'liquid'];
+
+// Maior valor possível em satoshis (21 milhões de BTC)
+const MAX_SATS = 2100000000000000;
+
+// ========== COMPONENTES REUTILIZÁVEIS ==========
+const components = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      code: { type: 'string' },
+      message: { type: 'string' },
+      details: { type: 'object' }
+    },
+    required: ['error']
+  },
+  ValidationError: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', example: 'Requisição inválida' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            location: { type: 'string', enum: ['params', 'query', 'headers', 'body'] },
+            field: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    },
+    required: ['error', 'details']
+  },
+  NetworkError: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', example: 'Rede incompatível com o destino' },
+      code: { type: 'string', enum: ['network_mismatch', 'network_not_detected'] },
+      message: { type: 'string' },
+      network: { type: 'string', enum: NETWORKS.concat('auto') },
+      detectedType: { type: 'string', enum: NETWORKS.concat('unknown') }
+    },
+    required: ['error', 'code', 'detectedType']
+  },
+  Payment: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      transactionId: { type: 'string' },
+      username: { type: 'string' },
+      amount: { type: 'integer' },
+      network: { type: 'string', enum: NETWORKS },
+      destinationWallet: { type: 'string' },
+      status: { type: 'string', enum: PAYMENT_STATUSES },
+      transactionHash: { type: 'string', nullable: true },
+      fee: { type: 'integer', nullable: true },
+      error: { type: 'string', nullable: true },
+      errorCode: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      completedAt: { type: 'string', format: 'date-time', nullable: true },
+      errorAt: { type: 'string', format: 'date-time', nullable: true },
+      confirmations: {
+        type: 'integer',
+        nullable: true,
+        description: 'Confirmações da transação on-chain ou Liquid (null em pagamentos Lightning)'
+      },
+      blockHash: { type: 'string', nullable: true },
+      confirmedAt: { type: 'string', format: 'date-time', nullable: true },
+      droppedAt: { type: 'string', format: 'date-time', nullable: true },
+      lightning: {
+        type: 'object',
+        nullable: true,
+        description: 'Último estado do pagamento Lightning no LND (SendPaymentV2)',
+        properties: {
+          status: { type: 'string', enum: ['in_flight', 'succeeded', 'failed'] },
+          paymentHash: { type: 'string' },
+          attempts: { type: 'integer', description: 'Tentativas de HTLC (partes do MPP incluídas)' },
+          fee: { type: 'integer' },
+          failureReason: { type: 'string', nullable: true },
+          invoice: { type: 'string', description: 'Invoice obtida da Lightning Address antes do envio' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      preimage: { type: 'string', nullable: true, description: 'Comprovante do pagamento Lightning concluído' },
+      route: {
+        type: 'object',
+        nullable: true,
+        description: 'Rota do pagamento Lightning (última parte concluída em pagamentos multi-path)',
+        properties: {
+          totalAmount: { type: 'integer' },
+          totalFees: { type: 'integer' },
+          totalTimeLock: { type: 'integer' },
+          hops: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                chanId: { type: 'string' },
+                pubKey: { type: 'string' },
+                amount: { type: 'integer' },
+                fee: { type: 'integer' }
+              }
+            }
+          }
+        }
+      },
+      approvalReasons: { type: 'array', items: { type: 'string' } },
+      approvals: { type: 'array', items: { type: 'object' } },
+      reviewReason: { type: 'string', nullable: true },
+      batch: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          id: { type: 'string' },
+          transactionHash: { type: 'string' },
+          outputs: { type: 'integer' },
+          totalFee: { type: 'integer', nullable: true }
+        }
+      },
+      feeLimits: {
+        type: 'object',
+        nullable: true,
+        description: 'Limites de taxa informados na requisição',
+        properties: {
+          maxFeeSats: { type: 'integer' },
+          maxFeePercent: { type: 'number' },
+          maxFeeRate: { type: 'number' }
+        }
+      },
+      quote: {
+        type: 'object',
+        nullable: true,
+        description: 'Cotação exigida no envio (quoteId)',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          fee: { type: 'integer' },
+          feeRate: { type: 'number', nullable: true },
+          expiresAt: { type: 'string', format: 'date-time' },
+          requote: {
+            type: 'object',
+            description: 'Nova cotação feita no envio porque a cotação expirou antes da execução',
+            properties: {
+              fee: { type: 'integer' },
+              feeRate: { type: 'number', nullable: true },
+              requotedAt: { type: 'string', format: 'date-time' }
+            }
+          }
+        }
+      },
+      history: { type: 'array', items: { type: 'object' } },
+      webhookDeliveries: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  Quote: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      quoteId: { type: 'string', format: 'uuid' },
+      network: { type: 'string', enum: NETWORKS },
+      destinationWallet: { type: 'string' },
+      amount: { type: 'integer' },
+      fee: { type: 'integer', description: 'Taxa estimada em satoshis' },
+      feeRate: { type: 'number', nullable: true, description: 'sat/vbyte (on-chain e Liquid)' },
+      total: { type: 'integer', description: 'amount + fee' },
+      route: {
+        type: 'object',
+        nullable: true,
+        description: 'Rota consultada (Lightning)',
+        properties: {
+          hops: { type: 'integer' },
+          totalTimeLock: { type: 'integer' }
+        }
+      },
+      expiresAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Invoice: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      reference: { type: 'string' },
+      username: { type: 'string', nullable: true },
+      amount: { type: 'integer' },
+      memo: { type: 'string' },
+      paymentRequest: { type: 'string', description: 'Invoice BOLT11' },
+      paymentHash: { type: 'string' },
+      status: { type: 'string', enum: INVOICE_STATUSES },
+      amountPaid: { type: 'integer', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      settledAt: { type: 'string', format: 'date-time', nullable: true },
+      expiredAt: { type: 'string', format: 'date-time', nullable: true },
+      history: { type: 'array', items: { type: 'object' } },
+      webhookDeliveries: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  DepositAddress: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      network: { type: 'string', enum: DEPOSIT_NETWORKS },
+      address: { type: 'string' },
+      unconfidentialAddress: { type: 'string', nullable: true, description: 'Forma não confidencial (Liquid)' },
+      reference: { type: 'string' },
+      username: { type: 'string' },
+      label: { type: 'string' },
+      requiredConfirmations: { type: 'integer' },
+      createdAt: { type: 'string', format: 'date-time' },
+      deposits: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            txid: { type: 'string' },
+            vout: { type: 'integer' },
+            amount: { type: 'integer' },
+            asset: { type: 'string', nullable: true },
+            confirmations: { type: 'integer' },
+            blockHash: { type: 'string', nullable: true },
+            status: { type: 'string', enum: ['detected', 'confirmed'] },
+            detectedAt: { type: 'string', format: 'date-time' },
+            confirmedAt: { type: 'string', format: 'date-time', nullable: true }
+          }
+        }
+      },
+      webhookDeliveries: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  BatchResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      batchId: { type: 'string' },
+      summary: { type: 'object', additionalProperties: { type: 'integer' } },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            transactionId: { type: 'string' },
+            paymentId: { type: 'string', nullable: true },
+            success: { type: 'boolean' },
+            status: { type: 'string', nullable: true },
+            transactionHash: { type: 'string', nullable: true },
+            fee: { type: 'integer', nullable: true },
+            code: { type: 'string', nullable: true },
+            error: { type: 'string', nullable: true },
+            idempotent: { type: 'boolean' },
+            detectedType: { type: 'string', description: 'Tipo detectado do destino (network_mismatch e network_not_detected)' }
+          }
+        }
+      }
+    }
+  },
+  PaymentList: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      count: { type: 'integer' },
+      total: { type: 'integer' },
+      nextCursor: { type: 'string', nullable: true },
+      payments: { type: 'array', items: { type: 'object' } }
+    }
+  }
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+// Respostas de erro comuns a todas as rotas autenticadas
+const errorResponses = {
+  400: { description: 'Requisição inválida', schema: ref('ValidationError') },
+  401: { description: 'Chave ou assinatura inválida', schema: ref('Error') },
+  403: { description: 'IP não autorizado ou permissão insuficiente', schema: ref('Error') },
+  500: { description: 'Erro interno do servidor', schema: ref('Error') }
+};
+
+// ========== PARÂMETROS COMPARTILHADOS ==========
+const listQuery = {
+  type: 'object',
+  properties: {
+    network: { type: 'string', enum: NETWORKS },
+    username: { type: 'string', minLength: 1, maxLength: 128 },
+    status: { type: 'string', maxLength: 256, description: 'Um ou mais status separados por vírgula' },
+    from: { type: 'string', maxLength: 64, description: 'Data ISO 8601 (timestamp da requisição)' },
+    to: { type: 'string', maxLength: 64, description: 'Data ISO 8601 (timestamp da requisição)' },
+    minAmount: { type: 'integer', minimum: 0 },
+    maxAmount: { type: 'integer', minimum: 0 },
+    sortBy: { type: 'string', enum: ['timestamp', 'amount'] },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    limit: { type: 'integer', minimum: 1, maximum: (config.listing || {}).maxLimit || 1000 },
+    cursor: { type: 'string', maxLength: 512 }
+  },
+  additionalProperties: false
+};
+
+const paymentIdParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid' }
+  },
+  required: ['id']
+};
+
+const emptyObject = {
+  type: 'object',
+  additionalProperties: false
+};
+
+// Campos de um pagamento (POST /payment e itens do POST /payments/batch)
+const paymentFields = {
+  transactionId: { type: 'string', minLength: 1, maxLength: 128 },
+  username: { type: 'string', minLength: 1, maxLength: 128 },
+  amount: { type: 'integer', minimum: 1, maximum: MAX_SATS, description: 'Valor em satoshis' },
+  network: {
+    type: 'string',
+    enum: NETWORKS.concat('auto'),
+    description: '"auto" usa a rede detectada pelo formato do destino'
+  },
+  destinationWallet: { type: 'string', minLength: 1, maxLength: 4096 },
+  webhookUrl: { type: 'string', format: 'uri', maxLength: 2048 },
+  webhookSecret: { type: 'string', minLength: 1, maxLength: 256 },
+  maxFeeSats: { type: 'integer', minimum: 0, maximum: MAX_SATS, description: 'Taxa máxima em satoshis' },
+  maxFeePercent: { type: 'number', minimum: 0, maximum: 100, description: 'Taxa máxima em percentual do valor' },
+  maxFeeRate: { type: 'number', minimum: 0, description: 'Taxa máxima em sat/vbyte (on-chain e Liquid)' }
+};
+const requiredPaymentFields = ['transactionId', 'username', 'amount', 'network', 'destinationWallet'];
+
+// ========== ROTAS ==========
+const routes = [
+  {
+    method: 'POST',
+    path: '/payment',
+    operationId: 'createPayment',
+    summary: 'Envia um pagamento (Bitcoin, Lightning ou Liquid)',
+    tags: ['Pagamentos'],
+    scope: 'payments:write',
+    schemas: {
+      headers: {
+        type: 'object',
+        properties: {
+          'idempotency-key': { type: 'string', minLength: 1, maxLength: 255 }
+        }
+      },
+      query: {
+        type: 'object',
+        properties: {
+          async: { type: 'string', enum: ['true', 'false'] }
+        },
+        additionalProperties: false
+      },
+      body: {
+        type: 'object',
+        properties: {
+          ...paymentFields,
+          async: { type: 'boolean' },
+          quoteId: { type: 'string', format: 'uuid', description: 'Cotação de POST /payment/quote a ser exigida' }
+        },
+        required: requiredPaymentFields,
+        additionalProperties: false
+      }
+    },
+    responses: {
+      200: { description: 'Pagamento processado com sucesso' },
+      202: { description: 'Pagamento aceito (modo assíncrono, aguardando aprovação ou já em processamento)' },
+      400: {
+        description: 'Requisição inválida ou destino incompatível com a rede',
+        schema: { oneOf: [ref('ValidationError'), ref('NetworkError')] }
+      },
+      409: { description: 'Conflito de idempotência', schema: ref('Error') },
+      422: { description: 'Pagamento recusado pela política de limites ou cotação inválida (quote_not_found, quote_expired, quote_mismatch)', schema: ref('Error') },
+      429: { description: 'Limite de pagamentos simultâneos atingido', schema: ref('Error') },
+      503: { description: 'Backend da rede não está pronto (health.requireReadyBackends)', schema: ref('Error') }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/payment/quote',
+    operationId: 'quotePayment',
+    summary: 'Estima a taxa de um pagamento sem enviá-lo',
+    tags: ['Pagamentos'],
+    scope: 'payments:write',
+    schemas: {
+      body: {
+        type: 'object',
+        properties: {
+          ...paymentFields,
+          async: { type: 'boolean' }
+        },
+        required: requiredPaymentFields,
+        additionalProperties: false
+      }
+    },
+    responses: {
+      200: { description: 'Cotação criada', schema: ref('Quote') },
+      400: {
+        description: 'Requisição inválida ou destino incompatível com a rede',
+        schema: { oneOf: [ref('ValidationError'), ref('NetworkError')] }
+      },
+      503: { description: 'Não foi possível estimar a taxa (quote_unavailable)', schema: ref('Error') }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/payments/batch',
+    operationId: 'createPaymentBatch',
+    summary: 'Envia um lote de pagamentos (on-chain e Liquid em uma transação por rede)',
+    tags: ['Pagamentos'],
+    scope: 'payments:write',
+    schemas: {
+      body: {
+        type: 'object',
+        properties: {
+          batchId: { type: 'string', minLength: 1, maxLength: 128 },
+          webhookUrl: paymentFields.webhookUrl,
+          webhookSecret: paymentFields.webhookSecret,
+          items: {
+            type: 'array',
+            minItems: 1,
+            maxItems: (config.batch || {}).maxItems || 500,
+            items: {
+              type: 'object',
+              properties: paymentFields,
+              required: requiredPaymentFields,
+              additionalProperties: false
+            }
+          }
+        },
+        required: ['items'],
+        additionalProperties: false
+      }
+    },
+    responses: {
+      202: { description: 'Lote aceito para execução em segundo plano; paymentId e status por item', schema: ref('BatchResult') }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/payment/by-transaction/:transactionId',
+    operationId: 'getPaymentByTransaction',
+    summary: 'Consulta o status de um pagamento pelo transactionId',
+    tags: ['Pagamentos'],
+    scope: 'payments:read',
+    schemas: {
+      params: {
+        type: 'object',
+        properties: {
+          transactionId: { type: 'string', minLength: 1, maxLength: 128 }
+        },
+        required: ['transactionId']
+      }
+    },
+    responses: {
+      200: { description: 'Status do pagamento', schema: { type: 'object', properties: { success: { type: 'boolean' }, payment: ref('Payment') } } },
+      404: { description: 'Pagamento não encontrado', schema: ref('Error') }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/payment/:id',
+    operationId: 'getPayment',
+    summary: 'Consulta o status de um pagamento pelo paymentId',
+    tags: ['Pagamentos'],
+    scope: 'payments:read',
+    schemas: {
+      params: paymentIdParams
+    },
+    responses: {
+      200: { description: 'Status do pagamento', schema: { type: 'object', properties: { success: { type: 'boolean' }, payment: ref('Payment') } } },
+      404: { description: 'Pagamento não encontrado', schema: ref('Error') }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/payment/:id/retry',
+    operationId: 'retryPayment',
+    summary: 'Executa novamente um pagamento com erro',
+    tags: ['Pagamentos'],
+    scope: 'payments:write',
+    schemas: {
+      params: paymentIdParams,
+      body: emptyObject
+    },
+    responses: {
+      202: { description: 'Nova tentativa iniciada', schema: { type: 'object', properties: { success: { type: 'boolean' }, message: { type: 'string' }, payment: ref('Payment') } } },
+      404: { description: 'Pagamento não encontrado', schema: ref('Error') },
+      409: { description: 'Pagamento sem erro, já enviado (payment_already_sent), ainda em andamento no LND (payment_in_flight) ou com resultado incerto (payment_needs_review)', schema: ref('Error') },
+      503: { description: 'Nó indisponível para conferir o envio anterior', schema: ref('Error') }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/payment/:id/cancel',
+    operationId: 'cancelPayment',
+    summary: 'Cancela um pagamento enfileirado ou aguardando aprovação',
+    tags: ['Pagamentos'],
+    scope: 'payments:write',
+    schemas: {
+      params: paymentIdParams,
+      body: {
+        type: 'object',
+        properties: {
+          reason: { type: 'string', minLength: 1, maxLength: 1000 }
+        },
+        additionalProperties: false
+      }
+    },
+    responses: {
+      200: { description: 'Pagamento cancelado', schema: { type: 'object', properties: { success: { type: 'boolean' }, message: { type: 'string' }, payment: ref('Payment') } } },
+      404: { description: 'Pagamento não encontrado', schema: ref('Error') },
+      409: { description: 'Pagamento não pode mais ser cancelado', schema: ref('Error') }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/invoice',
+    operationId: 'createInvoice',
+    summary: 'Emite uma invoice Lightning para recebimento',
+    tags: ['Recebimentos'],
+    scope: 'invoices:write',
+    schemas: {
+      body: {
+        type: 'object',
+        properties: {
+          reference: { type: 'string', minLength: 1, maxLength: 128, description: 'Referência do cliente (chave de idempotência)' },
+          username: paymentFields.username,
+          amount: { type: 'integer', minimum: 1, maximum: MAX_SATS, description: 'Valor em satoshis' },
+          memo: { type: 'string', maxLength: 639, description: 'Descrição gravada na invoice' },
+          expiry: { type: 'integer', minimum: 60, maximum: 31536000, description: 'Validade em segundos (padrão: invoices.defaultExpirySeconds)' },
+          webhookUrl: paymentFields.webhookUrl,
+          webhookSecret: paymentFields.webhookSecret
+        },
+        required: ['reference', 'amount'],
+        additionalProperties: false
+      }
+    },
+    responses: {
+      200: { description: 'Invoice já emitida para a referência (idempotent: true)' },
+      201: {
+        description: 'Invoice emitida',
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            invoiceId: { type: 'string', format: 'uuid' },
+            reference: { type: 'string' },
+            paymentRequest: { type: 'string' },
+            paymentHash: { type: 'string' },
+            amount: { type: 'integer' },
+            status: { type: 'string', enum: INVOICE_STATUSES },
+            expiresAt: { type: 'string', format: 'date-time' },
+            idempotent: { type: 'boolean' }
+          }
+        }
+      },
+      409: { description: 'Referência já usada com outros dados (idempotency_conflict) ou ainda em emissão (invoice_in_progress)', schema: ref('Error') }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/invoice/:id',
+    operationId: 'getInvoice',
+    summary: 'Consulta o status de uma invoice emitida',
+    tags: ['Recebimentos'],
+    scope: 'invoices:read',
+    schemas: {
+      params: paymentIdParams
+    },
+    responses: {
+      200: { description: 'Status da invoice', schema: { type: 'object', properties: { success: { type: 'boolean' }, invoice: ref('Invoice') } } },
+      404: { description: 'Invoice não encontrada', schema: ref('Error') }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/address/:network',
+    operationId: 'createDepositAddress',
+    summary: 'Emite um endereço de depósito on-chain ou Liquid',
+    tags: ['Recebimentos'],
+    scope: 'deposits:write',
+    schemas: {
+      params: {
+        type: 'object',
+        properties: {
+          network: { type: 'string', enum: DEPOSIT_NETWORKS }
+        },
+        required: ['network']
+      },
+      body: {
+        type: 'object',
+        properties: {
+          reference: { type: 'string', minLength: 1, maxLength: 128, description: 'Referência do cliente (chave de idempotência)' },
+          username: paymentFields.username,
+          label: { type: 'string', minLength: 1, maxLength: 128, description: 'Rótulo do endereço (padrão: reference)' },
+          addressType: { type: 'string', enum: ['p2wkh', 'p2tr', 'p2sh-segwit'], description: 'Tipo do endereço (apenas bitcoin; padrão p2wkh)' },
+          webhookUrl: paymentFields.webhookUrl,
+          webhookSecret: paymentFields.webhookSecret
+        },
+        required: ['reference', 'username'],
+        additionalProperties: false
+      }
+    },
+    responses: {
+      200: { description: 'Endereço já emitido para a referência (idempotent: true)' },
+      201: {
+        description: 'Endereço emitido',
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            addressId: { type: 'string', format: 'uuid' },
+            network: { type: 'string', enum: DEPOSIT_NETWORKS },
+            address: { type: 'string' },
+            reference: { type: 'string' },
+            username: { type: 'string' },
+            label: { type: 'string' },
+            requiredConfirmations: { type: 'integer' },
+            idempotent: { type: 'boolean' }
+          }
+        }
+      },
+      409: { description: 'Referência já usada com outra rede ou usuário (idempotency_conflict) ou ainda em emissão (address_in_progress)', schema: ref('Error') }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/address/:id',
+    operationId: 'getDepositAddress',
+    summary: 'Consulta um endereço de depósito e os depósitos recebidos',
+    tags: ['Recebimentos'],
+    scope: 'deposits:read',
+    schemas: {
+      params: paymentIdParams
+    },
+    responses: {
+      200: { description: 'Endereço e depósitos', schema: { type: 'object', properties: { success: { type: 'boolean' }, address: ref('DepositAddress') } } },
+      404: { description: 'Endereço não encontrado', schema: ref('Error') }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/balance/:network',
+    operationId: 'getBalance',
+    summary: 'Consulta o saldo de uma rede (ou de todas com "all")',
+    tags: ['Saldos'],
+    scope: 'balances:read',
+    schemas: {
+      params: {
+        type: 'object',
+        properties: {
+          network: { type: 'string', enum: NETWORKS.concat('all') }
+        },
+        required: ['network']
+      }
+    },
+    responses: {
+      200: { description: 'Saldo da rede' }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/balance/all',
+    operationId: 'getAllBalances',
+    summary: 'Consulta os saldos de todas as redes',
+    tags: ['Saldos'],
+    scope: 'balances:read',
+    schemas: {},
+    responses: {
+      200: { description: 'Saldos de todas as redes' }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/pending',
+    operationId: 'listPendingPayments',
+    summary: 'Lista pagamentos pendentes, enfileirados ou com erro',
+    tags: ['Pagamentos'],
+    scope: 'payments:read',
+    schemas: {
+      query: listQuery
+    },
+    responses: {
+      200: { description: 'Página de pagamentos', schema: ref('PaymentList') }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/sent',
+    operationId: 'listSentPayments',
+    summary: 'Lista pagamentos enviados',
+    tags: ['Pagamentos'],
+    scope: 'payments:read',
+    schemas: {
+      query: listQuery
+    },
+    responses: {
+      200: { description: 'Página de pagamentos', schema: ref('PaymentList') }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/webhook/test',
+    operationId: 'testWebhook',
+    summary: 'Envia um webhook de teste',
+    tags: ['Webhooks'],
+    scope: 'webhooks:admin',
+    schemas: {
+      body: {
+        type: 'object',
+        properties: {
+          webhookUrl: { type: 'string', format: 'uri', maxLength: 2048 },
+          webhookSecret: { type: 'string', minLength: 1, maxLength: 256 }
+        },
+        required: ['webhookUrl'],
+        additionalProperties: false
+      }
+    },
+    responses: {
+      200: { description: 'Resultado do envio' }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/webhook/stats',
+    operationId: 'getWebhookStats',
+    summary: 'Estatísticas de webhooks',
+    tags: ['Webhooks'],
+    scope: 'webhooks:admin',
+    schemas: {},
+    responses: {
+      200: { description: 'Estatísticas de webhooks' }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/webhook/retry-failed',
+    operationId: 'retryFailedWebhooks',
+    summary: 'Reprocessa webhooks que falharam',
+    tags: ['Webhooks'],
+    scope: 'webhooks:admin',
+    schemas: {
+      body: emptyObject
+    },
+    responses: {
+      200: { description: 'Webhooks reprocessados' }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/queue/stats',
+    operationId: 'getQueueStats',
+    summary: 'Estado da fila de pagamentos assíncronos',
+    tags: ['Pagamentos'],
+    scope: 'payments:read',
+    schemas: {},
+    responses: {
+      200: { description: 'Estado da fila' }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/admin/approvals',
+    operationId: 'listPendingApprovals',
+    summary: 'Lista pagamentos aguardando aprovação',
+    tags: ['Aprovações'],
+    scope: 'payments:approve',
+    schemas: {},
+    responses: {
+      200: { description: 'Pagamentos aguardando aprovação' }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/admin/approvals/:id/approve',
+    operationId: 'approvePayment',
+    summary: 'Aprova um pagamento',
+    tags: ['Aprovações'],
+    scope: 'payments:approve',
+    schemas: {
+      params: paymentIdParams,
+      body: {
+        type: 'object',
+        properties: {
+          comment: { type: 'string', maxLength: 1000 }
+        },
+        additionalProperties: false
+      }
+    },
+    responses: {
+      200: { description: 'Aprovação registrada', schema: { type: 'object', properties: { success: { type: 'boolean' }, message: { type: 'string' }, payment: ref('Payment') } } },
+      404: { description: 'Pagamento não encontrado', schema: ref('Error') },
+      409: { description: 'Pagamento não aguarda aprovação ou aprovador repetido', schema: ref('Error') }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/admin/approvals/:id/reject',
+    operationId: 'rejectPayment',
+    summary: 'Reprova um pagamento',
+    tags: ['Aprovações'],
+    scope: 'payments:approve',
+    schemas: {
+      params: paymentIdParams,
+      body: {
+        type: 'object',
+        properties: {
+          reason: { type: 'string', minLength: 1, maxLength: 1000 }
+        },
+        required: ['reason'],
+        additionalProperties: false
+      }
+    },
+    responses: {
+      200: { description: 'Pagamento reprovado', schema: { type: 'object', properties: { success: { type: 'boolean' }, message: { type: 'string' }, payment: ref('Payment') } } },
+      404: { description: 'Pagamento não encontrado', schema: ref('Error') },
+      409: { description: 'Pagamento não aguarda aprovação', schema: ref('Error') }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/health/live',
+    operationId: 'getLiveness',
+    summary: 'Verifica se o processo está ativo',
+    tags: ['Monitoramento'],
+    scope: null,
+    schemas: {
+      query: emptyObject
+    },
+    responses: {
+      200: { description: 'Processo ativo' }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/health/ready',
+    operationId: 'getReadiness',
+    summary: 'Verifica a prontidão do LND e do Elements',
+    tags: ['Monitoramento'],
+    scope: null,
+    schemas: {
+      query: emptyObject
+    },
+    responses: {
+      200: { description: 'Todos os backends prontos' },
+      503: { description: 'Algum backend não está pronto (detalhes por backend no corpo)' }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/metrics',
+    operationId: 'getMetrics',
+    summary: 'Métricas no formato texto do Prometheus',
+    tags: ['Monitoramento'],
+    scope: 'metrics:read',
+    schemas: {
+      query: emptyObject
+    },
+    responses: {
+      200: { description: 'Métricas Prometheus (text/plain)' }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/openapi.json',
+    operationId: 'getOpenApiDocument',
+    summary: 'Documento OpenAPI 3 desta API',
+    tags: ['Documentação'],
+    scope: null,
+    schemas: {},
+    responses: {
+      200: { description: 'Documento OpenAPI' }
+    }
+  }
+];
+
+module.exports = {
+  NETWORKS,
+  components,
+  errorResponses,
+  routes
+};
@@ -0,0 +1,239 @@
+/**
+ * APPROVAL-MANAGER.JS - Aprovação Manual de Pagamentos
+ *
+ * Pagamentos que se enquadram nas regras de config.approvals não são
+ * executados ao serem recebidos: ficam gravados com status "awaiting_approval"
+ * até que um cliente da API com o escopo payments:approve
+ * aprove ou reprove a requisição.
+ *
+ * REGRAS (config.approvals.rules) - basta uma corresponder:
+ * - minAmount: valor igual ou acima do limite (sats)
+ * - networks: redes que sempre exigem aprovação
+ * - newDestination: destino que nunca recebeu um pagamento concluído
+ * - usernames: usuários que sempre exigem aprovação
+ *
+ * APROVAÇÃO EM DUAS PESSOAS:
+ * Com requiredApprovals = 2 são necessárias aprovações de dois clientes da
+ * API diferentes. Uma única reprovação encerra a requisição.
+ *
+ * CICLO DE VIDA:
+ * - awaiting_approval -> approved -> queued/pending -> processing -> sent/error
+ * - awaiting_approval -> rejected (salvo com prefixo ERROR_)
+ * - awaiting_approval -> cancelled (POST /payment/:id/cancel, ver payment-actions.js)
+ *
+ * WEBHOOKS:
+ * - payment.approval_required, payment.approved, payment.rejected
+ */
+
+const config = require('../config/config.json');
+const { PaymentError } = require('./errors');
+
+class ApprovalManager {
+  /**
+   * Construtor do ApprovalManager
+   *
+   * @param {PaymentProcessor} paymentProcessor - Processador que executa os pagamentos
+   * @param {PaymentQueue} paymentQueue - Fila usada para executar pagamentos aprovados
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(paymentProcessor, paymentQueue, logger) {
+    this.paymentProcessor = paymentProcessor;
+    this.paymentQueue = paymentQueue;
+    this.logger = logger;
+    this.config = config.approvals || {};
+  }
+
+  /**
+   * Verifica se o fluxo de aprovação manual está habilitado
+   *
+   * @returns {boolean} true se as regras devem ser aplicadas
+   */
+  isEnabled() {
+    return this.config.enabled === true;
+  }
+
+  /**
+   * Número de aprovações distintas exigidas para liberar um pagamento
+   *
+   * @returns {number} 1 ou mais
+   */
+  getRequiredApprovals() {
+    return Math.max(1, parseInt(this.config.requiredApprovals) || 1);
+  }
+
+  /**
+   * Avalia quais regras exigem aprovação para uma requisição
+   *
+   * @param {Object} paymentRequest - Requisição de pagamento
+   * @returns {Array<string>} Regras correspondentes (vazio se não precisar de aprovação)
+   */
+  evaluate(paymentRequest) {
+    if (!this.isEnabled()) {
+      return [];
+    }
+
+    const rules = this.config.rules || {};
+    const reasons = [];
+
+    if (rules.minAmount !== undefined && paymentRequest.amount >= rules.minAmount) {
+      reasons.push('amount');
+    }
+
+    if ((rules.networks || []).includes(paymentRequest.network)) {
+      reasons.push('network');
+    }
+
+    if (rules.newDestination === true && this.isNewDestination(paymentRequest.destinationWallet)) {
+      reasons.push('new_destination');
+    }
+
+    if ((rules.usernames || []).includes(paymentRequest.username)) {
+      reasons.push('username');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Verifica se um destino nunca recebeu um pagamento concluído
+   *
+   * @param {string} destinationWallet - Endereço/invoice de destino
+   * @returns {boolean} true se não houver pagamento enviado para o destino
+   */
+  isNewDestination(destinationWallet) {
+    return this.paymentProcessor.storage
+      .listPayments({ status: ['sent', 'confirmed'], destinationWallet })
+      .length === 0;
+  }
+
+  /**
+   * Coloca uma requisição em espera de aprovação
+   *
+   * A gravação acontece antes do primeiro await, mantendo a verificação de
+   * idempotência do POST /payment livre de corrida.
+   *
+   * @param {Object} paymentRequest - Requisição de pagamento
+   * @param {Array<string>} reasons - Regras que exigiram aprovação
+   */
+  async requestApproval(paymentRequest, reasons) {
+    paymentRequest.approvalReasons = reasons;
+    paymentRequest.approvals = [];
+    this.paymentProcessor.recordTransition(paymentRequest, 'awaiting_approval', { reasons });
+    this.paymentProcessor.savePaymentRequest(paymentRequest);
+
+    this.logger.info(`Pagamento ${paymentRequest.id} aguardando aprovação (${reasons.join(', ')})`);
+
+    if (paymentRequest.webhookUrl) {
+      const delivered = await this.paymentProcessor.webhookManager.sendPaymentApprovalRequiredWebhook(
+        paymentRequest.webhookUrl,
+        paymentRequest,
+        paymentRequest.webhookSecret
+      );
+      this.paymentProcessor.recordWebhookDelivery(paymentRequest, 'payment.approval_required', delivered);
+      this.paymentProcessor.savePaymentRequest(paymentRequest);
+    }
+  }
+
+  /**
+   * Lista as requisições aguardando aprovação em ordem de chegada
+   *
+   * @returns {Array<Object>} Requisições com status awaiting_approval
+   */
+  getPendingApprovals() {
+    return this.paymentProcessor.storage.listPayments({ status: ['awaiting_approval'] });
+  }
+
+  /**
+   * Carrega uma requisição que ainda aguarda aprovação
+   *
+   * @param {string} paymentId - ID do pagamento
+   * @returns {Object} Requisição (cópia)
+   * @throws {PaymentError} payment_not_found ou invalid_payment_state
+   */
+  getAwaitingPayment(paymentId) {
+    const payment = this.paymentProcessor.getPaymentById(paymentId);
+    if (!payment) {
+      throw new PaymentError('payment_not_found', `Pagamento não encontrado: ${paymentId}`);
+    }
+
+    if (payment.status !== 'awaiting_approval') {
+      throw new PaymentError('invalid_payment_state',
+        `Pagamento não está aguardando aprovação (status atual: ${payment.status})`,
+        { status: payment.status });
+    }
+
+    return payment;
+  }
+
+  /**
+   * Registra a aprovação de um cliente da API
+   *
+   * Quando o número de aprovações distintas atinge requiredApprovals o
+   * pagamento é liberado para execução.
+   *
+   * @param {string} paymentId - ID do pagamento
+   * @param {string} approver - Nome do cliente da API que aprovou
+   * @param {string} [comment=null] - Observação opcional
+   * @returns {Promise<Object>} Requisição atualizada
+   * @throws {PaymentError} payment_not_found, invalid_payment_state ou duplicate_approver
+   */
+  async approve(paymentId, approver, comment = null) {
+    const payment = this.getAwaitingPayment(paymentId);
+
+    payment.approvals = payment.approvals || [];
+    if (payment.approvals.some(approval => approval.by === approver)) {
+      throw new PaymentError('duplicate_approver',
+        `Pagamento já aprovado por ${approver}; é necessária a aprovação de outro cliente`);
+    }
+
+    payment.approvals.push({ by: approver, comment, timestamp: new Date().toISOString() });
+
+    const required = this.getRequiredApprovals();
+    if (payment.approvals.length < required) {
+      this.paymentProcessor.savePaymentRequest(payment);
+      this.logger.info(`Pagamento ${paymentId} aprovado por ${approver} (${payment.approvals.length}/${required})`);
+      return payment;
+    }
+
+    this.paymentProcessor.recordTransition(payment, 'approved', {
+      approvedBy: payment.approvals.map(approval => approval.by)
+    });
+    this.paymentProcessor.savePaymentRequest(payment);
+    this.logger.info(`Pagamento ${paymentId} aprovado por ${approver}, liberado para execução`);
+
+    if (payment.webhookUrl) {
+      const delivered = await this.paymentProcessor.webhookManager.sendPaymentApprovedWebhook(
+        payment.webhookUrl,
+        payment,
+        payment.webhookSecret
+      );
+      this.paymentProcessor.recordWebhookDelivery(payment, 'payment.approved', delivered);
+    }
+
+    this.paymentQueue.dispatch(payment);
+    return payment;
+  }
+
+  /**
+   * Reprova uma requisição aguardando aprovação
+   *
+   * @param {string} paymentId - ID do pagamento
+   * @param {string} rejecter - Nome do cliente da API que reprovou
+   * @param {string} reason - Motivo informado pelo compliance
+   * @returns {Promise<Object>} Requisição atualizada
+   * @throws {PaymentError} payment_not_found ou invalid_payment_state
+   */
+  async reject(paymentId, rejecter, reason) {
+    const payment = this.getAwaitingPayment(paymentId);
+
+    payment.rejectedBy = rejecter;
+    await this.paymentProcessor.rejectPayment(payment, {
+      code: 'approval_rejected',
+      message: `Pagamento reprovado: ${reason}`
+    });
+
+    return payment;
+  }
+}
+
+module.exports = ApprovalManager;
@@ -0,0 +1,408 @@
+/**
+ * AUTH-MANAGER.JS - Autenticação e Autorização de Clientes da API
+ *
+ * Esta classe substitui a chave secreta única compartilhada por clientes
+ * nomeados, cada um com sua própria chave, IPs permitidos e escopos.
+ *
+ * FUNCIONALIDADES PRINCIPAIS:
+ * - Clientes nomeados configurados em config.apiClients
+ * - Chaves armazenadas apenas como hash SHA-256 (nunca em texto puro)
+ * - Comparação em tempo constante para evitar timing attacks
+ * - Lista de IPs/CIDRs permitidos por cliente (além da whitelist global)
+ * - Escopos verificados por rota (requireScope)
+ * - Trilha de auditoria por cliente nos logs (API_AUDIT)
+ * - Requisições assinadas com HMAC-SHA256, timestamp e nonce (opcional)
+ *
+ * REQUISIÇÕES ASSINADAS:
+ * Em vez de enviar a chave estática, o cliente envia os headers
+ * X-Api-Client, X-Timestamp, X-Nonce e X-Signature, onde a assinatura é
+ * HMAC-SHA256(signingSecret, METHOD\nPATH\nTIMESTAMP\nNONCE\nBODY), no
+ * mesmo formato "sha256=<hex>" usado nos webhooks de saída. Timestamps
+ * fora da janela permitida e nonces repetidos são rejeitados.
+ *
+ * ESCOPOS DISPONÍVEIS:
+ * - payments:write: cotar, enviar (também em lote), tentar novamente e cancelar pagamentos (POST /payment*)
+ * - payments:read: consultar pagamentos (/pending, /sent, /payment/:id, /queue/stats)
+ * - invoices:write: emitir invoices Lightning para recebimento (POST /invoice)
+ * - invoices:read: consultar invoices emitidas (GET /invoice/:id)
+ * - deposits:write: emitir endereços de depósito (POST /address/:network)
+ * - deposits:read: consultar endereços de depósito (GET /address/:id)
+ * - balances:read: consultar saldos (/balance/*)
+ * - webhooks:admin: testar e reprocessar webhooks (/webhook/*)
+ * - payments:approve: aprovar ou reprovar pagamentos (/admin/approvals/*)
+ * - metrics:read: coletar métricas Prometheus (/metrics)
+ * - *: acesso total
+ *
+ * COMPATIBILIDADE:
+ * - A chave config.server.secretKey continua aceita como cliente "default"
+ *   com acesso total, até ser removida da configuração.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config.json');
+const IpFilter = require('./ip-filter');
+
+class AuthManager {
+  /**
+   * Construtor do AuthManager
+   *
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(logger) {
+    this.logger = logger;
+    this.signingConfig = config.server.requestSigning || {};
+    this.clients = this.loadClients();
+    this.ipFilter = new IpFilter(logger);
+
+    // Nonces já usados: "cliente:nonce" -> expiração (ms)
+    this.usedNonces = new Map();
+    this.lastNonceSweep = Date.now();
+
+    // Rotas acessíveis sem chave a partir de IPs específicos (ver allowAnonymous)
+    this.anonymousRoutes = [];
+  }
+
+  /**
+   * Libera uma rota sem chave para uma lista de IPs/CIDRs
+   *
+   * Usado por rotas de infraestrutura (ex: /metrics para o Prometheus). A
+   * requisição recebe um cliente "anonymous" apenas com os escopos informados;
+   * de outros IPs a rota continua exigindo chave e escopo normalmente.
+   *
+   * @param {string} routePath - Caminho exato da rota (ex: '/metrics')
+   * @param {Array<string>} allowedIps - IPs ou faixas CIDR liberados
+   * @param {Array<string>} scopes - Escopos concedidos ao cliente anônimo
+   */
+  allowAnonymous(routePath, allowedIps, scopes) {
+    if (!allowedIps || allowedIps.length === 0) {
+      return;
+    }
+    this.anonymousRoutes.push({ path: routePath, allowedIps, scopes });
+    this.logger.info(`Rota ${routePath} liberada sem chave para: ${allowedIps.join(', ')}`);
+  }
+
+  /**
+   * Obtém o cliente anônimo para uma requisição, se a rota e o IP forem liberados
+   *
+   * @param {Object} req - Requisição do Express
+   * @param {string} clientIp - IP normalizado do cliente
+   * @returns {Object|null} Cliente anônimo ou null
+   */
+  getAnonymousClient(req, clientIp) {
+    const route = this.anonymousRoutes.find(rule =>
+      rule.path === req.path && this.ipFilter.isAllowed(clientIp, rule.allowedIps));
+    if (!route) {
+      return null;
+    }
+    return { name: 'anonymous', scopes: route.scopes, allowedIps: [] };
+  }
+
+  /**
+   * Carrega os clientes da configuração
+   *
+   * @returns {Array<Object>} Clientes com nome, hash da chave, IPs e escopos
+   */
+  loadClients() {
+    const clients = (config.apiClients || []).map(client => ({
+      name: client.name,
+      keyHash: String(client.keyHash || '').replace(/^sha256:/, '').toLowerCase(),
+      allowedIps: client.allowedIps || [],
+      scopes: client.scopes || [],
+      signingSecret: client.signingSecret || null,
+      requireSignature: client.requireSignature === true
+    }));
+
+    // Chave legada compartilhada: mantém o comportamento anterior (acesso total)
+    if (config.server.secretKey) {
+      clients.push({
+        name: 'default',
+        keyHash: this.hashKey(config.server.secretKey),
+        allowedIps: [],
+        scopes: ['*'],
+        signingSecret: config.server.secretKey,
+        requireSignature: false
+      });
+    }
+
+    // Um cliente precisa de um keyHash válido, de um signingSecret ou de ambos
+    return clients.filter(client => {
+      if (client.keyHash && !/^[0-9a-f]{64}$/.test(client.keyHash)) {
+        this.logger.warn(`Cliente de API "${client.name}" ignorado: keyHash deve ser um SHA-256 em hexadecimal`);
+        return false;
+      }
+      if (!client.keyHash && !client.signingSecret) {
+        this.logger.warn(`Cliente de API "${client.name}" ignorado: informe keyHash e/ou signingSecret`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Calcula o hash SHA-256 de uma chave de API
+   *
+   * @param {string} key - Chave em texto puro
+   * @returns {string} Hash em hexadecimal
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key), 'utf8').digest('hex');
+  }
+
+  /**
+   * Identifica o cliente dono de uma chave
+   *
+   * Todos os clientes são comparados (sem retorno antecipado) e a
+   * comparação usa crypto.timingSafeEqual.
+   *
+   * @param {string} key - Chave recebida no header X-Secret-Key
+   * @returns {Object|null} Cliente autenticado ou null
+   */
+  authenticate(key) {
+    if (!key) {
+      return null;
+    }
+
+    const providedHash = Buffer.from(this.hashKey(key), 'hex');
+    let match = null;
+
+    for (const client of this.clients) {
+      if (!client.keyHash) {
+        continue;
+      }
+      const expectedHash = Buffer.from(client.keyHash, 'hex');
+      if (crypto.timingSafeEqual(providedHash, expectedHash) && !match) {
+        match = client;
+      }
+    }
+
+    return match;
+  }
+
+  /**
+   * Gera a assinatura HMAC-SHA256 de uma requisição
+   *
+   * Mesmo algoritmo do WebhookManager.generateSignature, aplicado à
+   * string canônica METHOD\nPATH\nTIMESTAMP\nNONCE\nBODY.
+   *
+   * @param {string} secret - signingSecret do cliente
+   * @param {string} method - Método HTTP (maiúsculo)
+   * @param {string} requestPath - Caminho com query string (req.originalUrl)
+   * @param {string} timestamp - Timestamp Unix em segundos
+   * @param {string} nonce - Valor único por requisição
+   * @param {string} body - Corpo bruto da requisição (vazio se não houver)
+   * @returns {string} Assinatura em hexadecimal
+   */
+  generateRequestSignature(secret, method, requestPath, timestamp, nonce, body) {
+    const canonical = [method, requestPath, timestamp, nonce, body].join('\n');
+    return crypto
+      .createHmac('sha256', secret)
+      .update(canonical, 'utf8')
+      .digest('hex');
+  }
+
+  /**
+   * Autentica uma requisição assinada
+   *
+   * VALIDAÇÕES:
+   * 1. Cliente informado em X-Api-Client existe e tem signingSecret
+   * 2. X-Timestamp dentro da janela maxSkewSeconds
+   * 3. X-Signature confere (comparação em tempo constante)
+   * 4. X-Nonce ainda não foi usado pelo cliente dentro da janela
+   *
+   * @param {Object} req - Requisição do Express (req.rawBody preenchido pelo parser JSON)
+   * @returns {Object} { client } ou { error } com o motivo da rejeição
+   */
+  authenticateSignedRequest(req) {
+    const clientName = req.headers['x-api-client'] || 'default';
+    const timestamp = req.headers['x-timestamp'];
+    const nonce = req.headers['x-nonce'];
+    const signatureHeader = String(req.headers['x-signature'] || '');
+
+    const client = this.clients.find(candidate => candidate.name === clientName);
+    if (!client || !client.signingSecret) {
+      return { error: 'Cliente desconhecido ou sem signingSecret' };
+    }
+
+    if (!/^\d+$/.test(timestamp || '')) {
+      return { error: 'X-Timestamp ausente ou inválido' };
+    }
+
+    if (!nonce || nonce.length > 128) {
+      return { error: 'X-Nonce ausente ou inválido' };
+    }
+
+    // ========== JANELA DE TEMPO ==========
+    const maxSkew = this.signingConfig.maxSkewSeconds || 300;
+    const now = Math.floor(Date.now() / 1000);
+    if (Math.abs(now - parseInt(timestamp, 10)) > maxSkew) {
+      return { error: 'Timestamp fora da janela permitida' };
+    }
+
+    // ========== ASSINATURA ==========
+    const expected = this.generateRequestSignature(
+      client.signingSecret,
+      req.method.toUpperCase(),
+      req.originalUrl,
+      timestamp,
+      nonce,
+      req.rawBody || ''
+    );
+    const provided = signatureHeader.replace(/^sha256=/, '');
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const providedBuffer = Buffer.from(provided, 'hex');
+    if (providedBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(providedBuffer, expectedBuffer)) {
+      return { error: 'Assinatura inválida' };
+    }
+
+    // ========== PROTEÇÃO CONTRA REPLAY ==========
+    this.sweepNonces();
+    const nonceKey = `${client.name}:${nonce}`;
+    if (this.usedNonces.has(nonceKey)) {
+      return { error: 'Nonce já utilizado' };
+    }
+    this.usedNonces.set(nonceKey, Date.now() + maxSkew * 2 * 1000);
+
+    return { client };
+  }
+
+  /**
+   * Remove nonces expirados da memória
+   *
+   * Um nonce só precisa ser lembrado enquanto o timestamp que o acompanha
+   * ainda seria aceito; depois disso a requisição já é rejeitada pela janela.
+   */
+  sweepNonces() {
+    const now = Date.now();
+    if (now - this.lastNonceSweep < 60000) {
+      return;
+    }
+
+    for (const [nonceKey, expiresAt] of this.usedNonces) {
+      if (expiresAt <= now) {
+        this.usedNonces.delete(nonceKey);
+      }
+    }
+    this.lastNonceSweep = now;
+  }
+
+  /**
+   * Verifica se um cliente possui um escopo
+   *
+   * @param {Object} client - Cliente autenticado
+   * @param {string} scope - Escopo exigido pela rota
+   * @returns {boolean} true se o cliente tiver o escopo (ou acesso total)
+   */
+  hasScope(client, scope) {
+    return client.scopes.includes('*') || client.scopes.includes(scope);
+  }
+
+  /**
+   * Middleware de autenticação
+   *
+   * Implementa as validações de segurança em sequência:
+   * 1. Validação de IP global - apenas IPs whitelist podem acessar
+   * 2. Validação de chave - header X-Secret-Key identifica o cliente,
+   *    ou assinatura HMAC (X-Api-Client/X-Timestamp/X-Nonce/X-Signature)
+   * 3. Validação de IP do cliente - se o cliente tiver lista própria
+   *
+   * O cliente autenticado fica disponível em req.apiClient e cada
+   * requisição gera uma linha API_AUDIT no log ao terminar.
+   *
+   * @returns {Function} Middleware do Express
+   */
+  middleware() {
+    return (req, res, next) => {
+      // IP real do cliente (X-Forwarded-For apenas de proxies confiáveis)
+      const clientIp = this.ipFilter.getClientIp(req);
+      req.clientIp = clientIp;
+      this.logger.info(`Requisição recebida de IP: ${clientIp}`);
+
+      // ========== ROTAS LIBERADAS SEM CHAVE ==========
+      const anonymousClient = this.getAnonymousClient(req, clientIp);
+      if (anonymousClient) {
+        req.apiClient = anonymousClient;
+        return next();
+      }
+
+      // ========== VALIDAÇÃO DE IP ==========
+      // Verificar se o IP está na lista de IPs/CIDRs permitidos ou é localhost (se liberado)
+      if (!this.ipFilter.isAllowed(clientIp, config.server.allowedIps) && !this.ipFilter.isLocalhostBypass(clientIp)) {
+        this.logger.warn(`IP não autorizado: ${clientIp}`);
+        return res.status(403).json({ error: 'IP não autorizado' });
+      }
+
+      // ========== VALIDAÇÃO DE CHAVE OU ASSINATURA ==========
+      let client;
+      if (req.headers['x-signature'] && this.signingConfig.enabled) {
+        const result = this.authenticateSignedRequest(req);
+        if (result.error) {
+          this.logger.warn(`Requisição assinada rejeitada de IP ${clientIp}: ${result.error}`, {
+            client: req.headers['x-api-client'] || 'default'
+          });
+          return res.status(401).json({ error: 'Assinatura inválida', message: result.error });
+        }
+        client = result.client;
+      } else {
+        const secretKey = req.headers['x-secret-key'];
+        client = this.authenticate(secretKey);
+        if (!client) {
+          this.logger.warn(`Chave secreta inválida de IP: ${clientIp}`, {
+            keyFingerprint: secretKey ? this.hashKey(secretKey).substring(0, 8) : null
+          });
+          return res.status(401).json({ error: 'Chave secreta inválida' });
+        }
+
+        // Cliente (ou servidor) configurado para aceitar apenas requisições assinadas
+        if (client.requireSignature || (this.signingConfig.enabled && this.signingConfig.required)) {
+          this.logger.warn(`Cliente ${client.name} enviou chave estática mas exige assinatura`);
+          return res.status(401).json({ error: 'Requisição assinada obrigatória' });
+        }
+      }
+
+      // ========== VALIDAÇÃO DE IP DO CLIENTE ==========
+      if (client.allowedIps.length > 0 && !this.ipFilter.isAllowed(clientIp, client.allowedIps)) {
+        this.logger.warn(`IP ${clientIp} não autorizado para o cliente ${client.name}`);
+        return res.status(403).json({ error: 'IP não autorizado' });
+      }
+
+      req.apiClient = client;
+
+      // ========== TRILHA DE AUDITORIA ==========
+      const startedAt = Date.now();
+      res.on('finish', () => {
+        this.logger.info('API_AUDIT', {
+          client: client.name,
+          ip: clientIp,
+          method: req.method,
+          path: req.originalUrl,
+          status: res.statusCode,
+          durationMs: Date.now() - startedAt
+        });
+      });
+
+      next();
+    };
+  }
+
+  /**
+   * Cria um middleware que exige um escopo na rota
+   *
+   * @param {string} scope - Escopo exigido (ex: 'payments:write')
+   * @returns {Function} Middleware do Express
+   */
+  requireScope(scope) {
+    return (req, res, next) => {
+      if (!req.apiClient || !this.hasScope(req.apiClient, scope)) {
+        this.logger.warn(`Cliente ${req.apiClient?.name} sem escopo ${scope} para ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+          error: 'Permissão insuficiente',
+          requiredScope: scope
+        });
+      }
+
+      next();
+    };
+  }
+}
+
+module.exports = AuthManager;
@@ -0,0 +1,299 @@
+/**
+ * BATCH-PROCESSOR.JS - Execução de Lotes de Pagamentos
+ *
+ * Executa os pagamentos aceitos pelo POST /payments/batch (retirados pela
+ * PaymentQueue) agrupados por tipo de envio, para pagar a taxa de rede uma
+ * vez por lote em vez de uma vez por pagamento:
+ * - Bitcoin on-chain: uma transação SendMany do LND com todas as saídas
+ * - Liquid: uma transação sendmany do Elements com todas as saídas
+ * - Lightning (invoices e Lightning Addresses): pagamentos individuais com
+ *   no máximo batch.lightningConcurrency em paralelo
+ *
+ * TRANSAÇÃO COMPARTILHADA:
+ * Uma transação não pode ter duas saídas para o mesmo endereço, então
+ * destinos repetidos vão para transações seguintes. A taxa total é dividida
+ * em partes iguais entre as saídas (cada saída ocupa praticamente o mesmo
+ * espaço) e os satoshis que sobram da divisão ficam com as primeiras. Cada
+ * pagamento guarda sua parte em networkFee e os dados da transação em
+ * batch { id, transactionHash, outputs, totalFee }.
+ *
+ * LIMITES DE TAXA:
+ * Com limites de taxa (config.fees ou maxFee* do item), a transação é
+ * estimada antes do envio e os pagamentos cuja parte da taxa passa do teto
+ * falham com fee_limit_exceeded; a estimativa é refeita sem eles e a
+ * transação é enviada com a taxa por vbyte estimada.
+ *
+ * Cada pagamento passa pela política de limites e recebe os mesmos webhooks
+ * de um pagamento individual (payment.pending, payment.completed,
+ * payment.failed ou payment.rejected). Se a transação compartilhada falhar,
+ * todos os pagamentos dela ficam com status error e podem ser executados de
+ * novo com POST /payment/:id/retry.
+ */
+
+const config = require('../config/config.json');
+
+class BatchProcessor {
+  /**
+   * Construtor do BatchProcessor
+   *
+   * @param {PaymentProcessor} paymentProcessor - Processador com RPCs, política e webhooks
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(paymentProcessor, logger) {
+    this.paymentProcessor = paymentProcessor;
+    this.logger = logger;
+    this.config = config.batch || {};
+  }
+
+  /**
+   * Executa os pagamentos de um lote
+   *
+   * Os três grupos (on-chain, Liquid e Lightning) são executados em paralelo.
+   *
+   * @param {string} batchId - Identificador do lote
+   * @param {Array<Object>} paymentRequests - Requisições já gravadas pela fila (queued ou pending)
+   * @returns {Promise<void>} Resolve quando todos os pagamentos terminam (o resultado fica em cada requisição)
+   */
+  async processBatch(batchId, paymentRequests) {
+    const groups = { bitcoin: [], liquid: [], lightning: [] };
+    for (const paymentRequest of paymentRequests) {
+      groups[this.getGroup(paymentRequest)].push(paymentRequest);
+    }
+
+    this.logger.info(`Lote ${batchId}: ${groups.bitcoin.length} on-chain, ${groups.liquid.length} Liquid, ${groups.lightning.length} Lightning`);
+
+    const { lightningRPC, liquidRPC } = this.paymentProcessor;
+    await Promise.all([
+      this.processSharedTransactions(batchId, groups.bitcoin, {
+        estimate: outputs => lightningRPC.estimateFee(outputs),
+        send: (outputs, feeRate) => lightningRPC.sendOnChainMany(outputs, feeRate)
+      }),
+      this.processSharedTransactions(batchId, groups.liquid, {
+        estimate: outputs => liquidRPC.estimateFee(Object.keys(outputs).length, 6, true),
+        send: (outputs, feeRate) => liquidRPC.sendMany(outputs, feeRate)
+      }),
+      this.processLightning(groups.lightning)
+    ]);
+  }
+
+  /**
+   * Identifica como um pagamento do lote é enviado
+   *
+   * @param {Object} paymentRequest - Requisição de pagamento
+   * @returns {string} bitcoin (on-chain), liquid ou lightning
+   */
+  getGroup(paymentRequest) {
+    // Rede já resolvida no registro do item (mesmo roteamento do LightningRPC.sendPayment)
+    return paymentRequest.network;
+  }
+
+  /**
+   * Executa pagamentos on-chain ou Liquid em transações compartilhadas
+   *
+   * A política de limites é avaliada item a item e cada pagamento aceito é
+   * gravado como processing antes da avaliação do seguinte, para que o
+   * próprio lote entre na soma dos limites.
+   *
+   * @param {string} batchId - Identificador do lote
+   * @param {Array<Object>} paymentRequests - Requisições do grupo
+   * @param {Object} backend - { estimate(outputs), send(outputs, feeRate) } do grupo; outputs é { endereço: sats }
+   */
+  async processSharedTransactions(batchId, paymentRequests, backend) {
+    const processor = this.paymentProcessor;
+    const startedAt = process.hrtime.bigint();
+    const accepted = [];
+
+    for (const paymentRequest of paymentRequests) {
+      // Avaliação e gravação sem await entre elas: o próximo item já enxerga este na soma
+      const violation = processor.policyEngine.evaluate(paymentRequest);
+      if (violation) {
+        await processor.rejectPayment(paymentRequest, violation);
+        processor.recordPaymentMetrics(paymentRequest, 'rejected', startedAt);
+        continue;
+      }
+
+      processor.activePayments.set(paymentRequest.id, paymentRequest);
+      processor.recordTransition(paymentRequest, 'processing', { batchId });
+      processor.savePaymentRequest(paymentRequest);
+      accepted.push(paymentRequest);
+    }
+
+    try {
+      await Promise.all(accepted.map(paymentRequest => this.sendPendingWebhook(paymentRequest)));
+
+      for (const transaction of this.splitByDestination(accepted)) {
+        await this.sendSharedTransaction(batchId, transaction, backend, startedAt);
+      }
+    } finally {
+      for (const paymentRequest of accepted) {
+        processor.activePayments.delete(paymentRequest.id);
+      }
+    }
+  }
+
+  /**
+   * Envia o webhook payment.pending de um pagamento do lote
+   *
+   * @param {Object} paymentRequest - Requisição já gravada como processing
+   */
+  async sendPendingWebhook(paymentRequest) {
+    if (!paymentRequest.webhookUrl) {
+      return;
+    }
+
+    const processor = this.paymentProcessor;
+    const delivered = await processor.webhookManager.sendPaymentPendingWebhook(
+      paymentRequest.webhookUrl,
+      paymentRequest,
+      paymentRequest.webhookSecret
+    );
+    processor.recordWebhookDelivery(paymentRequest, 'payment.pending', delivered);
+    processor.savePaymentRequest(paymentRequest);
+  }
+
+  /**
+   * Separa os pagamentos em transações sem destinos repetidos
+   *
+   * @param {Array<Object>} paymentRequests - Requisições do grupo
+   * @returns {Array<Array<Object>>} Pagamentos de cada transação, na ordem de chegada
+   */
+  splitByDestination(paymentRequests) {
+    const transactions = [];
+    for (const paymentRequest of paymentRequests) {
+      let transaction = transactions.find(candidate =>
+        !candidate.some(other => other.destinationWallet === paymentRequest.destinationWallet));
+      if (!transaction) {
+        transaction = [];
+        transactions.push(transaction);
+      }
+      transaction.push(paymentRequest);
+    }
+    return transactions;
+  }
+
+  /**
+   * Envia uma transação compartilhada e registra o resultado em cada pagamento
+   *
+   * @param {string} batchId - Identificador do lote
+   * @param {Array<Object>} candidates - Pagamentos da transação (destinos distintos)
+   * @param {Object} backend - Estimativa e envio do grupo
+   * @param {bigint} startedAt - Início do processamento do grupo
+   */
+  async sendSharedTransaction(batchId, candidates, backend, startedAt) {
+    const processor = this.paymentProcessor;
+    let paymentRequests = candidates;
+    let feeRate = null;
+
+    // ========== LIMITES DE TAXA ==========
+    // Cada retirada muda a transação, então a estimativa é refeita até todos caberem nos limites
+    const limited = paymentRequests.some(paymentRequest =>
+      Object.keys(processor.feePolicy.getLimits(paymentRequest)).length > 0);
+    while (limited && paymentRequests.length > 0) {
+      let estimate;
+      try {
+        estimate = await backend.estimate(this.buildOutputs(paymentRequests));
+      } catch (error) {
+        await Promise.all(paymentRequests.map(paymentRequest =>
+          processor.markFailed(paymentRequest, error, startedAt)));
+        return;
+      }
+
+      const shares = this.allocateFee(estimate.fee, paymentRequests.length);
+      const checked = paymentRequests.map((paymentRequest, index) => ({
+        paymentRequest,
+        error: processor.feePolicy.check(paymentRequest, { fee: shares[index], feeRate: estimate.feeRate })
+      }));
+      const exceeded = checked.filter(item => item.error);
+      await Promise.all(exceeded.map(item => processor.markFailed(item.paymentRequest, item.error, startedAt)));
+
+      paymentRequests = checked.filter(item => !item.error).map(item => item.paymentRequest);
+      feeRate = estimate.feeRate || null;
+      if (exceeded.length === 0) {
+        break;
+      }
+    }
+    if (paymentRequests.length === 0) {
+      return;
+    }
+
+    let result;
+    try {
+      result = await backend.send(this.buildOutputs(paymentRequests), feeRate);
+    } catch (error) {
+      await Promise.all(paymentRequests.map(paymentRequest =>
+        processor.markFailed(paymentRequest, error, startedAt)));
+      return;
+    }
+
+    this.logger.info(`Lote ${batchId}: transação ${result.transactionHash} com ${paymentRequests.length} saída(s), taxa ${result.fee ?? 'desconhecida'}`);
+
+    const shares = this.allocateFee(result.fee || 0, paymentRequests.length);
+    await Promise.all(paymentRequests.map((paymentRequest, index) => {
+      paymentRequest.batch = {
+        id: batchId,
+        transactionHash: result.transactionHash,
+        outputs: paymentRequests.length,
+        totalFee: result.fee
+      };
+      return processor.markSent(paymentRequest,
+        { transactionHash: result.transactionHash, fee: shares[index] },
+        startedAt,
+        { batchId, batchOutputs: paymentRequests.length, batchFee: result.fee });
+    }));
+  }
+
+  /**
+   * Monta as saídas de uma transação compartilhada
+   *
+   * @param {Array<Object>} paymentRequests - Pagamentos com destinos distintos
+   * @returns {Object<string, number>} Endereço -> valor em satoshis
+   */
+  buildOutputs(paymentRequests) {
+    const outputs = {};
+    for (const paymentRequest of paymentRequests) {
+      outputs[paymentRequest.destinationWallet] = paymentRequest.amount;
+    }
+    return outputs;
+  }
+
+  /**
+   * Divide a taxa de uma transação compartilhada entre as saídas
+   *
+   * @param {number} totalFee - Taxa total em satoshis
+   * @param {number} count - Número de saídas
+   * @returns {Array<number>} Parte de cada saída (soma igual à taxa total)
+   */
+  allocateFee(totalFee, count) {
+    const share = Math.floor(totalFee / count);
+    const remainder = totalFee - share * count;
+    return Array.from({ length: count }, (_, index) => share + (index < remainder ? 1 : 0));
+  }
+
+  /**
+   * Executa os pagamentos Lightning do lote com concorrência limitada
+   *
+   * Cada pagamento segue o fluxo normal do PaymentProcessor.processPayment;
+   * falhas e recusas ficam registradas na própria requisição.
+   *
+   * @param {Array<Object>} paymentRequests - Requisições Lightning
+   */
+  async processLightning(paymentRequests) {
+    const pending = paymentRequests.slice();
+    const concurrency = Math.max(1, this.config.lightningConcurrency || 5);
+
+    const worker = async () => {
+      while (pending.length > 0) {
+        const paymentRequest = pending.shift();
+        try {
+          await this.paymentProcessor.processPayment(paymentRequest);
+        } catch (error) {
+          // Já registrado pelo PaymentProcessor (status error ou rejected)
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+  }
+}
+
+module.exports = BatchProcessor;
@@ -0,0 +1,293 @@
+/**
+ * CONFIRMATION-TRACKER.JS - Confirmações dos Pagamentos On-chain e Liquid
+ *
+ * Um pagamento on-chain ou Liquid fica com status sent assim que o nó
+ * retorna o txid, mas a transação ainda pode não ser minerada. A cada
+ * confirmations.pollSeconds os pagamentos enviados são conferidos no nó:
+ * - Bitcoin: GetTransactions do LND (uma consulta para todos)
+ * - Liquid: gettransaction do Elements para cada txid
+ *
+ * Cada rodada grava no pagamento o número de confirmações, o hash e a
+ * altura do bloco. Depois disso:
+ * - confirmed: atingiu confirmations.required.{rede} confirmações; webhook
+ *   payment.confirmed e o pagamento sai do acompanhamento
+ * - dropped: a transação foi substituída por outra que gasta as mesmas
+ *   entradas (Liquid: confirmações negativas) ou sumiu da carteira depois
+ *   de confirmations.missingGraceSeconds (descartada do mempool ou
+ *   substituída); webhook payment.dropped com errorCode transaction_dropped
+ *
+ * Apenas pagamentos marcados por PaymentProcessor.trackConfirmations()
+ * (campo confirmations) são acompanhados; pagamentos Lightning são
+ * definitivos no envio.
+ */
+
+const config = require('../config/config.json');
+
+// Confirmações exigidas quando confirmations.required não define a rede
+const DEFAULT_REQUIRED = { bitcoin: 3, liquid: 2 };
+
+// Código do Elements para "Invalid or non-wallet transaction id"
+const RPC_INVALID_ADDRESS_OR_KEY = -5;
+
+class ConfirmationTracker {
+  /**
+   * Construtor do ConfirmationTracker
+   *
+   * @param {PaymentProcessor} paymentProcessor - Processador com armazenamento, RPCs e webhooks
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(paymentProcessor, logger) {
+    this.paymentProcessor = paymentProcessor;
+    this.logger = logger;
+    this.config = config.confirmations || {};
+
+    this.running = false;
+    this.active = false;
+    this.timer = null;
+  }
+
+  /**
+   * Verifica se o acompanhamento está habilitado
+   *
+   * @returns {boolean} true salvo se confirmations.enabled for false
+   */
+  isEnabled() {
+    return this.config.enabled !== false;
+  }
+
+  /**
+   * Confirmações exigidas para o webhook payment.confirmed
+   *
+   * @param {string} network - bitcoin ou liquid
+   * @returns {number} confirmations.required.{rede} (padrão: 3 no Bitcoin, 2 na Liquid)
+   */
+  getRequiredConfirmations(network) {
+    return (this.config.required || {})[network] || DEFAULT_REQUIRED[network];
+  }
+
+  /**
+   * Inicia as rodadas periódicas (chamado quando o servidor sobe)
+   */
+  start() {
+    if (!this.isEnabled() || this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.run();
+
+    this.timer = setInterval(() => this.run(), (this.config.pollSeconds || 60) * 1000);
+    this.timer.unref();
+  }
+
+  /**
+   * Interrompe as rodadas (chamado no desligamento)
+   *
+   * Uma rodada em andamento termina o pagamento atual e para.
+   */
+  stop() {
+    this.running = false;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Confere todos os pagamentos enviados aguardando confirmação
+   *
+   * Uma rede indisponível não impede a conferência da outra.
+   *
+   * @returns {Promise<Object>} Resumo { updated, confirmed, dropped }
+   */
+  async run() {
+    const summary = { updated: 0, confirmed: 0, dropped: 0 };
+    if (this.active) {
+      return summary;
+    }
+
+    this.active = true;
+    try {
+      for (const network of ['bitcoin', 'liquid']) {
+        if (!this.running) {
+          break;
+        }
+
+        // Pagamentos ainda em markSent (webhook payment.completed em andamento) ficam para a próxima rodada
+        const { storage, activePayments } = this.paymentProcessor;
+        const payments = storage
+          .listPayments({ status: ['sent'], network })
+          .filter(payment => payment.confirmations !== undefined && payment.transactionHash
+            && !activePayments.has(payment.id));
+        if (payments.length === 0) {
+          continue;
+        }
+
+        try {
+          const lookup = await this.createLookup(network);
+          for (const payment of payments) {
+            if (!this.running) {
+              break;
+            }
+            const outcome = await this.check(payment, await lookup(payment.transactionHash));
+            if (outcome) {
+              summary[outcome]++;
+            }
+          }
+        } catch (error) {
+          this.logger.warn(`Conferência de confirmações ${network} adiada: ${error.message}`);
+        }
+      }
+    } finally {
+      this.active = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Cria a consulta de transações de uma rede para uma rodada
+   *
+   * @param {string} network - bitcoin ou liquid
+   * @returns {Promise<Function>} txid -> Promise<{ found, confirmations, blockHash, blockHeight, conflicts }>
+   */
+  async createLookup(network) {
+    if (network === 'bitcoin') {
+      const transactions = await this.paymentProcessor.lightningRPC.listTransactions(Infinity);
+      const byTxid = new Map(transactions.map(tx => [tx.txid, tx]));
+
+      return async txid => {
+        const tx = byTxid.get(txid);
+        return tx
+          ? { found: true, confirmations: tx.confirmations, blockHash: tx.blockHash, blockHeight: tx.blockHeight || null, conflicts: [] }
+          : { found: false };
+      };
+    }
+
+    // Pagamentos de um lote compartilham a transação: uma consulta por txid
+    const cache = new Map();
+    return async txid => {
+      if (!cache.has(txid)) {
+        cache.set(txid, await this.lookupLiquid(txid));
+      }
+      return cache.get(txid);
+    };
+  }
+
+  /**
+   * Consulta uma transação na carteira do Elements
+   *
+   * @param {string} txid - Hash da transação
+   * @returns {Promise<Object>} { found, confirmations, blockHash, blockHeight, conflicts }
+   * @throws {Error} Se o Elements estiver indisponível
+   */
+  async lookupLiquid(txid) {
+    try {
+      const status = await this.paymentProcessor.liquidRPC.getTransactionStatus(txid);
+      return {
+        found: true,
+        confirmations: status.confirmations,
+        blockHash: status.blockHash,
+        blockHeight: status.blockHeight,
+        conflicts: status.walletConflicts
+      };
+    } catch (error) {
+      if (error.rpcCode === RPC_INVALID_ADDRESS_OR_KEY) {
+        return { found: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Aplica o resultado da consulta a um pagamento
+   *
+   * @param {Object} payment - Pagamento enviado (status sent)
+   * @param {Object} tx - Resultado da consulta da transação
+   * @returns {Promise<string|null>} updated, confirmed, dropped ou null se nada mudou
+   */
+  async check(payment, tx) {
+    if (!tx.found) {
+      const graceMs = (this.config.missingGraceSeconds || 1800) * 1000;
+      if (Date.now() - new Date(payment.completedAt).getTime() < graceMs) {
+        return null;
+      }
+      await this.markDropped(payment, 'Transação não encontrada na carteira do nó (descartada do mempool ou substituída)', { reason: 'not_found' });
+      return 'dropped';
+    }
+
+    // Confirmações negativas: uma transação conflitante foi confirmada no lugar desta
+    if (tx.confirmations < 0) {
+      await this.markDropped(payment, 'Transação substituída por outra que gasta as mesmas entradas',
+        { reason: 'conflicted', conflicts: tx.conflicts });
+      return 'dropped';
+    }
+
+    const changed = payment.confirmations !== tx.confirmations || payment.blockHash !== (tx.blockHash || null);
+    payment.confirmations = tx.confirmations;
+    payment.blockHash = tx.blockHash || null;
+    payment.blockHeight = tx.blockHeight ?? payment.blockHeight ?? null;
+
+    if (tx.confirmations >= this.getRequiredConfirmations(payment.network)) {
+      await this.markConfirmed(payment);
+      return 'confirmed';
+    }
+
+    if (changed) {
+      this.paymentProcessor.savePaymentRequest(payment);
+      return 'updated';
+    }
+    return null;
+  }
+
+  /**
+   * Registra a confirmação de um pagamento e envia o webhook payment.confirmed
+   *
+   * @param {Object} payment - Pagamento com confirmations e blockHash atualizados
+   */
+  async markConfirmed(payment) {
+    const processor = this.paymentProcessor;
+    payment.confirmedAt = new Date().toISOString();
+    processor.recordTransition(payment, 'confirmed', {
+      confirmations: payment.confirmations,
+      blockHash: payment.blockHash
+    });
+
+    if (payment.webhookUrl) {
+      const delivered = await processor.webhookManager.sendPaymentConfirmedWebhook(
+        payment.webhookUrl, payment, payment.webhookSecret);
+      processor.recordWebhookDelivery(payment, 'payment.confirmed', delivered);
+    }
+
+    processor.savePaymentRequest(payment);
+    this.logger.info(`Pagamento ${payment.id} confirmado: ${payment.confirmations} confirmações, bloco ${payment.blockHash}`);
+  }
+
+  /**
+   * Registra a transação descartada e envia o webhook payment.dropped
+   *
+   * @param {Object} payment - Pagamento enviado
+   * @param {string} message - Descrição do problema
+   * @param {Object} details - { reason, conflicts? } gravados no histórico
+   */
+  async markDropped(payment, message, details) {
+    const processor = this.paymentProcessor;
+    payment.error = message;
+    payment.errorCode = 'transaction_dropped';
+    payment.droppedAt = new Date().toISOString();
+    processor.recordTransition(payment, 'dropped', {
+      transactionHash: payment.transactionHash,
+      errorCode: payment.errorCode,
+      ...details
+    });
+
+    if (payment.webhookUrl) {
+      const delivered = await processor.webhookManager.sendPaymentDroppedWebhook(
+        payment.webhookUrl, payment, payment.webhookSecret);
+      processor.recordWebhookDelivery(payment, 'payment.dropped', delivered);
+    }
+
+    processor.savePaymentRequest(payment);
+    this.logger.warn(`Pagamento ${payment.id}: transação ${payment.transactionHash} descartada - ${message}`);
+  }
+}
+
+module.exports = ConfirmationTracker;
@@ -0,0 +1,418 @@
+/**
+ * DEPOSIT-MANAGER.JS - Endereços de Depósito On-chain e Liquid
+ *
+ * Emite endereços de depósito pelo POST /address/:network, cada um ligado a
+ * um usuário e a uma referência do cliente, e acompanha os depósitos
+ * recebidos neles, notificando o sistema cliente por webhook:
+ * - deposit.detected: transação vista com 0 confirmações (mempool)
+ * - deposit.confirmed: transação com deposits.confirmations.{rede} confirmações
+ *
+ * ACOMPANHAMENTO:
+ * - Bitcoin: stream SubscribeTransactions do LND (detecção imediata) e
+ *   GetTransactions a cada deposits.pollSeconds para contar as
+ *   confirmações e recuperar o que chegou com o stream fechado
+ * - Liquid: listtransactions do Elements a cada deposits.pollSeconds
+ *   (as últimas deposits.liquidScanCount transações); depósitos pendentes
+ *   que saíram dessa janela são conferidos com gettransaction
+ *
+ * VÁRIOS DEPÓSITOS NO MESMO ENDEREÇO:
+ * Cada saída (txid + vout) recebida no endereço é um depósito separado em
+ * deposits[], com seus próprios webhooks. Reusar o endereço funciona, mas
+ * o recomendado é emitir um endereço por cobrança.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config.json');
+const { PaymentError } = require('./errors');
+
+// Confirmações exigidas quando deposits.confirmations não define a rede
+const DEFAULT_CONFIRMATIONS = { bitcoin: 3, liquid: 2 };
+
+class DepositManager {
+  /**
+   * Construtor do DepositManager
+   *
+   * @param {PaymentProcessor} paymentProcessor - Processador com armazenamento, RPCs e webhooks
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(paymentProcessor, logger) {
+    this.paymentProcessor = paymentProcessor;
+    this.logger = logger;
+    this.config = config.deposits || {};
+
+    this.running = false;
+    this.stream = null;
+    this.reconnectTimer = null;
+    this.pollTimer = null;
+
+    // Referências com emissão em andamento (evita dois endereços para a mesma referência)
+    this.creating = new Set();
+
+    // Atualizações do stream e das consultas periódicas são aplicadas uma de cada vez
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Confirmações exigidas para o webhook deposit.confirmed
+   *
+   * @param {string} network - bitcoin ou liquid
+   * @returns {number} deposits.confirmations.{rede} (padrão: 3 no Bitcoin, 2 na Liquid)
+   */
+  getRequiredConfirmations(network) {
+    return (this.config.confirmations || {})[network] || DEFAULT_CONFIRMATIONS[network];
+  }
+
+  // ========== EMISSÃO ==========
+
+  /**
+   * Emite um endereço de depósito (ou retorna o já emitido para a mesma referência)
+   *
+   * @param {Object} request - { network, reference, username, label?, addressType?, webhookUrl?, webhookSecret? }
+   * @returns {Promise<Object>} { depositAddress, created } — created false para requisição repetida
+   * @throws {PaymentError} idempotency_conflict (mesma referência com outros dados) ou address_in_progress
+   */
+  async createAddress(request) {
+    const existing = this.paymentProcessor.storage.findDepositAddressByReference(request.reference);
+    if (existing) {
+      const mismatched = ['network', 'username'].filter(field => existing[field] !== request[field]);
+      if (mismatched.length > 0) {
+        throw new PaymentError('idempotency_conflict',
+          'Já existe um endereço emitido para esta referência com dados diferentes',
+          { addressId: existing.id, fields: mismatched });
+      }
+      return { depositAddress: existing, created: false };
+    }
+
+    if (this.creating.has(request.reference)) {
+      throw new PaymentError('address_in_progress',
+        `Endereço da referência ${request.reference} ainda sendo emitido`);
+    }
+
+    this.creating.add(request.reference);
+    try {
+      const { lightningRPC, liquidRPC } = this.paymentProcessor;
+      const label = request.label || request.reference;
+      let address;
+      let unconfidentialAddress = null;
+
+      if (request.network === 'liquid') {
+        address = await liquidRPC.getNewAddressConfidential(label);
+        unconfidentialAddress = await liquidRPC.getUnconfidentialAddress(address);
+      } else {
+        address = await lightningRPC.getNewAddress(request.addressType || 'p2wkh');
+      }
+
+      const depositAddress = {
+        id: uuidv4(),
+        network: request.network,
+        address,
+        unconfidentialAddress,
+        reference: request.reference,
+        username: request.username,
+        label,
+        requiredConfirmations: this.getRequiredConfirmations(request.network),
+        createdAt: new Date().toISOString(),
+        webhookUrl: request.webhookUrl || null,
+        webhookSecret: request.webhookSecret || null,
+        deposits: []
+      };
+      this.paymentProcessor.storage.saveDepositAddress(depositAddress);
+
+      this.logger.info(`Endereço de depósito ${depositAddress.id} emitido: ${address} (${request.network}, usuário ${request.username}, referência ${request.reference})`);
+      return { depositAddress, created: true };
+    } finally {
+      this.creating.delete(request.reference);
+    }
+  }
+
+  /**
+   * Dados públicos de um endereço de depósito (respostas da API)
+   *
+   * @param {Object} depositAddress - Registro do endereço
+   * @returns {Object} Endereço sem o webhookSecret
+   */
+  formatDepositAddress(depositAddress) {
+    return {
+      id: depositAddress.id,
+      network: depositAddress.network,
+      address: depositAddress.address,
+      unconfidentialAddress: depositAddress.unconfidentialAddress,
+      reference: depositAddress.reference,
+      username: depositAddress.username,
+      label: depositAddress.label,
+      requiredConfirmations: depositAddress.requiredConfirmations,
+      createdAt: depositAddress.createdAt,
+      deposits: depositAddress.deposits || [],
+      webhookDeliveries: depositAddress.webhookDeliveries || []
+    };
+  }
+
+  // ========== CICLO DE VIDA ==========
+
+  /**
+   * Abre o stream de transações do LND e inicia as consultas periódicas
+   * (chamado quando o servidor sobe)
+   *
+   * A primeira consulta roda na hora para recuperar os depósitos recebidos
+   * com o servidor parado.
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.subscribe();
+    this.enqueue(() => this.poll());
+
+    const intervalMs = (this.config.pollSeconds || 30) * 1000;
+    this.pollTimer = setInterval(() => {
+      this.enqueue(() => this.poll());
+    }, intervalMs);
+    this.pollTimer.unref();
+  }
+
+  /**
+   * Fecha o stream e para os timers (chamado no desligamento)
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.pollTimer);
+    this.reconnectTimer = null;
+    this.pollTimer = null;
+
+    if (this.stream) {
+      const stream = this.stream;
+      this.stream = null;
+      stream.cancel();
+    }
+  }
+
+  /**
+   * Executa uma atualização depois das anteriores
+   *
+   * @param {Function} task - Função assíncrona
+   * @returns {Promise<void>} Conclusão da tarefa
+   */
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch(error => {
+      this.logger.error(`Erro ao atualizar depósitos: ${error.message}`, error);
+    });
+    return this.queue;
+  }
+
+  // ========== STREAM DO LND ==========
+
+  /**
+   * Abre o SubscribeTransactions do LND
+   */
+  subscribe() {
+    try {
+      this.stream = this.paymentProcessor.lightningRPC.subscribeTransactions(
+        tx => this.enqueue(() => this.handleBitcoinTransaction(tx)),
+        error => this.handleStreamClose(error)
+      );
+    } catch (error) {
+      this.handleStreamClose(error);
+    }
+  }
+
+  /**
+   * Agenda a reabertura do stream após erro ou encerramento pelo LND
+   *
+   * @param {Error|null} error - Motivo do encerramento
+   */
+  handleStreamClose(error) {
+    this.stream = null;
+    if (!this.running) {
+      return;
+    }
+
+    const reconnectSeconds = this.config.reconnectSeconds || 5;
+    this.logger.warn(`Stream de transações on-chain encerrado (${error ? error.message : 'fim do stream'}), nova tentativa em ${reconnectSeconds}s`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.running) {
+        this.subscribe();
+      }
+    }, reconnectSeconds * 1000);
+    this.reconnectTimer.unref();
+  }
+
+  // ========== CONSULTAS PERIÓDICAS ==========
+
+  /**
+   * Consulta as transações das duas redes
+   *
+   * Uma rede indisponível não impede a consulta da outra; a próxima rodada
+   * tenta de novo.
+   */
+  async poll() {
+    for (const network of ['bitcoin', 'liquid']) {
+      if (!this.running) {
+        return;
+      }
+      try {
+        await (network === 'bitcoin' ? this.scanBitcoin() : this.scanLiquid());
+      } catch (error) {
+        this.logger.warn(`Consulta de depósitos ${network} adiada: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Aplica todas as transações da carteira do LND
+   */
+  async scanBitcoin() {
+    const transactions = await this.paymentProcessor.lightningRPC.listTransactions(Infinity);
+    for (const tx of transactions) {
+      await this.handleBitcoinTransaction(tx);
+    }
+  }
+
+  /**
+   * Aplica as transações recentes do Elements e confere os depósitos
+   * pendentes que ficaram fora da janela consultada
+   */
+  async scanLiquid() {
+    const liquidRPC = this.paymentProcessor.liquidRPC;
+    const transactions = await liquidRPC.listTransactions(this.config.liquidScanCount || 200);
+    const seen = new Set();
+
+    for (const tx of transactions) {
+      if (tx.category !== 'receive' || !tx.address) {
+        continue;
+      }
+      seen.add(tx.txid);
+      await this.handleOutput('liquid', tx);
+    }
+
+    for (const depositAddress of this.paymentProcessor.storage.listDepositAddressesWithPending('liquid')) {
+      for (const deposit of depositAddress.deposits) {
+        if (deposit.status !== 'detected' || seen.has(deposit.txid)) {
+          continue;
+        }
+        const status = await liquidRPC.getTransactionStatus(deposit.txid);
+        await this.handleOutput('liquid', {
+          ...deposit,
+          address: depositAddress.address,
+          confirmations: status.confirmations,
+          blockHash: status.blockHash
+        });
+      }
+    }
+  }
+
+  // ========== DEPÓSITOS ==========
+
+  /**
+   * Aplica as saídas de uma transação do LND que pagam endereços da carteira
+   *
+   * @param {Object} tx - Transação no formato de LightningRPC.formatTransaction()
+   */
+  async handleBitcoinTransaction(tx) {
+    for (const output of tx.outputDetails) {
+      if (!output.isOurAddress || output.amount <= 0) {
+        continue;
+      }
+      await this.handleOutput('bitcoin', {
+        txid: tx.txid,
+        vout: output.outputIndex,
+        address: output.address,
+        amount: output.amount,
+        confirmations: tx.confirmations,
+        blockHash: tx.blockHash
+      });
+    }
+  }
+
+  /**
+   * Registra ou atualiza o depósito de uma saída recebida
+   *
+   * Saídas para endereços que não foram emitidos pelo POST /address/:network
+   * (ex: troco) são ignoradas.
+   *
+   * @param {string} network - bitcoin ou liquid
+   * @param {Object} output - { txid, vout, address, amount, asset?, confirmations, blockHash }
+   */
+  async handleOutput(network, output) {
+    const depositAddress = this.paymentProcessor.storage.findDepositAddress(output.address);
+    if (!depositAddress || depositAddress.network !== network) {
+      return;
+    }
+
+    let deposit = depositAddress.deposits.find(item => item.txid === output.txid && item.vout === output.vout);
+    if (!deposit) {
+      // Transação em conflito na Liquid (confirmações negativas) não é um depósito
+      if (output.confirmations < 0) {
+        return;
+      }
+
+      deposit = {
+        txid: output.txid,
+        vout: output.vout,
+        amount: output.amount,
+        asset: output.asset || null,
+        confirmations: output.confirmations,
+        blockHash: output.blockHash || null,
+        status: 'detected',
+        detectedAt: new Date().toISOString(),
+        confirmedAt: null
+      };
+      depositAddress.deposits.push(deposit);
+      this.paymentProcessor.storage.saveDepositAddress(depositAddress);
+
+      this.logger.info(`Depósito detectado em ${depositAddress.address}: ${deposit.amount} sats, transação ${deposit.txid}:${deposit.vout}`);
+      await this.notify(depositAddress, deposit, 'deposit.detected');
+    } else if (deposit.confirmations !== output.confirmations || (output.blockHash && deposit.blockHash !== output.blockHash)) {
+      deposit.confirmations = output.confirmations;
+      deposit.blockHash = output.blockHash || deposit.blockHash;
+      this.paymentProcessor.storage.saveDepositAddress(depositAddress);
+    }
+
+    if (deposit.status === 'detected' && deposit.confirmations >= depositAddress.requiredConfirmations) {
+      deposit.status = 'confirmed';
+      deposit.confirmedAt = new Date().toISOString();
+      this.paymentProcessor.storage.saveDepositAddress(depositAddress);
+
+      this.logger.info(`Depósito confirmado em ${depositAddress.address}: transação ${deposit.txid}:${deposit.vout} com ${deposit.confirmations} confirmações`);
+      await this.notify(depositAddress, deposit, 'deposit.confirmed');
+    }
+  }
+
+  /**
+   * Envia o webhook de um depósito e registra a entrega no endereço
+   *
+   * @param {Object} depositAddress - Registro do endereço
+   * @param {Object} deposit - Depósito notificado
+   * @param {string} event - deposit.detected ou deposit.confirmed
+   */
+  async notify(depositAddress, deposit, event) {
+    if (!depositAddress.webhookUrl) {
+      return;
+    }
+
+    const data = {
+      addressId: depositAddress.id,
+      network: depositAddress.network,
+      address: depositAddress.address,
+      reference: depositAddress.reference,
+      username: depositAddress.username,
+      label: depositAddress.label,
+      requiredConfirmations: depositAddress.requiredConfirmations,
+      deposit
+    };
+
+    const webhookManager = this.paymentProcessor.webhookManager;
+    const delivered = event === 'deposit.detected'
+      ? await webhookManager.sendDepositDetectedWebhook(depositAddress.webhookUrl, data, depositAddress.webhookSecret)
+      : await webhookManager.sendDepositConfirmedWebhook(depositAddress.webhookUrl, data, depositAddress.webhookSecret);
+
+    this.paymentProcessor.recordWebhookDelivery(depositAddress, event, delivered);
+    this.paymentProcessor.storage.saveDepositAddress(depositAddress);
+  }
+}
+
+module.exports = DepositManager;
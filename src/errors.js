@@ -0,0 +1,37 @@
+/**
+ * ERRORS.JS - Erros de Domínio do Sistema de Pagamentos
+ *
+ * Erros com código estável (error.code) para que o servidor HTTP e os
+ * webhooks possam informar ao cliente o motivo exato de uma falha, sem
+ * depender do texto da mensagem.
+ *
+ * - PaymentError: falha no processamento com código conhecido
+ * - PaymentRejectedError: pagamento recusado antes de qualquer chamada RPC
+ *   (ex: limites de valor), nunca chegou a movimentar fundos
+ */
+
+class PaymentError extends Error {
+  /**
+   * @param {string} code - Código estável do erro (ex: 'amount_above_maximum')
+   * @param {string} message - Mensagem legível
+   * @param {Object} [details={}] - Dados adicionais (limites, valores atuais...)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class PaymentRejectedError extends PaymentError {
+  constructor(code, message, details = {}) {
+    super(code, message, details);
+    this.name = 'PaymentRejectedError';
+  }
+}
+
+module.exports = {
+  PaymentError,
+  PaymentRejectedError
+};
@@ -0,0 +1,245 @@
+/**
+ * FEE-POLICY.JS - Limites de Taxa de Rede
+ *
+ * Impede que um pagamento pague uma taxa acima do teto configurado:
+ * - Lightning: a taxa máxima de roteamento é enviada ao LND (fee_limit),
+ *   que só usa rotas dentro dela
+ * - Bitcoin on-chain e Liquid: a taxa é estimada antes do envio; acima do
+ *   teto o pagamento falha sem chamar o envio, e dentro dele a transação é
+ *   enviada com a taxa por vbyte estimada (a taxa não muda entre a
+ *   estimativa e o envio)
+ *
+ * LIMITES (config.fees.{bitcoin|lightning|liquid}, sobrescritos por
+ * maxFeeSats, maxFeePercent e maxFeeRate da requisição):
+ * - maxFeeSats: taxa máxima em satoshis
+ * - maxFeePercent: taxa máxima em percentual do valor
+ * - maxFeeRate: taxa máxima em sat/vbyte (apenas on-chain e Liquid)
+ * Limites omitidos não são aplicados. Com uma cotação aceita (quoteId), a
+ * taxa cotada é usada no lugar da estimativa. Se a cotação expirar antes da
+ * execução (ex: aprovação manual ou fila), a taxa on-chain/Liquid é cotada
+ * de novo e só é aceita se não passar da taxa cotada (código quote_expired).
+ *
+ * CÓDIGO DE ERRO: fee_limit_exceeded (status error, webhook payment.failed)
+ */
+
+const config = require('../config/config.json');
+const { PaymentError } = require('./errors');
+
+const LIMIT_FIELDS = ['maxFeeSats', 'maxFeePercent', 'maxFeeRate'];
+
+// Mesmo alvo de confirmação usado pelo envio on-chain sem taxa fixada
+const ON_CHAIN_TARGET_CONF = 6;
+
+class FeePolicy {
+  /**
+   * Construtor do FeePolicy
+   *
+   * @param {LightningRPC} lightningRPC - Cliente LND (estimativas on-chain e rotas)
+   * @param {LiquidRPC} liquidRPC - Cliente Elements (estimativas Liquid)
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(lightningRPC, liquidRPC, logger) {
+    this.lightningRPC = lightningRPC;
+    this.liquidRPC = liquidRPC;
+    this.logger = logger;
+    this.config = config.fees || {};
+  }
+
+  /**
+   * Identifica como um pagamento é enviado
+   *
+   * @param {Object} paymentRequest - Requisição de pagamento
+   * @returns {string} bitcoin (on-chain), lightning ou liquid
+   */
+  getKind(paymentRequest) {
+    // Rede já resolvida (mesmo roteamento do LightningRPC.sendPayment)
+    return paymentRequest.network;
+  }
+
+  /**
+   * Limites de taxa aplicáveis a um pagamento
+   *
+   * @param {Object} paymentRequest - Requisição (feeLimits traz os valores informados pelo cliente)
+   * @returns {Object} { maxFeeSats?, maxFeePercent?, maxFeeRate? }
+   */
+  getLimits(paymentRequest) {
+    const limits = {};
+    const sources = [this.config[this.getKind(paymentRequest)] || {}, paymentRequest.feeLimits || {}];
+    for (const source of sources) {
+      for (const field of LIMIT_FIELDS) {
+        if (source[field] !== undefined && source[field] !== null) {
+          limits[field] = source[field];
+        }
+      }
+    }
+    return limits;
+  }
+
+  /**
+   * Menor taxa absoluta permitida por maxFeeSats e maxFeePercent
+   *
+   * @param {Object} limits - Limites do pagamento
+   * @param {number} amount - Valor em satoshis
+   * @returns {number|null} Teto em satoshis ou null se não houver
+   */
+  getMaxFeeSats(limits, amount) {
+    const caps = [];
+    if (limits.maxFeeSats !== undefined) {
+      caps.push(limits.maxFeeSats);
+    }
+    if (limits.maxFeePercent !== undefined) {
+      caps.push(Math.floor(amount * limits.maxFeePercent / 100));
+    }
+    return caps.length > 0 ? Math.min(...caps) : null;
+  }
+
+  /**
+   * Confere uma taxa estimada contra os limites do pagamento
+   *
+   * @param {Object} paymentRequest - Requisição de pagamento
+   * @param {Object} estimate - { fee (sats), feeRate (sat/vbyte) }
+   * @returns {PaymentError|null} fee_limit_exceeded ou null se a taxa couber nos limites
+   */
+  check(paymentRequest, estimate) {
+    const limits = this.getLimits(paymentRequest);
+    const maxFeeSats = this.getMaxFeeSats(limits, paymentRequest.amount);
+    const details = { fee: estimate.fee, feeRate: estimate.feeRate ?? null, maxFeeSats, maxFeeRate: limits.maxFeeRate ?? null };
+
+    if (maxFeeSats !== null && estimate.fee > maxFeeSats) {
+      return new PaymentError('fee_limit_exceeded',
+        `Taxa estimada de ${estimate.fee} sats acima do limite de ${maxFeeSats} sats`, details);
+    }
+    if (limits.maxFeeRate !== undefined && estimate.feeRate && estimate.feeRate > limits.maxFeeRate) {
+      return new PaymentError('fee_limit_exceeded',
+        `Taxa estimada de ${estimate.feeRate} sat/vbyte acima do limite de ${limits.maxFeeRate} sat/vbyte`, details);
+    }
+    return null;
+  }
+
+  /**
+   * Prepara as opções de envio de um pagamento respeitando os limites
+   *
+   * @param {Object} paymentRequest - Requisição de pagamento
+   * @returns {Promise<Object>} { feeRate, feeLimitSats } para o envio (null = padrão do nó; na Lightning, config.lightning.sendPayment.feeLimitSats)
+   * @throws {PaymentError} fee_limit_exceeded se a taxa estimada passar do limite
+   */
+  async prepare(paymentRequest) {
+    const kind = this.getKind(paymentRequest);
+    const limits = this.getLimits(paymentRequest);
+    const quote = paymentRequest.quote || null;
+
+    if (kind === 'lightning') {
+      const caps = [this.getMaxFeeSats(limits, paymentRequest.amount), quote ? quote.fee : null]
+        .filter(cap => cap !== null);
+      return { feeRate: null, feeLimitSats: caps.length > 0 ? Math.min(...caps) : null };
+    }
+
+    if (quote) {
+      // A taxa por vbyte de uma cotação expirada pode estar defasada: recotar no envio
+      const quoted = new Date(quote.expiresAt).getTime() <= Date.now()
+        ? await this.requote(paymentRequest, kind)
+        : quote;
+      const error = this.check(paymentRequest, quoted);
+      if (error) {
+        throw error;
+      }
+      return { feeRate: quoted.feeRate, feeLimitSats: null };
+    }
+
+    // Sem limites: envio com a taxa padrão do nó, sem estimativa extra
+    if (Object.keys(limits).length === 0) {
+      return { feeRate: null, feeLimitSats: null };
+    }
+
+    const estimate = await this.estimate(paymentRequest, kind);
+    const error = this.check(paymentRequest, estimate);
+    if (error) {
+      throw error;
+    }
+
+    this.logger.info(`Pagamento ${paymentRequest.id}: taxa estimada ${estimate.fee} sats (${estimate.feeRate} sat/vbyte) dentro dos limites`);
+    return { feeRate: estimate.feeRate || null, feeLimitSats: null };
+  }
+
+  /**
+   * Estima a taxa de um envio on-chain ou Liquid
+   *
+   * @param {Object} paymentRequest - Requisição de pagamento
+   * @param {string} kind - bitcoin ou liquid
+   * @returns {Promise<Object>} { fee, feeRate }
+   */
+  async estimate(paymentRequest, kind) {
+    return kind === 'liquid'
+      ? this.liquidRPC.estimateFee(1, ON_CHAIN_TARGET_CONF, true)
+      : this.lightningRPC.estimateFee({ [paymentRequest.destinationWallet]: paymentRequest.amount }, ON_CHAIN_TARGET_CONF);
+  }
+
+  /**
+   * Cota novamente a taxa de um pagamento cuja cotação expirou antes da execução
+   *
+   * A nova taxa substitui a cotada desde que não passe dela: o cliente
+   * aceitou pagar até a taxa cotada. A recotação fica registrada em
+   * quote.requote.
+   *
+   * @param {Object} paymentRequest - Requisição com a cotação expirada
+   * @param {string} kind - bitcoin ou liquid
+   * @returns {Promise<Object>} Nova estimativa { fee, feeRate }
+   * @throws {PaymentError} quote_expired se a taxa atual passar da cotada
+   */
+  async requote(paymentRequest, kind) {
+    const { quote } = paymentRequest;
+    const estimate = await this.estimate(paymentRequest, kind);
+
+    if (estimate.fee > quote.fee) {
+      throw new PaymentError('quote_expired',
+        `Cotação expirada em ${quote.expiresAt} e a taxa atual de ${estimate.fee} sats passa da cotada (${quote.fee} sats); solicite uma nova cotação`,
+        { expiresAt: quote.expiresAt, quotedFee: quote.fee, fee: estimate.fee, feeRate: estimate.feeRate ?? null });
+    }
+
+    quote.requote = {
+      fee: estimate.fee,
+      feeRate: estimate.feeRate ?? null,
+      requotedAt: new Date().toISOString()
+    };
+    this.logger.info(`Pagamento ${paymentRequest.id}: cotação ${quote.id} expirada; taxa recotada em ${estimate.fee} sats (${estimate.feeRate} sat/vbyte)`);
+    return estimate;
+  }
+
+  /**
+   * Identifica falhas Lightning causadas pelo limite de taxa
+   *
+   * Com fee_limit_sat o LND responde apenas FAILURE_REASON_NO_ROUTE (código
+   * no_route) quando todas as rotas custam mais que o limite. A rota é consultada de novo sem limite: se
+   * existir e custar mais, a falha vira fee_limit_exceeded.
+   *
+   * @param {Error} error - Erro do envio
+   * @param {Object} paymentRequest - Requisição de pagamento
+   * @param {number|null} feeLimitSats - Limite usado no envio
+   * @returns {Promise<Error>} fee_limit_exceeded ou o próprio erro
+   */
+  async explainLightningFailure(error, paymentRequest, feeLimitSats) {
+    if (feeLimitSats === null || (error.code !== 'no_route' && !/no_route|unable to find a path/i.test(error.message))) {
+      return error;
+    }
+
+    try {
+      const destination = paymentRequest.destinationWallet;
+      const invoice = destination.includes('@')
+        ? await this.lightningRPC.resolveLightningAddress(destination, paymentRequest.amount)
+        : destination;
+      const decoded = await this.lightningRPC.decodeInvoice(invoice);
+      const route = await this.lightningRPC.queryRoutes(decoded, decoded.amount || paymentRequest.amount);
+
+      if (route.fee > feeLimitSats) {
+        return new PaymentError('fee_limit_exceeded',
+          `Menor taxa de roteamento encontrada (${route.fee} sats) acima do limite de ${feeLimitSats} sats`,
+          { fee: route.fee, maxFeeSats: feeLimitSats });
+      }
+    } catch (queryError) {
+      this.logger.warn(`Não foi possível consultar rotas após falha do pagamento ${paymentRequest.id}: ${queryError.message}`);
+    }
+    return error;
+  }
+}
+
+module.exports = FeePolicy;
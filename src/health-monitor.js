@@ -0,0 +1,174 @@
+/**
+ * HEALTH-MONITOR.JS - Verificação de Saúde dos Nós (LND e Elements)
+ *
+ * Consulta os backends usados pelos pagamentos e informa se cada um está
+ * pronto para enviar fundos. Usado por:
+ * - GET /health/ready: prontidão para o orquestrador (Kubernetes, systemd...)
+ * - POST /payment: com health.requireReadyBackends, recusa requisições
+ *   para redes cujo backend não está pronto
+ *
+ * CRITÉRIOS DE PRONTIDÃO:
+ * - lnd (bitcoin, lightning): GetInfo responde e synced_to_chain = true
+ * - elements (liquid): getblockchaininfo fora do initial block download e
+ *   getwalletinfo com carteira carregada e desbloqueada
+ *
+ * O resultado fica em cache por health.cacheSeconds para que sondas
+ * frequentes não sobrecarreguem os nós.
+ */
+
+const config = require('../config/config.json');
+
+// Backend responsável por cada rede
+const NETWORK_BACKENDS = {
+  bitcoin: 'lnd',
+  lightning: 'lnd',
+  liquid: 'elements'
+};
+
+class HealthMonitor {
+  /**
+   * Construtor do HealthMonitor
+   *
+   * @param {PaymentProcessor} paymentProcessor - Processador com os clientes RPC
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(paymentProcessor, logger) {
+    this.paymentProcessor = paymentProcessor;
+    this.logger = logger;
+    this.config = config.health || {};
+
+    // Última verificação: { promise, checkedAt }
+    this.cached = null;
+  }
+
+  /**
+   * Executa uma consulta com prazo máximo
+   *
+   * @param {Promise} promise - Consulta ao backend
+   * @returns {Promise} Resultado da consulta ou erro de timeout
+   */
+  withTimeout(promise) {
+    const timeoutMs = this.config.timeoutMs || 5000;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Tempo esgotado após ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Verifica o LND
+   *
+   * @returns {Promise<Object>} { ready, syncedToChain, blockHeight, ... } ou { ready: false, error }
+   */
+  async checkLnd() {
+    try {
+      const info = await this.withTimeout(
+        this.paymentProcessor.lightningRPC.getInfo(this.config.timeoutMs || 5000)
+      );
+      return {
+        ready: info.syncedToChain,
+        ...info,
+        error: info.syncedToChain ? null : 'LND não sincronizado com a blockchain'
+      };
+    } catch (error) {
+      return { ready: false, error: error.message };
+    }
+  }
+
+  /**
+   * Verifica o Elements
+   *
+   * @returns {Promise<Object>} { ready, chain, blocks, walletName, ... } ou { ready: false, error }
+   */
+  async checkElements() {
+    try {
+      const liquidRPC = this.paymentProcessor.liquidRPC;
+      const [chainInfo, walletInfo] = await this.withTimeout(Promise.all([
+        liquidRPC.getBlockchainInfo(),
+        liquidRPC.getWalletInfo()
+      ]));
+
+      let error = null;
+      if (chainInfo.initialBlockDownload) {
+        error = 'Elements em sincronização inicial (initial block download)';
+      } else if (!walletInfo.unlocked) {
+        error = 'Carteira Elements bloqueada';
+      }
+
+      return {
+        ready: error === null,
+        ...chainInfo,
+        ...walletInfo,
+        error
+      };
+    } catch (error) {
+      return { ready: false, error: error.message };
+    }
+  }
+
+  /**
+   * Verifica todos os backends (com cache)
+   *
+   * @returns {Promise<Object>} { ready, backends: { lnd, elements }, networks, checkedAt }
+   */
+  async check() {
+    const cacheMs = (this.config.cacheSeconds ?? 10) * 1000;
+    if (this.cached && Date.now() - this.cached.checkedAt < cacheMs) {
+      return this.cached.promise;
+    }
+
+    const checkedAt = Date.now();
+    const promise = Promise.all([this.checkLnd(), this.checkElements()]).then(([lnd, elements]) => {
+      const backends = { lnd, elements };
+      const networks = {};
+      for (const [network, backend] of Object.entries(NETWORK_BACKENDS)) {
+        networks[network] = backends[backend].ready;
+      }
+
+      for (const [name, status] of Object.entries(backends)) {
+        if (!status.ready) {
+          this.logger.warn(`Backend ${name} não está pronto: ${status.error}`);
+        }
+      }
+
+      return {
+        ready: lnd.ready && elements.ready,
+        backends,
+        networks,
+        checkedAt: new Date(checkedAt).toISOString()
+      };
+    });
+
+    this.cached = { promise, checkedAt };
+    return promise;
+  }
+
+  /**
+   * Verifica se o backend de uma rede está pronto
+   *
+   * @param {string} network - bitcoin, lightning ou liquid
+   * @returns {Promise<Object>} { ready, backend, error }
+   */
+  async getNetworkStatus(network) {
+    const backend = NETWORK_BACKENDS[network];
+    const status = await this.check();
+    const backendStatus = status.backends[backend];
+    return {
+      ready: backendStatus.ready,
+      backend,
+      error: backendStatus.error
+    };
+  }
+
+  /**
+   * Indica se o POST /payment deve recusar redes com backend indisponível
+   *
+   * @returns {boolean} true se health.requireReadyBackends estiver ativo
+   */
+  isRequiredForPayments() {
+    return this.config.requireReadyBackends === true;
+  }
+}
+
+module.exports = HealthMonitor;
@@ -0,0 +1,367 @@
+/**
+ * INVOICE-MANAGER.JS - Recebimentos via Invoices Lightning
+ *
+ * Emite invoices BOLT11 pelo POST /invoice e acompanha a liquidação delas
+ * no LND, notificando o sistema cliente por webhook:
+ * - invoice.paid: a invoice foi paga (amountPaid e settledAt)
+ * - invoice.expired: a validade acabou sem pagamento
+ *
+ * STREAM DE LIQUIDAÇÕES:
+ * Um stream SubscribeInvoices fica aberto enquanto o servidor roda. Após
+ * cada invoice liquidada o settle_index é gravado no armazenamento
+ * (sync_state), e o stream é reaberto a partir dele após um reinício ou
+ * uma queda da conexão: o LND reenvia as liquidações que o servidor perdeu.
+ * Se o LND estiver indisponível, uma nova tentativa é feita a cada
+ * invoices.reconnectSeconds.
+ *
+ * EXPIRAÇÃO:
+ * A cada invoices.expiryCheckSeconds as invoices abertas com a validade
+ * vencida são conferidas no LND (LookupInvoice); as que não foram pagas
+ * passam para expired. O cancelamento feito pelo próprio LND ao expirar
+ * também chega pelo stream.
+ *
+ * IDEMPOTÊNCIA:
+ * A referência do cliente (reference) identifica a invoice: repetir o
+ * POST /invoice com os mesmos dados retorna a invoice já emitida.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config.json');
+const { PaymentError } = require('./errors');
+
+// Chave do último settle_index processado em sync_state
+const SETTLE_INDEX_KEY = 'lnd.invoices.settleIndex';
+
+// Campos que precisam coincidir para uma requisição repetida ser a mesma invoice
+const IDEMPOTENT_FIELDS = ['amount', 'memo', 'expirySeconds'];
+
+class InvoiceManager {
+  /**
+   * Construtor do InvoiceManager
+   *
+   * @param {PaymentProcessor} paymentProcessor - Processador com armazenamento, LND e webhooks
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(paymentProcessor, logger) {
+    this.paymentProcessor = paymentProcessor;
+    this.logger = logger;
+    this.config = config.invoices || {};
+
+    this.running = false;
+    this.stream = null;
+    this.reconnectTimer = null;
+    this.expiryTimer = null;
+
+    // Referências com emissão em andamento (evita duas invoices para a mesma referência)
+    this.creating = new Set();
+
+    // Atualizações do stream e da expiração são aplicadas uma de cada vez
+    this.queue = Promise.resolve();
+  }
+
+  // ========== EMISSÃO ==========
+
+  /**
+   * Emite uma invoice (ou retorna a já emitida para a mesma referência)
+   *
+   * @param {Object} request - { reference, amount, memo?, expiry?, webhookUrl?, webhookSecret?, username? }
+   * @returns {Promise<Object>} { invoice, created } — created false para requisição repetida
+   * @throws {PaymentError} idempotency_conflict (mesma referência com outros dados) ou invoice_in_progress
+   */
+  async createInvoice(request) {
+    const candidate = {
+      amount: request.amount,
+      memo: request.memo || '',
+      expirySeconds: request.expiry || this.config.defaultExpirySeconds || 3600
+    };
+
+    const existing = this.paymentProcessor.storage.findInvoiceByReference(request.reference);
+    if (existing) {
+      const mismatched = IDEMPOTENT_FIELDS.filter(field => existing[field] !== candidate[field]);
+      if (mismatched.length > 0) {
+        throw new PaymentError('idempotency_conflict',
+          'Já existe uma invoice emitida para esta referência com dados diferentes',
+          { invoiceId: existing.id, fields: mismatched });
+      }
+      return { invoice: existing, created: false };
+    }
+
+    if (this.creating.has(request.reference)) {
+      throw new PaymentError('invoice_in_progress',
+        `Invoice da referência ${request.reference} ainda sendo emitida`);
+    }
+
+    this.creating.add(request.reference);
+    try {
+      const result = await this.paymentProcessor.lightningRPC.createInvoice(
+        candidate.amount,
+        candidate.memo,
+        candidate.expirySeconds
+      );
+
+      const createdAt = new Date();
+      const invoice = {
+        id: uuidv4(),
+        reference: request.reference,
+        username: request.username || null,
+        ...candidate,
+        paymentRequest: result.paymentRequest,
+        paymentHash: result.rHash,
+        addIndex: parseInt(result.addIndex || 0),
+        status: 'open',
+        createdAt: createdAt.toISOString(),
+        expiresAt: new Date(createdAt.getTime() + candidate.expirySeconds * 1000).toISOString(),
+        webhookUrl: request.webhookUrl || null,
+        webhookSecret: request.webhookSecret || null
+      };
+
+      this.paymentProcessor.recordTransition(invoice, 'open', { paymentHash: invoice.paymentHash });
+      this.paymentProcessor.storage.saveInvoice(invoice);
+
+      this.logger.info(`Invoice ${invoice.id} emitida: ${invoice.amount} sats, referência ${invoice.reference}, hash ${invoice.paymentHash}`);
+      return { invoice, created: true };
+    } finally {
+      this.creating.delete(request.reference);
+    }
+  }
+
+  /**
+   * Dados públicos de uma invoice (respostas da API e webhooks)
+   *
+   * @param {Object} invoice - Registro da invoice
+   * @returns {Object} Invoice sem o webhookSecret
+   */
+  formatInvoice(invoice) {
+    return {
+      id: invoice.id,
+      reference: invoice.reference,
+      username: invoice.username,
+      amount: invoice.amount,
+      memo: invoice.memo,
+      paymentRequest: invoice.paymentRequest,
+      paymentHash: invoice.paymentHash,
+      status: invoice.status,
+      amountPaid: invoice.amountPaid ?? null,
+      createdAt: invoice.createdAt,
+      expiresAt: invoice.expiresAt,
+      settledAt: invoice.settledAt || null,
+      expiredAt: invoice.expiredAt || null,
+      history: invoice.history || [],
+      webhookDeliveries: invoice.webhookDeliveries || []
+    };
+  }
+
+  // ========== CICLO DE VIDA ==========
+
+  /**
+   * Abre o stream de liquidações e inicia a conferência de expiração
+   * (chamado quando o servidor sobe)
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.subscribe();
+
+    const intervalMs = (this.config.expiryCheckSeconds || 30) * 1000;
+    this.expiryTimer = setInterval(() => {
+      this.enqueue(() => this.expireInvoices());
+    }, intervalMs);
+    this.expiryTimer.unref();
+  }
+
+  /**
+   * Fecha o stream e para os timers (chamado no desligamento)
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.expiryTimer);
+    this.reconnectTimer = null;
+    this.expiryTimer = null;
+
+    if (this.stream) {
+      const stream = this.stream;
+      this.stream = null;
+      stream.cancel();
+    }
+  }
+
+  /**
+   * Executa uma atualização depois das anteriores
+   *
+   * @param {Function} task - Função assíncrona
+   * @returns {Promise<void>} Conclusão da tarefa
+   */
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch(error => {
+      this.logger.error(`Erro ao atualizar invoices: ${error.message}`, error);
+    });
+    return this.queue;
+  }
+
+  // ========== STREAM DE LIQUIDAÇÕES ==========
+
+  /**
+   * Abre o SubscribeInvoices a partir do último settle_index gravado
+   */
+  subscribe() {
+    const settleIndex = this.paymentProcessor.storage.getSyncState(SETTLE_INDEX_KEY) || 0;
+
+    try {
+      this.stream = this.paymentProcessor.lightningRPC.subscribeInvoices(
+        { settleIndex },
+        update => this.enqueue(() => this.handleUpdate(update)),
+        error => this.handleStreamClose(error)
+      );
+      this.logger.info(`Acompanhando invoices no LND a partir do settle_index ${settleIndex}`);
+    } catch (error) {
+      this.handleStreamClose(error);
+    }
+  }
+
+  /**
+   * Agenda a reabertura do stream após erro ou encerramento pelo LND
+   *
+   * @param {Error|null} error - Motivo do encerramento
+   */
+  handleStreamClose(error) {
+    this.stream = null;
+    if (!this.running) {
+      return;
+    }
+
+    const reconnectSeconds = this.config.reconnectSeconds || 5;
+    this.logger.warn(`Stream de invoices encerrado (${error ? error.message : 'fim do stream'}), nova tentativa em ${reconnectSeconds}s`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.running) {
+        this.subscribe();
+      }
+    }, reconnectSeconds * 1000);
+    this.reconnectTimer.unref();
+  }
+
+  /**
+   * Aplica uma atualização de invoice recebida do LND
+   *
+   * Invoices que não foram emitidas pelo POST /invoice são ignoradas, mas o
+   * settle_index avança do mesmo jeito.
+   *
+   * @param {Object} update - Invoice no formato de LightningRPC.formatInvoice()
+   */
+  async handleUpdate(update) {
+    if (update.state === 'SETTLED' || update.state === 'CANCELED') {
+      const invoice = this.paymentProcessor.storage.findInvoiceByHash(update.paymentHash);
+
+      if (invoice && invoice.status === 'open') {
+        if (update.state === 'SETTLED') {
+          await this.markPaid(invoice, update);
+        } else {
+          await this.markExpired(invoice, { lndState: update.state });
+        }
+      }
+    }
+
+    if (update.settleIndex > (this.paymentProcessor.storage.getSyncState(SETTLE_INDEX_KEY) || 0)) {
+      this.paymentProcessor.storage.saveSyncState(SETTLE_INDEX_KEY, update.settleIndex);
+    }
+  }
+
+  // ========== MUDANÇAS DE STATUS ==========
+
+  /**
+   * Registra o pagamento de uma invoice e envia o webhook invoice.paid
+   *
+   * @param {Object} invoice - Registro da invoice (status open)
+   * @param {Object} update - Invoice liquidada no LND
+   */
+  async markPaid(invoice, update) {
+    invoice.amountPaid = update.amountPaid;
+    invoice.settleIndex = update.settleIndex;
+    invoice.settledAt = update.settleDate
+      ? new Date(update.settleDate * 1000).toISOString()
+      : new Date().toISOString();
+    this.paymentProcessor.recordTransition(invoice, 'paid', {
+      amountPaid: invoice.amountPaid,
+      settleIndex: invoice.settleIndex
+    });
+    this.paymentProcessor.storage.saveInvoice(invoice);
+
+    this.logger.info(`Invoice ${invoice.id} paga: ${invoice.amountPaid} sats (referência ${invoice.reference})`);
+    await this.notify(invoice, 'invoice.paid');
+  }
+
+  /**
+   * Registra a expiração de uma invoice e envia o webhook invoice.expired
+   *
+   * @param {Object} invoice - Registro da invoice (status open)
+   * @param {Object} [details={}] - Informações adicionais da transição
+   */
+  async markExpired(invoice, details = {}) {
+    invoice.expiredAt = new Date().toISOString();
+    this.paymentProcessor.recordTransition(invoice, 'expired', details);
+    this.paymentProcessor.storage.saveInvoice(invoice);
+
+    this.logger.info(`Invoice ${invoice.id} expirada sem pagamento (referência ${invoice.reference})`);
+    await this.notify(invoice, 'invoice.expired');
+  }
+
+  /**
+   * Envia o webhook de uma mudança de status e registra a entrega
+   *
+   * @param {Object} invoice - Registro da invoice
+   * @param {string} event - invoice.paid ou invoice.expired
+   */
+  async notify(invoice, event) {
+    if (!invoice.webhookUrl) {
+      return;
+    }
+
+    const webhookManager = this.paymentProcessor.webhookManager;
+    const send = event === 'invoice.paid'
+      ? webhookManager.sendInvoicePaidWebhook
+      : webhookManager.sendInvoiceExpiredWebhook;
+    const delivered = await send.call(webhookManager, invoice.webhookUrl, this.formatInvoice(invoice), invoice.webhookSecret);
+
+    this.paymentProcessor.recordWebhookDelivery(invoice, event, delivered);
+    this.paymentProcessor.storage.saveInvoice(invoice);
+  }
+
+  /**
+   * Confere no LND as invoices abertas com a validade vencida
+   *
+   * Roda na mesma fila das atualizações do stream, então uma invoice não é
+   * atualizada pelos dois ao mesmo tempo. Se o LND estiver indisponível, a conferência fica para a próxima rodada.
+   */
+  async expireInvoices() {
+    const now = Date.now();
+    const overdue = this.paymentProcessor.storage.listInvoicesByStatus('open')
+      .filter(invoice => new Date(invoice.expiresAt).getTime() <= now);
+
+    for (const invoice of overdue) {
+      if (!this.running) {
+        break;
+      }
+
+      let current;
+      try {
+        current = await this.paymentProcessor.lightningRPC.lookupInvoice(invoice.paymentHash);
+      } catch (error) {
+        this.logger.warn(`Conferência de expiração adiada: ${error.message}`);
+        return;
+      }
+
+      if (current.state === 'SETTLED') {
+        await this.markPaid(invoice, current);
+      } else {
+        await this.markExpired(invoice, { lndState: current.state });
+      }
+    }
+  }
+}
+
+module.exports = InvoiceManager;
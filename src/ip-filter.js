@@ -0,0 +1,170 @@
+/**
+ * IP-FILTER.JS - Resolução e Validação de IPs de Clientes
+ *
+ * Esta classe centraliza as regras de IP usadas pelo AuthManager:
+ * - Listas de IPs com suporte a CIDR (IPv4 e IPv6)
+ * - Normalização de endereços IPv4 mapeados em IPv6 (::ffff:10.0.0.5)
+ * - Resolução do IP real atrás de proxies reversos confiáveis (nginx, etc.)
+ * - Liberação opcional de localhost (server.allowLocalhost)
+ *
+ * X-FORWARDED-FOR:
+ * O header só é considerado quando a conexão vem de um proxy listado em
+ * server.trustedProxies. A lista é percorrida da direita para a esquerda,
+ * descartando saltos confiáveis; o primeiro IP não confiável é o cliente.
+ * Sem proxies confiáveis configurados o header é ignorado, já que qualquer
+ * cliente pode enviá-lo.
+ */
+
+const net = require('net');
+const config = require('../config/config.json');
+
+class IpFilter {
+  /**
+   * Construtor do IpFilter
+   *
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(logger) {
+    this.logger = logger;
+    this.trustedProxies = this.compile(config.server.trustedProxies || []);
+    this.allowLocalhost = config.server.allowLocalhost !== false;
+    this.localhost = this.compile(['127.0.0.0/8', '::1']);
+
+    // Listas já compiladas (cache por array de configuração)
+    this.compiled = new WeakMap();
+  }
+
+  /**
+   * Normaliza um endereço IP
+   *
+   * Remove o prefixo IPv4 mapeado (::ffff:) e o identificador de zona
+   * (fe80::1%eth0) para que o mesmo cliente sempre tenha a mesma forma.
+   *
+   * @param {string} ip - Endereço recebido do socket ou de um header
+   * @returns {string|null} IP normalizado ou null se inválido
+   */
+  normalize(ip) {
+    if (!ip) {
+      return null;
+    }
+
+    let normalized = String(ip).trim().replace(/%.*$/, '');
+    const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+      normalized = mapped[1];
+    }
+
+    return net.isIP(normalized) ? normalized.toLowerCase() : null;
+  }
+
+  /**
+   * Compila uma lista de IPs/CIDRs em um net.BlockList
+   *
+   * Entradas inválidas são ignoradas com aviso. "0.0.0.0" isolado não
+   * corresponde a nenhum cliente (use "0.0.0.0/0" para liberar todos).
+   *
+   * @param {Array<string>} entries - IPs ou faixas CIDR
+   * @returns {net.BlockList} Lista compilada
+   */
+  compile(entries) {
+    const list = new net.BlockList();
+
+    for (const entry of entries) {
+      const [address, prefix] = String(entry).trim().split('/');
+      const ip = this.normalize(address);
+      if (!ip) {
+        this.logger.warn(`Entrada de IP inválida ignorada: ${entry}`);
+        continue;
+      }
+
+      if (ip === '0.0.0.0' && prefix === undefined) {
+        this.logger.warn('Entrada "0.0.0.0" não corresponde a nenhum IP; use "0.0.0.0/0" para liberar todos os IPv4');
+      }
+
+      const type = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+      if (prefix === undefined) {
+        list.addAddress(ip, type);
+        continue;
+      }
+
+      const bits = Number(prefix);
+      const maxBits = type === 'ipv6' ? 128 : 32;
+      if (!Number.isInteger(bits) || bits < 0 || bits > maxBits) {
+        this.logger.warn(`Prefixo CIDR inválido ignorado: ${entry}`);
+        continue;
+      }
+      list.addSubnet(ip, bits, type);
+    }
+
+    return list;
+  }
+
+  /**
+   * Verifica se um IP pertence a uma lista compilada
+   *
+   * @param {string} ip - IP normalizado
+   * @param {net.BlockList} list - Lista compilada
+   * @returns {boolean} true se o IP estiver na lista
+   */
+  matches(ip, list) {
+    if (!ip) {
+      return false;
+    }
+    return list.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Verifica se um IP é permitido por uma lista de configuração
+   *
+   * @param {string} ip - IP normalizado do cliente
+   * @param {Array<string>} entries - IPs ou faixas CIDR da configuração
+   * @returns {boolean} true se permitido
+   */
+  isAllowed(ip, entries) {
+    if (!this.compiled.has(entries)) {
+      this.compiled.set(entries, this.compile(entries));
+    }
+    return this.matches(ip, this.compiled.get(entries));
+  }
+
+  /**
+   * Verifica se o IP é localhost e a liberação de localhost está ativa
+   *
+   * @param {string} ip - IP normalizado do cliente
+   * @returns {boolean} true se deve ser liberado por ser local
+   */
+  isLocalhostBypass(ip) {
+    return this.allowLocalhost && this.matches(ip, this.localhost);
+  }
+
+  /**
+   * Resolve o IP real do cliente de uma requisição
+   *
+   * @param {Object} req - Requisição do Express
+   * @returns {string|null} IP normalizado do cliente
+   */
+  getClientIp(req) {
+    const remoteIp = this.normalize(req.socket?.remoteAddress || req.connection?.remoteAddress);
+
+    if (!this.matches(remoteIp, this.trustedProxies)) {
+      return remoteIp;
+    }
+
+    const forwardedFor = String(req.headers['x-forwarded-for'] || '')
+      .split(',')
+      .map(hop => this.normalize(hop))
+      .filter(Boolean);
+
+    // Percorrer do salto mais próximo para o mais distante
+    for (let i = forwardedFor.length - 1; i >= 0; i--) {
+      if (!this.matches(forwardedFor[i], this.trustedProxies)) {
+        return forwardedFor[i];
+      }
+    }
+
+    // Todos os saltos são proxies confiáveis: usar o mais distante
+    return forwardedFor[0] || remoteIp;
+  }
+}
+
+module.exports = IpFilter;
@@ -0,0 +1,417 @@
+/**
+ * LIGHTNING-TRACKER.JS - Acompanhamento de Pagamentos Lightning em Andamento
+ *
+ * Um pagamento Lightning fica com status in_flight quando o envio termina
+ * do nosso lado sem resultado final:
+ * - lightning.sendPayment.waitSeconds esgotado ou stream do SendPaymentV2
+ *   interrompido depois do LND registrar o pagamento
+ * - servidor encerrado durante o envio (desligamento gracioso)
+ * - reconciliação da inicialização encontrou o pagamento ainda em
+ *   andamento no LND (PaymentRecovery, resultado in_flight)
+ *
+ * O HTLC pode continuar pendente por muito tempo e ser concluído ou
+ * devolvido depois. A cada lightningTracking.pollSeconds os pagamentos
+ * in_flight são procurados no armazenamento e cada payment hash é
+ * acompanhado no LND:
+ * - TrackPaymentV2 por pagamento: traz o estado atual e as atualizações
+ *   até o estado final
+ * - TrackPayments: um stream com o resultado final de todos os pagamentos
+ *   do nó, que cobre quedas dos streams individuais
+ *
+ * RESULTADO:
+ * - SUCCEEDED: preimage, taxa e rota gravados; status sent e webhook
+ *   payment.completed
+ * - FAILED: errorCode do failure_reason (no_route, payment_timeout...);
+ *   status error e webhook payment.failed
+ * - pagamento desconhecido pelo LND: errorCode payment_not_found (nenhum
+ *   fundo saiu); status error e webhook payment.failed
+ *
+ * O payment hash vem de lightning.paymentHash (gravado pelo SendPaymentV2)
+ * ou da invoice: a do destino ou, para Lightning Address, a obtida antes do
+ * envio (lightning.invoice). Sem nenhum dos dois, o pagamento é procurado no
+ * ListPayments do LND por valor e horário, como na reconciliação da
+ * inicialização.
+ */
+
+const config = require('../config/config.json');
+const { PaymentError } = require('./errors');
+
+// Código gRPC NOT_FOUND: o LND não tem registro do payment hash
+const GRPC_NOT_FOUND = 5;
+
+const NOT_FOUND_MESSAGE = 'Pagamento não encontrado no LND (nenhum fundo enviado)';
+
+class LightningTracker {
+  /**
+   * Construtor do LightningTracker
+   *
+   * @param {PaymentProcessor} paymentProcessor - Processador com armazenamento, RPC do LND e webhooks
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(paymentProcessor, logger) {
+    this.paymentProcessor = paymentProcessor;
+    this.logger = logger;
+    this.config = config.lightningTracking || {};
+
+    this.running = false;
+    this.stream = null;
+    this.reconnectTimer = null;
+    this.pollTimer = null;
+
+    // Pagamentos acompanhados: payment hash -> { paymentId, stream }
+    this.tracked = new Map();
+
+    // Atualizações aplicadas uma de cada vez (nenhum pagamento é finalizado duas vezes)
+    this.queue = Promise.resolve();
+    this.pending = 0;
+  }
+
+  /**
+   * Indica se há atualizações sendo gravadas (aguardado no desligamento)
+   *
+   * @returns {boolean} true enquanto a fila de atualizações não estiver vazia
+   */
+  get active() {
+    return this.pending > 0;
+  }
+
+  /**
+   * Verifica se o acompanhamento está habilitado
+   *
+   * @returns {boolean} true salvo se lightningTracking.enabled for false
+   */
+  isEnabled() {
+    return this.config.enabled !== false;
+  }
+
+  /**
+   * Abre o TrackPayments e inicia a busca periódica (chamado quando o servidor sobe)
+   */
+  start() {
+    if (!this.isEnabled() || this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.subscribe();
+    this.enqueue(() => this.trackPending());
+
+    this.pollTimer = setInterval(() => {
+      this.enqueue(() => this.trackPending());
+    }, (this.config.pollSeconds || 15) * 1000);
+    this.pollTimer.unref();
+  }
+
+  /**
+   * Fecha os streams e para os timers (chamado no desligamento)
+   *
+   * Os pagamentos continuam in_flight e voltam a ser acompanhados na
+   * próxima inicialização.
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.pollTimer);
+    this.reconnectTimer = null;
+    this.pollTimer = null;
+
+    if (this.stream) {
+      const stream = this.stream;
+      this.stream = null;
+      stream.cancel();
+    }
+
+    const entries = Array.from(this.tracked.values());
+    this.tracked.clear();
+    for (const entry of entries) {
+      if (entry.stream) {
+        entry.stream.cancel();
+      }
+    }
+  }
+
+  /**
+   * Executa uma atualização depois das anteriores
+   *
+   * @param {Function} task - Função assíncrona
+   * @returns {Promise<void>} Conclusão da tarefa
+   */
+  enqueue(task) {
+    this.pending++;
+    this.queue = this.queue.then(task).catch(error => {
+      this.logger.error(`Erro ao acompanhar pagamentos Lightning: ${error.message}`, error);
+    }).finally(() => {
+      this.pending--;
+    });
+    return this.queue;
+  }
+
+  // ========== PAGAMENTOS ACOMPANHADOS ==========
+
+  /**
+   * Começa a acompanhar os pagamentos Lightning in_flight ainda sem stream
+   *
+   * Pagamentos em execução neste processo são ignorados.
+   */
+  async trackPending() {
+    if (!this.running) {
+      return;
+    }
+
+    const { storage, activePayments } = this.paymentProcessor;
+    const payments = storage
+      .listPayments({ status: ['in_flight'] })
+      .filter(payment => !activePayments.has(payment.id) && payment.network === 'lightning');
+
+    for (const payment of payments) {
+      if (!this.running) {
+        return;
+      }
+      const paymentHash = await this.resolvePaymentHash(payment);
+      if (paymentHash && !this.tracked.has(paymentHash) && this.running) {
+        this.track(payment.id, paymentHash);
+      }
+    }
+  }
+
+  /**
+   * Descobre o payment hash de um pagamento in_flight
+   *
+   * @param {Object} payment - Pagamento in_flight
+   * @returns {Promise<string|null>} Payment hash em hexadecimal ou null se ainda não for possível saber
+   */
+  async resolvePaymentHash(payment) {
+    const lightning = payment.lightning || {};
+    if (lightning.paymentHash) {
+      return lightning.paymentHash;
+    }
+
+    // Invoice do destino ou a obtida da Lightning Address antes do envio
+    const invoice = lightning.invoice || (payment.destinationWallet.includes('@') ? null : payment.destinationWallet);
+    if (!invoice) {
+      return this.findPaymentHash(payment);
+    }
+
+    try {
+      const decoded = await this.paymentProcessor.lightningRPC.decodeInvoice(invoice);
+      return decoded.paymentHash;
+    } catch (error) {
+      this.logger.warn(`Pagamento ${payment.id}: não foi possível decodificar a invoice para acompanhamento: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Procura no ListPayments o pagamento a uma Lightning Address sem invoice registrada
+   *
+   * Mesma busca da reconciliação da inicialização: valor igual e criação
+   * depois do último início de processamento (menos
+   * recovery.timeToleranceSeconds). Sem nenhum compatível o envio não chegou
+   * ao LND e o pagamento falha com payment_not_found; com mais de um, a
+   * busca é repetida na próxima rodada.
+   *
+   * @param {Object} payment - Pagamento in_flight
+   * @returns {Promise<string|null>} Payment hash ou null se não houver um único compatível
+   */
+  async findPaymentHash(payment) {
+    const recoveryConfig = config.recovery || {};
+    let lndPayments;
+    try {
+      lndPayments = await this.paymentProcessor.lightningRPC.listPayments(recoveryConfig.maxLightningPayments || 1000);
+    } catch (error) {
+      this.logger.warn(`Pagamento ${payment.id}: não foi possível consultar o ListPayments para acompanhamento: ${error.message}`);
+      return null;
+    }
+
+    const processing = (payment.history || []).filter(entry => entry.status === 'processing').pop();
+    const earliest = new Date(processing ? processing.timestamp : payment.timestamp).getTime() -
+      (recoveryConfig.timeToleranceSeconds ?? 300) * 1000;
+
+    // Payment hashes já acompanhados pertencem a outros pagamentos
+    const candidates = lndPayments.filter(lndPayment =>
+      lndPayment.valueSat === payment.amount &&
+      lndPayment.creationDate * 1000 >= earliest &&
+      !this.tracked.has(lndPayment.paymentHash));
+
+    if (candidates.length === 1) {
+      return candidates[0].paymentHash;
+    }
+
+    if (candidates.length === 0) {
+      await this.paymentProcessor.markFailed(payment,
+        new PaymentError('payment_not_found', NOT_FOUND_MESSAGE, { paymentHash: null }), null);
+      return null;
+    }
+
+    this.logger.warn(`Pagamento ${payment.id}: ${candidates.length} pagamentos compatíveis no LND, nova busca na próxima rodada`, {
+      candidates: candidates.map(lndPayment => lndPayment.paymentHash)
+    });
+    return null;
+  }
+
+  /**
+   * Abre o TrackPaymentV2 de um pagamento
+   *
+   * @param {string} paymentId - ID do pagamento
+   * @param {string} paymentHash - Payment hash em hexadecimal
+   */
+  track(paymentId, paymentHash) {
+    const entry = { paymentId, stream: null };
+    this.tracked.set(paymentHash, entry);
+
+    try {
+      entry.stream = this.paymentProcessor.lightningRPC.trackPayment(
+        paymentHash,
+        payment => this.enqueue(() => this.handlePayment(payment)),
+        error => this.enqueue(() => this.handleTrackClose(paymentHash, entry, error))
+      );
+      this.logger.info(`Acompanhando pagamento Lightning ${paymentId} (${paymentHash})`);
+    } catch (error) {
+      // Nova tentativa na próxima busca
+      this.tracked.delete(paymentHash);
+      this.logger.warn(`Não foi possível acompanhar o pagamento ${paymentId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deixa de acompanhar um payment hash
+   *
+   * @param {string} paymentHash - Payment hash em hexadecimal
+   */
+  untrack(paymentHash) {
+    const entry = this.tracked.get(paymentHash);
+    this.tracked.delete(paymentHash);
+    if (entry && entry.stream) {
+      entry.stream.cancel();
+    }
+  }
+
+  /**
+   * Trata o fim do TrackPaymentV2 de um pagamento
+   *
+   * O stream termina normalmente depois do estado final (já aplicado, pois
+   * as mensagens entram na fila antes do fim). NOT_FOUND significa que o
+   * pagamento não chegou ao LND; outros erros liberam o payment hash para
+   * a próxima busca.
+   *
+   * @param {string} paymentHash - Payment hash em hexadecimal
+   * @param {Object} entry - Registro do acompanhamento que abriu o stream
+   * @param {Error|null} error - Motivo do encerramento
+   */
+  async handleTrackClose(paymentHash, entry, error) {
+    if (this.tracked.get(paymentHash) !== entry) {
+      return;
+    }
+    this.tracked.delete(paymentHash);
+
+    if (error && error.code === GRPC_NOT_FOUND) {
+      const payment = this.getInFlightPayment(entry.paymentId);
+      if (payment) {
+        await this.paymentProcessor.markFailed(payment, new PaymentError('payment_not_found',
+          NOT_FOUND_MESSAGE, { paymentHash }), null);
+      }
+      return;
+    }
+
+    if (this.running) {
+      this.logger.warn(`Acompanhamento do pagamento ${entry.paymentId} encerrado (${error ? error.message : 'fim do stream'}), nova tentativa na próxima busca`);
+    }
+  }
+
+  /**
+   * Carrega um pagamento que ainda aguarda o resultado
+   *
+   * @param {string} paymentId - ID do pagamento
+   * @returns {Object|null} Pagamento in_flight ou null se já foi resolvido por outro caminho
+   */
+  getInFlightPayment(paymentId) {
+    const payment = this.paymentProcessor.storage.getPaymentById(paymentId);
+    return payment && payment.status === 'in_flight' ? payment : null;
+  }
+
+  /**
+   * Aplica uma mensagem lnrpc.Payment do TrackPaymentV2 ou do TrackPayments
+   *
+   * Pagamentos que não estão sendo acompanhados são ignorados.
+   *
+   * @param {Object} lndPayment - Mensagem lnrpc.Payment
+   */
+  async handlePayment(lndPayment) {
+    const paymentHash = lndPayment.payment_hash;
+    const entry = this.tracked.get(paymentHash);
+    if (!entry) {
+      return;
+    }
+
+    const payment = this.getInFlightPayment(entry.paymentId);
+    if (!payment) {
+      this.untrack(paymentHash);
+      return;
+    }
+
+    const { lightningRPC } = this.paymentProcessor;
+    const update = lightningRPC.formatPaymentUpdate(lndPayment);
+
+    switch (lndPayment.status) {
+      case 'SUCCEEDED':
+        this.untrack(paymentHash);
+        this.paymentProcessor.recordLightningUpdate(payment, update);
+        await this.paymentProcessor.markSent(payment, lightningRPC.formatPaymentResult(lndPayment), null, {
+          tracked: true
+        });
+        this.logger.info(`Pagamento Lightning ${payment.id} concluído após acompanhamento`);
+        break;
+
+      case 'FAILED':
+        this.untrack(paymentHash);
+        this.paymentProcessor.recordLightningUpdate(payment, update);
+        await this.paymentProcessor.markFailed(payment, lightningRPC.paymentFailureError(update), null);
+        break;
+
+      default:
+        // Novas tentativas de HTLC: apenas o estado em lightning
+        this.paymentProcessor.recordLightningUpdate(payment, update);
+    }
+  }
+
+  // ========== STREAM DE RESULTADOS (TrackPayments) ==========
+
+  /**
+   * Abre o TrackPayments (apenas estados finais)
+   */
+  subscribe() {
+    try {
+      this.stream = this.paymentProcessor.lightningRPC.subscribePayments(
+        payment => this.enqueue(() => this.handlePayment(payment)),
+        error => this.handleStreamClose(error)
+      );
+    } catch (error) {
+      this.handleStreamClose(error);
+    }
+  }
+
+  /**
+   * Agenda a reabertura do TrackPayments após erro ou encerramento pelo LND
+   *
+   * @param {Error|null} error - Motivo do encerramento
+   */
+  handleStreamClose(error) {
+    this.stream = null;
+    if (!this.running) {
+      return;
+    }
+
+    const reconnectSeconds = this.config.reconnectSeconds || 5;
+    this.logger.warn(`Stream de pagamentos Lightning encerrado (${error ? error.message : 'fim do stream'}), nova tentativa em ${reconnectSeconds}s`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.running) {
+        this.subscribe();
+      }
+    }, reconnectSeconds * 1000);
+    this.reconnectTimer.unref();
+  }
+}
+
+module.exports = LightningTracker;
@@ -0,0 +1,150 @@
+/**
+ * METRICS.JS - Métricas Prometheus do Servidor de Pagamentos
+ *
+ * Registro único (prom-client) com as métricas expostas em GET /metrics.
+ * Os módulos instrumentados (PaymentProcessor, WebhookManager, LightningRPC,
+ * LiquidRPC) importam este arquivo diretamente, assim como fazem com o
+ * config.json.
+ *
+ * MÉTRICAS:
+ * - payment_server_payments_total{network,outcome}: pagamentos finalizados
+ * - payment_server_payment_duration_seconds{network,outcome}: latência do processPayment
+ * - payment_server_fees_paid_sats_total{network}: taxas de rede pagas
+ * - payment_server_recovered_payments_total{network,outcome}: pagamentos reconciliados após reinício
+ * - payment_server_webhook_attempts_total{event}: tentativas HTTP de webhook
+ * - payment_server_webhook_deliveries_total{event}: webhooks entregues
+ * - payment_server_webhook_failures_total{event}: webhooks que esgotaram os retries
+ * - payment_server_rpc_duration_seconds{backend,method,outcome}: latência das chamadas ao nó
+ * - payment_server_rpc_errors_total{backend,method}: chamadas ao nó com erro
+ * - payment_server_wallet_balance_sats{network,type}: saldos (atualizados a cada coleta)
+ * - métricas padrão do processo Node.js (CPU, memória, event loop)
+ */
+
+const client = require('prom-client');
+
+const PREFIX = 'payment_server_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+// ========== PAGAMENTOS ==========
+const paymentsTotal = new client.Counter({
+  name: `${PREFIX}payments_total`,
+  help: 'Pagamentos finalizados por rede e resultado (sent, error, rejected)',
+  labelNames: ['network', 'outcome'],
+  registers: [register]
+});
+
+const paymentDuration = new client.Histogram({
+  name: `${PREFIX}payment_duration_seconds`,
+  help: 'Duração do processamento de um pagamento (processPayment)',
+  labelNames: ['network', 'outcome'],
+  buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  registers: [register]
+});
+
+const feesPaid = new client.Counter({
+  name: `${PREFIX}fees_paid_sats_total`,
+  help: 'Taxas de rede pagas em satoshis',
+  labelNames: ['network'],
+  registers: [register]
+});
+
+const recoveredPayments = new client.Counter({
+  name: `${PREFIX}recovered_payments_total`,
+  help: 'Pagamentos interrompidos reconciliados com o nó após reinício (sent, failed, in_flight, needs_review)',
+  labelNames: ['network', 'outcome'],
+  registers: [register]
+});
+
+// ========== WEBHOOKS ==========
+const webhookAttempts = new client.Counter({
+  name: `${PREFIX}webhook_attempts_total`,
+  help: 'Tentativas de envio de webhook (inclui retries)',
+  labelNames: ['event'],
+  registers: [register]
+});
+
+const webhookDeliveries = new client.Counter({
+  name: `${PREFIX}webhook_deliveries_total`,
+  help: 'Webhooks entregues com resposta 2xx',
+  labelNames: ['event'],
+  registers: [register]
+});
+
+const webhookFailures = new client.Counter({
+  name: `${PREFIX}webhook_failures_total`,
+  help: 'Webhooks que falharam após esgotar todas as tentativas',
+  labelNames: ['event'],
+  registers: [register]
+});
+
+// ========== CHAMADAS AOS NÓS ==========
+const rpcDuration = new client.Histogram({
+  name: `${PREFIX}rpc_duration_seconds`,
+  help: 'Latência das chamadas gRPC (LND) e JSON-RPC (Elements)',
+  labelNames: ['backend', 'method', 'outcome'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const rpcErrors = new client.Counter({
+  name: `${PREFIX}rpc_errors_total`,
+  help: 'Chamadas gRPC (LND) e JSON-RPC (Elements) que retornaram erro',
+  labelNames: ['backend', 'method'],
+  registers: [register]
+});
+
+// ========== SALDOS ==========
+const walletBalance = new client.Gauge({
+  name: `${PREFIX}wallet_balance_sats`,
+  help: 'Saldo atual das carteiras em satoshis (getAllBalances)',
+  labelNames: ['network', 'type'],
+  registers: [register]
+});
+
+/**
+ * Registra o resultado de uma chamada RPC
+ *
+ * @param {string} backend - lnd ou elements
+ * @param {string} method - Método gRPC/JSON-RPC chamado
+ * @param {number} startedAt - process.hrtime.bigint() do início da chamada
+ * @param {boolean} failed - true se a chamada retornou erro
+ */
+function observeRpcCall(backend, method, startedAt, failed) {
+  const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+  rpcDuration.observe({ backend, method, outcome: failed ? 'error' : 'success' }, seconds);
+  if (failed) {
+    rpcErrors.inc({ backend, method });
+  }
+}
+
+/**
+ * Atualiza os gauges de saldo a partir do retorno de getAllBalances()
+ *
+ * @param {Object} balances - { bitcoin, lightning, liquid }
+ */
+function setBalances(balances) {
+  walletBalance.set({ network: 'bitcoin', type: 'confirmed' }, balances.bitcoin.confirmed);
+  walletBalance.set({ network: 'bitcoin', type: 'unconfirmed' }, balances.bitcoin.unconfirmed);
+  walletBalance.set({ network: 'lightning', type: 'channels' }, balances.lightning.balance);
+  walletBalance.set({ network: 'lightning', type: 'pending_open' }, balances.lightning.pendingOpenBalance);
+  walletBalance.set({ network: 'liquid', type: 'confirmed' }, balances.liquid.confirmed);
+  walletBalance.set({ network: 'liquid', type: 'unconfirmed' }, balances.liquid.unconfirmed);
+}
+
+module.exports = {
+  register,
+  paymentsTotal,
+  paymentDuration,
+  feesPaid,
+  recoveredPayments,
+  webhookAttempts,
+  webhookDeliveries,
+  webhookFailures,
+  rpcDuration,
+  rpcErrors,
+  walletBalance,
+  observeRpcCall,
+  setBalances
+};
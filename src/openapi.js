@@ -0,0 +1,134 @@
+/**
+ * OPENAPI.JS - Geração do Documento OpenAPI 3
+ *
+ * Monta o documento servido em GET /openapi.json a partir das rotas
+ * declaradas em api-schemas.js, para que o código cliente possa ser gerado
+ * (openapi-generator, etc.) e continue igual ao que o servidor valida.
+ */
+
+const { routes, components, errorResponses } = require('./api-schemas');
+const packageInfo = require('../package.json');
+
+/**
+ * Converte um caminho Express (/payment/:id) para o formato OpenAPI (/payment/{id})
+ *
+ * @param {string} expressPath - Caminho declarado na rota
+ * @returns {string} Caminho OpenAPI
+ */
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * Converte as propriedades de um schema em parâmetros OpenAPI
+ *
+ * @param {Object} schema - Schema de params, query ou headers
+ * @param {string} location - path, query ou header
+ * @returns {Array<Object>} Parâmetros OpenAPI
+ */
+function toParameters(schema, location) {
+  if (!schema || !schema.properties) {
+    return [];
+  }
+
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...propertySchema } = property;
+    const parameter = {
+      name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      schema: propertySchema
+    };
+    if (description) {
+      parameter.description = description;
+    }
+    return parameter;
+  });
+}
+
+/**
+ * Converte as respostas declaradas de uma rota em respostas OpenAPI
+ *
+ * @param {Object} responses - { status: { description, schema } }
+ * @returns {Object} Objeto responses do OpenAPI
+ */
+function toResponses(responses) {
+  const result = {};
+  for (const [status, response] of Object.entries(responses)) {
+    result[status] = { description: response.description };
+    if (response.schema) {
+      result[status].content = {
+        'application/json': { schema: response.schema }
+      };
+    }
+  }
+  return result;
+}
+
+/**
+ * Gera o documento OpenAPI 3 completo da API
+ *
+ * @returns {Object} Documento OpenAPI 3.0
+ */
+function buildOpenApiDocument() {
+  const paths = {};
+
+  for (const route of routes) {
+    const schemas = route.schemas || {};
+    const operation = {
+      operationId: route.operationId,
+      summary: route.summary,
+      tags: route.tags,
+      parameters: [
+        ...toParameters(schemas.params, 'path'),
+        ...toParameters(schemas.query, 'query'),
+        ...toParameters(schemas.headers, 'header')
+      ],
+      responses: toResponses({ ...errorResponses, ...route.responses })
+    };
+
+    if (route.scope) {
+      operation.description = `Escopo exigido: \`${route.scope}\``;
+    }
+
+    if (schemas.body) {
+      operation.requestBody = {
+        required: true,
+        content: {
+          'application/json': { schema: schemas.body }
+        }
+      };
+    }
+
+    const openApiPath = toOpenApiPath(route.path);
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method.toLowerCase()] = operation;
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'LND RPC Payment Server',
+      version: packageInfo.version,
+      description: packageInfo.description
+    },
+    security: [{ secretKey: [] }],
+    components: {
+      securitySchemes: {
+        secretKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'x-secret-key',
+          description: 'Chave do cliente da API. Requisições assinadas usam X-Api-Client, X-Timestamp, X-Nonce e X-Signature.'
+        }
+      },
+      schemas: components
+    },
+    paths
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,187 @@
+/**
+ * PAYMENT-ACTIONS.JS - Nova Tentativa e Cancelamento de Pagamentos
+ *
+ * Ações dos clientes da API sobre pagamentos já registrados:
+ *
+ * NOVA TENTATIVA (POST /payment/:id/retry):
+ * Um pagamento com status "error" é executado de novo com o mesmo id.
+ * Antes, o envio anterior é conferido no nó da mesma forma que na
+ * reconciliação após reinício (ver payment-recovery.js):
+ * - nenhum envio encontrado: o pagamento passa para "retrying", recebe o
+ *   webhook payment.retried e volta para a fila (ou é executado em segundo plano)
+ * - envio encontrado: o pagamento é registrado como enviado, sem pagar de novo
+ * - envio Lightning ainda em andamento: o pagamento passa para in_flight e
+ *   o resultado fica com o LightningTracker
+ * - resultado incerto: o pagamento passa para needs_review
+ * A nova tentativa passa outra vez pela política de limites.
+ *
+ * CANCELAMENTO (POST /payment/:id/cancel):
+ * Pagamentos "queued" ou "awaiting_approval" ainda não chegaram ao nó e
+ * podem ser cancelados: status "cancelled", código payment_cancelled e
+ * webhook payment.cancelled.
+ *
+ * As duas ações ficam registradas no histórico com o cliente da API que
+ * as solicitou.
+ */
+
+const { PaymentError } = require('./errors');
+
+// Status que ainda não chegaram ao nó e podem ser cancelados
+const CANCELLABLE_STATUSES = ['queued', 'awaiting_approval'];
+
+class PaymentActions {
+  /**
+   * Construtor do PaymentActions
+   *
+   * @param {PaymentProcessor} paymentProcessor - Processador que executa os pagamentos
+   * @param {PaymentQueue} paymentQueue - Fila usada para executar as novas tentativas
+   * @param {PaymentRecovery} paymentRecovery - Conferência do envio anterior no nó
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(paymentProcessor, paymentQueue, paymentRecovery, logger) {
+    this.paymentProcessor = paymentProcessor;
+    this.paymentQueue = paymentQueue;
+    this.paymentRecovery = paymentRecovery;
+    this.logger = logger;
+
+    // Novas tentativas conferindo o nó (impede duas tentativas simultâneas do mesmo pagamento)
+    this.retrying = new Set();
+  }
+
+  /**
+   * Carrega um pagamento e confere se o status permite a ação
+   *
+   * @param {string} paymentId - ID do pagamento
+   * @param {Array<string>} allowedStatuses - Status aceitos
+   * @returns {Object} Pagamento (cópia)
+   * @throws {PaymentError} payment_not_found ou invalid_payment_state
+   */
+  getPayment(paymentId, allowedStatuses) {
+    const payment = this.paymentProcessor.getPaymentById(paymentId);
+    if (!payment) {
+      throw new PaymentError('payment_not_found', `Pagamento não encontrado: ${paymentId}`);
+    }
+
+    if (!allowedStatuses.includes(payment.status)) {
+      throw new PaymentError('invalid_payment_state',
+        `Ação não permitida para o status atual (${payment.status}); status aceitos: ${allowedStatuses.join(', ')}`,
+        { status: payment.status });
+    }
+
+    return payment;
+  }
+
+  /**
+   * Executa novamente um pagamento com erro
+   *
+   * @param {string} paymentId - ID do pagamento
+   * @param {string} requestedBy - Nome do cliente da API que solicitou
+   * @returns {Promise<Object>} Pagamento liberado para a nova tentativa
+   * @throws {PaymentError} payment_not_found, invalid_payment_state, backend_unavailable,
+   *   payment_already_sent, payment_in_flight ou payment_needs_review
+   */
+  async retry(paymentId, requestedBy) {
+    const payment = this.getPayment(paymentId, ['error']);
+    if (this.retrying.has(paymentId)) {
+      throw new PaymentError('invalid_payment_state',
+        'Já existe uma nova tentativa em andamento para este pagamento',
+        { status: payment.status });
+    }
+
+    this.retrying.add(paymentId);
+    try {
+      let result;
+      try {
+        result = await this.paymentRecovery.reconcile(payment);
+      } catch (error) {
+        throw new PaymentError('backend_unavailable',
+          `Não foi possível conferir o envio anterior no nó: ${error.message}`);
+      }
+
+      // Os fundos saíram (ou podem ter saído): registrar o resultado em vez de pagar de novo
+      if (result.outcome !== 'failed') {
+        this.paymentProcessor.reopenPaymentRequest(payment);
+        await this.paymentRecovery.applyResult(payment, result);
+
+        const details = { status: payment.status, transactionHash: payment.transactionHash || null };
+        if (result.outcome === 'sent') {
+          throw new PaymentError('payment_already_sent',
+            'O envio anterior foi encontrado no nó; pagamento registrado como enviado', details);
+        }
+        if (result.outcome === 'in_flight') {
+          throw new PaymentError('payment_in_flight',
+            'O envio anterior ainda está em andamento no LND; o resultado será registrado quando terminar', details);
+        }
+        throw new PaymentError('payment_needs_review',
+          `Não foi possível confirmar que o envio anterior falhou: ${result.reason}`, details);
+      }
+
+      const attempt = (payment.retryCount || 0) + 1;
+      const previousError = payment.error;
+      payment.retryCount = attempt;
+      delete payment.error;
+      delete payment.errorCode;
+      delete payment.errorAt;
+
+      this.paymentProcessor.recordTransition(payment, 'retrying', {
+        retriedBy: requestedBy,
+        attempt,
+        previousError
+      });
+      this.paymentProcessor.reopenPaymentRequest(payment);
+      this.logger.info(`Pagamento ${paymentId}: nova tentativa ${attempt} solicitada por ${requestedBy}`);
+
+      if (payment.webhookUrl) {
+        const delivered = await this.paymentProcessor.webhookManager.sendPaymentRetriedWebhook(
+          payment.webhookUrl,
+          payment,
+          payment.webhookSecret
+        );
+        this.paymentProcessor.recordWebhookDelivery(payment, 'payment.retried', delivered);
+      }
+
+      this.paymentQueue.dispatch(payment);
+      return payment;
+    } finally {
+      this.retrying.delete(paymentId);
+    }
+  }
+
+  /**
+   * Cancela um pagamento que ainda não foi executado
+   *
+   * A verificação do status e a gravação acontecem antes do primeiro await,
+   * então a fila não retira o pagamento no meio do cancelamento.
+   *
+   * @param {string} paymentId - ID do pagamento
+   * @param {string} requestedBy - Nome do cliente da API que solicitou
+   * @param {string} [reason=null] - Motivo informado
+   * @returns {Promise<Object>} Pagamento cancelado
+   * @throws {PaymentError} payment_not_found ou invalid_payment_state
+   */
+  async cancel(paymentId, requestedBy, reason = null) {
+    const payment = this.getPayment(paymentId, CANCELLABLE_STATUSES);
+
+    payment.cancelledBy = requestedBy;
+    payment.error = reason ? `Pagamento cancelado: ${reason}` : 'Pagamento cancelado';
+    payment.errorCode = 'payment_cancelled';
+    payment.errorAt = new Date().toISOString();
+    this.paymentProcessor.recordTransition(payment, 'cancelled', { cancelledBy: requestedBy, reason });
+    this.paymentProcessor.savePaymentRequest(payment);
+    this.logger.info(`Pagamento ${paymentId} cancelado por ${requestedBy}${reason ? `: ${reason}` : ''}`);
+
+    if (payment.webhookUrl) {
+      const delivered = await this.paymentProcessor.webhookManager.sendPaymentCancelledWebhook(
+        payment.webhookUrl,
+        payment,
+        payment.webhookSecret
+      );
+      this.paymentProcessor.recordWebhookDelivery(payment, 'payment.cancelled', delivered);
+    }
+
+    await this.paymentProcessor.savePaymentWithError(payment);
+    return payment;
+  }
+}
+
+module.exports = PaymentActions;
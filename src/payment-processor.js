@@ -9,18 +9,21 @@
  * 
  * Funcionalidades principais:
  * - Processamento de pagamentos por rede
- * - Gerenciamento de arquivos de requisição
+ * - Persistência das requisições (via backend de armazenamento)
  * - Controle de status e histórico
  * - Integração com webhooks
  * - Detecção automática de tipos de endereço/invoice
  */
 
-const fs = require('fs');
-const path = require('path');
 const config = require('../config/config.json');
 const LightningRPC = require('./rpc/lightning-rpc');
 const LiquidRPC = require('./rpc/liquid-rpc');
 const WebhookManager = require('./webhook-manager');
+const { createStorage } = require('./storage');
+const PolicyEngine = require('./policy-engine');
+const FeePolicy = require('./fee-policy');
+const { PaymentError, PaymentRejectedError } = require('./errors');
+const metrics = require('./metrics');
 
 class PaymentProcessor {
   /**
@@ -42,8 +45,20 @@ class PaymentProcessor {
     // Inicializar cliente RPC Liquid - para pagamentos na rede Liquid/Elements
     this.liquidRPC = new LiquidRPC(config.liquid, logger);
     
+    // Armazenamento dos pagamentos e webhooks falhados (SQLite ou arquivos, ver config.storage)
+    this.storage = createStorage(logger);
+    
     // Inicializar gerenciador de webhooks para notificações de status
-    this.webhookManager = new WebhookManager(logger);
+    this.webhookManager = new WebhookManager(this.storage, logger);
+    
+    // Política de limites de gastos avaliada antes de qualquer chamada RPC
+    this.policyEngine = new PolicyEngine(this.storage, logger);
+    
+    // Limites de taxa de rede (estimativa on-chain antes do envio, fee_limit na Lightning)
+    this.feePolicy = new FeePolicy(this.lightningRPC, this.liquidRPC, logger);
+    
+    // Pagamentos em execução neste processo: paymentId -> requisição
+    this.activePayments = new Map();
   }
 
   /**
@@ -56,7 +71,7 @@ class PaymentProcessor {
    * 4. Execução do pagamento
    * 5. Atualização do status e dados da transação
    * 6. Envio de webhook de conclusão/erro
-   * 7. Gerenciamento de arquivos (mover de payment_req para payment_sent)
+   * 7. Registro do pagamento como concluído no armazenamento
    * 
    * @param {Object} paymentRequest - Objeto contendo dados da requisição de pagamento
    * @param {string} paymentRequest.id - ID único da requisição
@@ -69,20 +84,30 @@ class PaymentProcessor {
    * @throws {Error} Erros de validação, rede ou processamento
    */
   async processPayment(paymentRequest) {
+    const startedAt = process.hrtime.bigint();
+    
+    // ========== FASE 0: POLÍTICA DE LIMITES ==========
+    // Recusar antes de marcar como processing: nenhum webhook pending nem RPC é disparado
+    const violation = this.policyEngine.evaluate(paymentRequest);
+    if (violation) {
+      await this.rejectPayment(paymentRequest, violation);
+      this.recordPaymentMetrics(paymentRequest, 'rejected', startedAt);
+      throw new PaymentRejectedError(violation.code, violation.message, violation.details);
+    }
+    
+    this.activePayments.set(paymentRequest.id, paymentRequest);
+    
     try {
       this.logger.info(`Processando pagamento: ${paymentRequest.id}`);
       
-      // ========== FASE 1: WEBHOOK DE PAGAMENTO PENDENTE ==========
-      // Notificar sistema externo que o pagamento foi recebido e está sendo processado
-      if (paymentRequest.webhookUrl) {
-        await this.webhookManager.sendPaymentPendingWebhook(
-          paymentRequest.webhookUrl, 
-          paymentRequest,
-          paymentRequest.webhookSecret
-        );
-      }
+      // ========== FASE 1: INÍCIO DO PROCESSAMENTO ==========
+      await this.markProcessing(paymentRequest);
       
       // ========== FASE 2: ROTEAMENTO POR REDE ==========
+      // Limite de taxa: on-chain a estimativa é conferida com o teto antes do envio;
+      // na Lightning o teto vira a taxa máxima de roteamento (com cotação aceita, a taxa cotada)
+      const sendOptions = await this.feePolicy.prepare(paymentRequest);
+      
       let result;
       const network = paymentRequest.network.toLowerCase();
       
@@ -90,20 +115,31 @@ class PaymentProcessor {
       switch (network) {
         case 'bitcoin':
         case 'lightning':
-          // Usar Lightning RPC para ambos Bitcoin on-chain e Lightning Network
-          // O Lightning RPC detectará automaticamente o tipo baseado no formato do destino
-          // (endereço Bitcoin vs invoice Lightning vs Lightning Address)
-          result = await this.lightningRPC.sendPayment(
-            paymentRequest.destinationWallet,
-            paymentRequest.amount
-          );
+          // Usar Lightning RPC para ambos Bitcoin on-chain e Lightning Network,
+          // roteado pela rede já resolvida (Lightning Address com network lightning)
+          try {
+            result = await this.lightningRPC.sendPayment(
+              paymentRequest.destinationWallet,
+              paymentRequest.amount,
+              {
+                ...sendOptions,
+                network,
+                onUpdate: update => this.recordLightningUpdate(paymentRequest, update),
+                onInvoice: invoice => this.recordLightningInvoice(paymentRequest, invoice)
+              }
+            );
+          } catch (error) {
+            throw await this.feePolicy.explainLightningFailure(error, paymentRequest, sendOptions.feeLimitSats);
+          }
           break;
           
         case 'liquid':
           // Usar Liquid RPC para pagamentos na rede Liquid/Elements
           result = await this.liquidRPC.sendPayment(
             paymentRequest.destinationWallet,
-            paymentRequest.amount
+            paymentRequest.amount,
+            null,
+            sendOptions.feeRate
           );
           break;
           
@@ -111,96 +147,441 @@ class PaymentProcessor {
           throw new Error(`Rede não suportada: ${network}`);
       }
       
-      // ========== FASE 3: ATUALIZAÇÃO DOS DADOS DA REQUISIÇÃO ==========
-      // Atualizar status e adicionar informações da transação concluída
-      paymentRequest.status = 'sent';
-      paymentRequest.transactionHash = result.transactionHash;
-      paymentRequest.completedAt = new Date().toISOString();
-      paymentRequest.networkFee = result.fee || 0;
-      
-      // ========== FASE 4: WEBHOOK DE PAGAMENTO CONCLUÍDO ==========
-      // Notificar sistema externo que o pagamento foi enviado com sucesso
-      if (paymentRequest.webhookUrl) {
-        await this.webhookManager.sendPaymentCompletedWebhook(
-          paymentRequest.webhookUrl, 
-          paymentRequest,
-          paymentRequest.webhookSecret
-        );
-      }
-      
-      // ========== FASE 5: GERENCIAMENTO DE ARQUIVOS ==========
-      // Mover arquivo de payment_req (pendentes) para payment_sent (concluídos)
-      await this.movePaymentFile(paymentRequest);
-      
-      this.logger.info(`Pagamento concluído: ${paymentRequest.id}, Hash: ${result.transactionHash}`);
+      // ========== FASES 3 A 5: CONCLUSÃO ==========
+      await this.markSent(paymentRequest, result, startedAt);
       
       return result;
       
     } catch (error) {
       // ========== TRATAMENTO DE ERRO ==========
-      this.logger.error(`Erro ao processar pagamento ${paymentRequest.id}: ${error.message}`, error);
-      
-      // Atualizar status para erro com detalhes
-      paymentRequest.status = 'error';
-      paymentRequest.error = error.message;
-      paymentRequest.errorAt = new Date().toISOString();
-      
-      // Notificar sistema externo sobre a falha
-      if (paymentRequest.webhookUrl) {
-        await this.webhookManager.sendPaymentFailedWebhook(
-          paymentRequest.webhookUrl, 
-          paymentRequest,
-          paymentRequest.webhookSecret
-        );
+      // HTLC ainda pendente no LND: o resultado fica com o LightningTracker
+      if (error instanceof PaymentError && error.code === 'payment_in_flight') {
+        this.markLightningInFlight(paymentRequest, error);
+        throw error;
       }
       
-      // Salvar arquivo com informações de erro para análise posterior
-      await this.savePaymentWithError(paymentRequest);
+      await this.markFailed(paymentRequest, error, startedAt);
       
       // Re-propagar o erro para o caller
       throw error;
+    } finally {
+      this.activePayments.delete(paymentRequest.id);
     }
   }
 
   /**
-   * Move arquivo de requisição de payment_req para payment_sent
-   * 
-   * Este método gerencia o ciclo de vida dos arquivos de requisição:
-   * - Salva o arquivo atualizado (com dados da transação) em payment_sent/
-   * - Remove o arquivo original de payment_req/
-   * - Mantém a estrutura de nomenclatura: {id}_{transactionId}.json
-   * 
-   * @param {Object} paymentRequest - Objeto da requisição com dados atualizados
+   * Marca o início do processamento e envia o webhook payment.pending
+   *
+   * O status processing é gravado antes do primeiro await, o que impede
+   * que a fila retire a requisição de novo.
+   *
+   * @param {Object} paymentRequest - Objeto da requisição
+   * @param {Object} [details={}] - Informações adicionais da transição
+   */
+  async markProcessing(paymentRequest, details = {}) {
+    // Registrar início do processamento (também impede que a fila retire a requisição de novo)
+    this.recordTransition(paymentRequest, 'processing', details);
+    this.savePaymentRequest(paymentRequest);
+    
+    // Notificar sistema externo que o pagamento foi recebido e está sendo processado
+    if (paymentRequest.webhookUrl) {
+      const delivered = await this.webhookManager.sendPaymentPendingWebhook(
+        paymentRequest.webhookUrl, 
+        paymentRequest,
+        paymentRequest.webhookSecret
+      );
+      this.recordWebhookDelivery(paymentRequest, 'payment.pending', delivered);
+      this.savePaymentRequest(paymentRequest);
+    }
+  }
+
+  /**
+   * Registra um pagamento enviado pelo nó
+   *
+   * Atualiza a requisição com os dados da transação, envia o webhook
+   * payment.completed e grava o pagamento como concluído.
+   *
+   * @param {Object} paymentRequest - Objeto da requisição
+   * @param {Object} result - Resultado do RPC { transactionHash, fee, preimage?, route? }
+   * @param {bigint|null} startedAt - Início do processamento (process.hrtime.bigint()); null sem duração conhecida
+   * @param {Object} [details={}] - Informações adicionais da transição
+   */
+  async markSent(paymentRequest, result, startedAt, details = {}) {
+    // ========== FASE 3: ATUALIZAÇÃO DOS DADOS DA REQUISIÇÃO ==========
+    // Atualizar status e adicionar informações da transação concluída
+    paymentRequest.transactionHash = result.transactionHash;
+    paymentRequest.completedAt = new Date().toISOString();
+    paymentRequest.networkFee = result.fee || 0;
+    if (result.preimage) {
+      // Lightning: comprovante do pagamento e rota usada
+      paymentRequest.preimage = result.preimage;
+      paymentRequest.route = result.route || null;
+    }
+    this.trackConfirmations(paymentRequest);
+    this.recordTransition(paymentRequest, 'sent', {
+      transactionHash: paymentRequest.transactionHash,
+      fee: paymentRequest.networkFee,
+      ...details
+    });
+    
+    // ========== FASE 4: WEBHOOK DE PAGAMENTO CONCLUÍDO ==========
+    // Notificar sistema externo que o pagamento foi enviado com sucesso
+    if (paymentRequest.webhookUrl) {
+      const delivered = await this.webhookManager.sendPaymentCompletedWebhook(
+        paymentRequest.webhookUrl, 
+        paymentRequest,
+        paymentRequest.webhookSecret
+      );
+      this.recordWebhookDelivery(paymentRequest, 'payment.completed', delivered);
+    }
+    
+    // ========== FASE 5: REGISTRO DA CONCLUSÃO ==========
+    // Marcar como concluído no armazenamento (sai da lista de pendentes)
+    await this.saveCompletedPayment(paymentRequest);
+    
+    this.logger.info(`Pagamento concluído: ${paymentRequest.id}, Hash: ${paymentRequest.transactionHash}`);
+    this.recordPaymentMetrics(paymentRequest, 'sent', startedAt);
+  }
+
+  /**
+   * Registra a falha de um pagamento
+   *
+   * Grava o erro, envia o webhook payment.failed e salva o registro de erro
+   * para análise posterior.
+   *
+   * @param {Object} paymentRequest - Objeto da requisição
+   * @param {Error} error - Erro do processamento
+   * @param {bigint|null} startedAt - Início do processamento (process.hrtime.bigint()); null sem duração conhecida
    */
-  async movePaymentFile(paymentRequest) {
-    const sourceFile = path.join(__dirname, '../payment_req', `${paymentRequest.id}_${paymentRequest.transactionId}.json`);
-    const destFile = path.join(__dirname, '../payment_sent', `${paymentRequest.id}_${paymentRequest.transactionId}.json`);
+  async markFailed(paymentRequest, error, startedAt) {
+    this.logger.error(`Erro ao processar pagamento ${paymentRequest.id}: ${error.message}`, error);
     
-    // Salvar arquivo atualizado no diretório payment_sent com todas as informações da transação
-    fs.writeFileSync(destFile, JSON.stringify(paymentRequest, null, 2));
+    // Atualizar status para erro com detalhes (código estável quando conhecido, ex: fee_limit_exceeded)
+    paymentRequest.error = error.message;
+    paymentRequest.errorCode = error instanceof PaymentError ? error.code : null;
+    paymentRequest.errorAt = new Date().toISOString();
+    this.recordTransition(paymentRequest, 'error', error instanceof PaymentError
+      ? { error: error.message, errorCode: error.code, ...error.details }
+      : { error: error.message });
     
-    // Remover arquivo original do diretório payment_req para evitar reprocessamento
-    if (fs.existsSync(sourceFile)) {
-      fs.unlinkSync(sourceFile);
+    // Notificar sistema externo sobre a falha
+    if (paymentRequest.webhookUrl) {
+      const delivered = await this.webhookManager.sendPaymentFailedWebhook(
+        paymentRequest.webhookUrl, 
+        paymentRequest,
+        paymentRequest.webhookSecret
+      );
+      this.recordWebhookDelivery(paymentRequest, 'payment.failed', delivered);
     }
     
-    this.logger.info(`Arquivo movido: ${sourceFile} -> ${destFile}`);
+    // Salvar registro com informações de erro para análise posterior
+    await this.savePaymentWithError(paymentRequest);
+    this.recordPaymentMetrics(paymentRequest, 'error', startedAt);
+  }
+
+  /**
+   * Registra contagem, duração e taxa de um pagamento finalizado nas métricas Prometheus
+   *
+   * @param {Object} paymentRequest - Objeto da requisição
+   * @param {string} outcome - Resultado final (sent, error, rejected)
+   * @param {bigint|null} startedAt - process.hrtime.bigint() do início do processamento (null: duração não registrada)
+   */
+  recordPaymentMetrics(paymentRequest, outcome, startedAt) {
+    const labels = { network: paymentRequest.network, outcome };
+    metrics.paymentsTotal.inc(labels);
+    if (startedAt !== null) {
+      metrics.paymentDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+    
+    if (outcome === 'sent' && paymentRequest.networkFee) {
+      metrics.feesPaid.inc({ network: paymentRequest.network }, paymentRequest.networkFee);
+    }
+  }
+
+  /**
+   * Verifica se um novo pagamento pode começar a executar agora
+   *
+   * Respeita limits.maxConcurrentPayments considerando todos os pagamentos
+   * em execução neste processo (síncronos e da fila).
+   *
+   * @param {number} [reserved=0] - Pagamentos já admitidos que ainda não começaram (itens de um lote)
+   * @returns {boolean} true se houver vaga
+   */
+  canStartPayment(reserved = 0) {
+    return this.policyEngine.canStart(this.activePayments.size + reserved);
+  }
+
+  /**
+   * Grava o marcador in_flight nos pagamentos ainda em execução
+   *
+   * Chamado no desligamento quando o prazo de espera termina antes de algum
+   * processPayment concluir. Não é possível saber se os fundos já saíram da
+   * carteira, então o pagamento precisa ser conferido no nó antes de qualquer
+   * nova tentativa.
+   *
+   * @returns {Array<string>} IDs dos pagamentos marcados
+   */
+  markInFlight() {
+    const marked = [];
+    for (const paymentRequest of this.activePayments.values()) {
+      paymentRequest.inFlightAt = new Date().toISOString();
+      this.recordTransition(paymentRequest, 'in_flight', {
+        reason: 'Servidor encerrado durante o processamento',
+        previousStatus: paymentRequest.status
+      });
+      this.savePaymentRequest(paymentRequest);
+      this.logger.warn(`Pagamento ${paymentRequest.id} marcado como in_flight no desligamento`);
+      marked.push(paymentRequest.id);
+    }
+    return marked;
+  }
+
+  /**
+   * Encerra as conexões com os nós (canal gRPC do LND) e o armazenamento
+   */
+  close() {
+    this.lightningRPC.close();
+    this.storage.close();
+  }
+
+  /**
+   * Recusa um pagamento sem executá-lo
+   *
+   * Marca a requisição como rejected, notifica via webhook payment.rejected
+   * e salva o registro como os pagamentos com erro.
+   *
+   * @param {Object} paymentRequest - Objeto da requisição
+   * @param {Object} reason - Motivo { code, message, details }
+   */
+  async rejectPayment(paymentRequest, reason) {
+    this.logger.warn(`Pagamento recusado ${paymentRequest.id}: ${reason.code} - ${reason.message}`);
+    
+    paymentRequest.error = reason.message;
+    paymentRequest.errorCode = reason.code;
+    paymentRequest.errorAt = new Date().toISOString();
+    this.recordTransition(paymentRequest, 'rejected', { code: reason.code, error: reason.message });
+    
+    // Atualizar a requisição original para que a fila não a retire de novo
+    this.savePaymentRequest(paymentRequest);
+    
+    if (paymentRequest.webhookUrl) {
+      const delivered = await this.webhookManager.sendPaymentRejectedWebhook(
+        paymentRequest.webhookUrl,
+        paymentRequest,
+        paymentRequest.webhookSecret
+      );
+      this.recordWebhookDelivery(paymentRequest, 'payment.rejected', delivered);
+    }
+    
+    await this.savePaymentWithError(paymentRequest);
+  }
+
+  /**
+   * Registra uma mudança de status no histórico do pagamento
+   *
+   * O histórico (paymentRequest.history) é persistido junto com a requisição
+   * e exposto pelo endpoint GET /payment/:id.
+   *
+   * @param {Object} paymentRequest - Objeto da requisição
+   * @param {string} status - Novo status (pending, queued, processing, sent, error, rejected, in_flight, needs_review, retrying, cancelled, confirmed, dropped...)
+   * @param {Object} [details={}] - Informações adicionais da transição
+   */
+  recordTransition(paymentRequest, status, details = {}) {
+    paymentRequest.status = status;
+    paymentRequest.history = paymentRequest.history || [];
+    paymentRequest.history.push({
+      status,
+      timestamp: new Date().toISOString(),
+      ...details
+    });
+  }
+
+  /**
+   * Marca um pagamento Lightning cujo HTLC ainda está pendente no LND
+   *
+   * O envio terminou do nosso lado (espera esgotada ou stream interrompido)
+   * mas o pagamento pode ser concluído depois. O status in_flight com o
+   * payment hash em lightning.paymentHash entrega o pagamento ao
+   * LightningTracker, que grava o resultado e envia o webhook final.
+   *
+   * @param {Object} paymentRequest - Objeto da requisição
+   * @param {PaymentError} error - Erro payment_in_flight do LightningRPC
+   */
+  markLightningInFlight(paymentRequest, error) {
+    paymentRequest.inFlightAt = new Date().toISOString();
+    this.recordTransition(paymentRequest, 'in_flight', {
+      reason: error.message,
+      paymentHash: error.details.paymentHash || null
+    });
+    this.savePaymentRequest(paymentRequest);
+    this.logger.warn(`Pagamento ${paymentRequest.id} em andamento no LND, acompanhamento pelo LightningTracker`);
+  }
+
+  /**
+   * Registra uma atualização do SendPaymentV2 no pagamento
+   *
+   * O campo lightning guarda o estado do pagamento no LND (in_flight,
+   * succeeded ou failed), o payment hash, as tentativas de HTLC e a taxa.
+   * A requisição só é gravada quando o estado ou o número de tentativas muda.
+   *
+   * @param {Object} paymentRequest - Objeto da requisição
+   * @param {Object} update - { status, paymentHash, attempts, fee, failureReason }
+   */
+  recordLightningUpdate(paymentRequest, update) {
+    const previous = paymentRequest.lightning || {};
+    paymentRequest.lightning = { ...previous, ...update, updatedAt: new Date().toISOString() };
+
+    if (previous.status !== update.status || previous.attempts !== update.attempts) {
+      this.logger.debug(`Pagamento ${paymentRequest.id}: Lightning ${update.status} (${update.attempts} tentativa(s) de HTLC)`);
+      this.savePaymentRequest(paymentRequest);
+    }
+  }
+
+  /**
+   * Grava a invoice obtida de uma Lightning Address antes do envio
+   *
+   * Com ela o payment hash é conhecido mesmo se o envio for interrompido
+   * antes da primeira atualização do SendPaymentV2 (LightningTracker e
+   * reconciliação da inicialização).
+   *
+   * @param {Object} paymentRequest - Objeto da requisição
+   * @param {string} invoice - Invoice bolt11 retornada pelo LNURL-pay
+   */
+  recordLightningInvoice(paymentRequest, invoice) {
+    paymentRequest.lightning = { ...(paymentRequest.lightning || {}), invoice };
+    this.savePaymentRequest(paymentRequest);
+  }
+
+  /**
+   * Inclui um pagamento enviado no acompanhamento de confirmações
+   *
+   * Apenas envios on-chain e Liquid: um pagamento Lightning é definitivo
+   * quando o LND retorna o preimage. O ConfirmationTracker acompanha os
+   * pagamentos enviados que têm o campo confirmations.
+   *
+   * @param {Object} paymentRequest - Objeto da requisição
+   */
+  trackConfirmations(paymentRequest) {
+    if (this.feePolicy.getKind(paymentRequest) !== 'lightning') {
+      paymentRequest.confirmations = 0;
+    }
+  }
+
+  /**
+   * Registra uma entrega de webhook feita para o pagamento
+   *
+   * @param {Object} paymentRequest - Objeto da requisição
+   * @param {string} event - Evento enviado (payment.pending, payment.completed...)
+   * @param {boolean} delivered - Resultado retornado pelo WebhookManager
+   */
+  recordWebhookDelivery(paymentRequest, event, delivered) {
+    if (!this.webhookManager.config.enabled) {
+      return;
+    }
+
+    paymentRequest.webhookDeliveries = paymentRequest.webhookDeliveries || [];
+    paymentRequest.webhookDeliveries.push({
+      event,
+      url: paymentRequest.webhookUrl,
+      delivered,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Salva (ou atualiza) a requisição no armazenamento
+   *
+   * Usado no recebimento da requisição e a cada mudança de status
+   * enquanto o pagamento ainda não foi concluído.
+   *
+   * @param {Object} paymentRequest - Objeto da requisição
+   * @returns {string} Localização do registro gravado (para logs)
+   */
+  savePaymentRequest(paymentRequest) {
+    return this.storage.savePayment(paymentRequest);
+  }
+
+  /**
+   * Registra o pagamento como concluído
+   * 
+   * Grava a requisição com todas as informações da transação e a retira da
+   * lista de pendentes (no backend de arquivos: move de payment_req/ para
+   * payment_sent/), evitando reprocessamento.
+   * 
+   * @param {Object} paymentRequest - Objeto da requisição com dados atualizados
+   */
+  async saveCompletedPayment(paymentRequest) {
+    this.storage.completePayment(paymentRequest);
   }
 
   /**
    * Salva requisição com erro para análise posterior
    * 
    * Quando um pagamento falha, este método preserva todos os dados para debugging:
-   * - Salva no diretório payment_req com prefixo "ERROR_"
    * - Inclui mensagem de erro e timestamp
+   * - No backend de arquivos, grava em payment_req/ com prefixo "ERROR_"
    * - Permite reprocessamento manual se necessário
    * 
    * @param {Object} paymentRequest - Objeto da requisição com dados de erro
    */
   async savePaymentWithError(paymentRequest) {
-    const errorFile = path.join(__dirname, '../payment_req', `ERROR_${paymentRequest.id}_${paymentRequest.transactionId}.json`);
-    fs.writeFileSync(errorFile, JSON.stringify(paymentRequest, null, 2));
-    this.logger.info(`Arquivo de erro salvo: ${errorFile}`);
+    this.storage.failPayment(paymentRequest);
+  }
+
+  /**
+   * Reabre um pagamento com erro para nova tentativa
+   *
+   * O registro de erro deixa de prevalecer (no backend de arquivos, o
+   * arquivo ERROR_ é removido); o erro anterior continua no histórico.
+   *
+   * @param {Object} paymentRequest - Objeto da requisição com o novo status
+   * @returns {string} Localização do registro gravado (para logs)
+   */
+  reopenPaymentRequest(paymentRequest) {
+    return this.storage.reopenPayment(paymentRequest);
+  }
+
+  /**
+   * Procura uma requisição já registrada para o mesmo transactionId
+   *
+   * Usado para tornar o POST /payment idempotente: se o cliente reenviar a
+   * mesma requisição (ex: após timeout HTTP), o pagamento não é executado
+   * novamente. Se houver mais de um registro, prevalece o pagamento já
+   * enviado.
+   *
+   * @param {string} transactionId - ID da transação no sistema cliente
+   * @param {string} [idempotencyKey=null] - Valor do header Idempotency-Key
+   * @returns {Object|null} Requisição registrada ou null se não existir
+   */
+  findExistingPayment(transactionId, idempotencyKey = null) {
+    return this.storage.findByTransaction(transactionId, idempotencyKey);
+  }
+
+  /**
+   * Procura um pagamento pelo ID interno (paymentId)
+   *
+   * @param {string} paymentId - ID gerado pelo servidor no recebimento
+   * @returns {Object|null} Registro mais recente do pagamento ou null
+   */
+  getPaymentById(paymentId) {
+    return this.storage.getPaymentById(paymentId);
+  }
+
+  /**
+   * Verifica se uma nova requisição é idêntica a uma já registrada
+   *
+   * Uma repetição só é aceita como idempotente se transactionId, valor,
+   * rede e destino forem os mesmos da requisição original.
+   *
+   * @param {Object} existing - Requisição registrada anteriormente
+   * @param {Object} candidate - Nova requisição recebida
+   * @returns {boolean} true se as requisições forem equivalentes
+   */
+  isSamePaymentRequest(existing, candidate) {
+    return existing.transactionId === candidate.transactionId &&
+      existing.amount === candidate.amount &&
+      existing.network === candidate.network &&
+      existing.destinationWallet === candidate.destinationWallet;
   }
 
   /**
@@ -241,29 +622,23 @@ class PaymentProcessor {
    * Analisa o formato do destino para determinar qual rede/protocolo usar:
    * - Lightning invoices (bolt11): começam com "ln"
    * - Lightning addresses: formato email (usuario@dominio.com)
-   * - Bitcoin addresses: P2PKH, P2SH, Bech32, Taproot
-   * - Liquid addresses: formatos específicos da rede Liquid
+   * - Bitcoin addresses: P2PKH, P2SH, Bech32, Taproot (mainnet, testnet e regtest)
+   * - Liquid addresses: formatos específicos da rede Liquid, inclusive
+   *   endereços confidenciais e de testnet/regtest
    * 
-   * Esta detecção é crucial para o roteamento automático de pagamentos.
+   * Esta detecção é crucial para o roteamento automático de pagamentos
+   * (ver resolveNetwork).
    * 
    * @param {string} address - Endereço, invoice ou Lightning address
    * @returns {string} Tipo detectado ('lightning', 'bitcoin', 'liquid', 'unknown')
    */
   detectAddressType(address) {
     // ========== LIGHTNING NETWORK ==========
-    // Lightning invoice (bolt11) - formato padrão dos invoices Lightning
-    if (address.toLowerCase().startsWith('ln')) {
+    // Invoice bolt11 ou Lightning address (usuario@dominio.com): mesma regra do LightningRPC
+    if (this.lightningRPC.isLightningDestination(address)) {
       return 'lightning';
     }
     
-    // Lightning address (usuario@dominio.com) - protocolo LNURL-pay
-    if (address.includes('@') && address.split('@').length === 2) {
-      const [username, domain] = address.split('@');
-      if (username && domain && domain.includes('.')) {
-        return 'lightning';
-      }
-    }
-    
     // ========== BITCOIN NETWORK ==========
     // Bitcoin address patterns usando regex para validação precisa
     if (address.match(/^[13][a-km-zA-HJ-NP-Z1-9]{25,34}$/) || // Legacy (P2PKH/P2SH)
@@ -272,6 +647,12 @@ class PaymentProcessor {
       return 'bitcoin';
     }
     
+    // Testnet/regtest: verificados antes dos padrões Liquid, que também aceitam o prefixo "2"
+    if (address.match(/^[mn2][a-km-zA-HJ-NP-Z1-9]{25,34}$/) ||          // Legacy/P2SH testnet
+        address.match(/^(tb1|bcrt1)[a-zA-HJ-NP-Z0-9]{39,59}$/)) {       // Bech32 testnet/regtest
+      return 'bitcoin';
+    }
+    
     // ========== LIQUID NETWORK ==========
     // Liquid address patterns - diferentes da mainnet Bitcoin
     if (address.match(/^[2-9A-HJ-NP-Z][1-9A-HJ-NP-Za-km-z]{25,39}$/) || // Liquid legacy
@@ -279,10 +660,51 @@ class PaymentProcessor {
       return 'liquid';
     }
     
+    // Liquid confidencial (base58 e blech32) e prefixos de testnet/regtest
+    if (address.match(/^(VJL|VT|vjT|vtS)[1-9A-HJ-NP-Za-km-z]{70,80}$/) ||      // Confidencial base58
+        address.match(/^(lq1|ex1|tlq1|tex1|el1|ert1)[a-z0-9]{39,110}$/)) {   // Bech32/blech32
+      return 'liquid';
+    }
+    
     // Se não corresponder a nenhum padrão conhecido
     return 'unknown';
   }
 
+  /**
+   * Define a rede de um pagamento a partir do destino
+   *
+   * Com network "auto" a rede é a detectada por detectAddressType. Com uma
+   * rede informada, o destino precisa ser compatível com ela: uma invoice
+   * Lightning com network "bitcoin" ou um endereço Liquid com network
+   * "bitcoin" são recusados antes de qualquer chamada RPC. Destinos de
+   * formato desconhecido seguem na rede informada.
+   *
+   * @param {string} network - Rede informada ('auto', 'bitcoin', 'lightning' ou 'liquid')
+   * @param {string} destinationWallet - Endereço, invoice ou Lightning address
+   * @returns {string} Rede usada no pagamento
+   * @throws {PaymentError} network_not_detected ou network_mismatch (details.detectedType)
+   */
+  resolveNetwork(network, destinationWallet) {
+    const detectedType = this.detectAddressType(destinationWallet);
+
+    if (network === 'auto') {
+      if (detectedType === 'unknown') {
+        throw new PaymentError('network_not_detected',
+          'Não foi possível detectar a rede do destino; informe network explicitamente',
+          { network, detectedType });
+      }
+      return detectedType;
+    }
+
+    if (detectedType !== 'unknown' && detectedType !== network) {
+      throw new PaymentError('network_mismatch',
+        `O destino é do tipo ${detectedType}, incompatível com a rede ${network}`,
+        { network, detectedType });
+    }
+
+    return network;
+  }
+
   /**
    * Obtém saldos de todas as redes simultaneamente
    * 
@@ -0,0 +1,376 @@
+/**
+ * PAYMENT-QUEUE.JS - Fila de Processamento Assíncrono de Pagamentos
+ *
+ * Esta classe implementa um worker em processo que consome as requisições
+ * persistidas no armazenamento com status "queued". É usada pelo modo
+ * assíncrono do POST /payment: a requisição é salva, o cliente recebe
+ * 202 Accepted imediatamente e o pagamento é executado em segundo plano.
+ *
+ * FUNCIONALIDADES PRINCIPAIS:
+ * - Varredura periódica do armazenamento (status queued)
+ * - Ordem de chegada (FIFO) baseada no timestamp da requisição
+ * - Limite de concorrência configurável por rede
+ * - Retomada automática de requisições enfileiradas após reinício
+ *
+ * CICLO DE VIDA DA REQUISIÇÃO:
+ * - queued: requisição salva e aguardando o worker
+ * - processing: worker iniciou o processamento
+ * - sent/error: resultado final gravado pelo PaymentProcessor
+ * - cancelled: cancelada antes de ser retirada (POST /payment/:id/cancel)
+ *
+ * LOTES (POST /payments/batch):
+ * Os itens de um lote ficam na fila com batch.id e são retirados juntos,
+ * até o limite global de pagamentos simultâneos, para que o BatchProcessor
+ * os envie na mesma transação. O limite por rede não se aplica ao lote: o
+ * próprio BatchProcessor agrupa os envios e limita os pagamentos Lightning.
+ *
+ * O acompanhamento do pagamento é feito pelos webhooks já existentes
+ * (payment.pending, payment.completed, payment.failed).
+ */
+
+const config = require('../config/config.json');
+
+class PaymentQueue {
+  /**
+   * Construtor da fila de pagamentos
+   *
+   * @param {PaymentProcessor} paymentProcessor - Processador que executa os pagamentos
+   * @param {BatchProcessor} batchProcessor - Executor dos lotes de pagamentos
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(paymentProcessor, batchProcessor, logger) {
+    this.paymentProcessor = paymentProcessor;
+    this.batchProcessor = batchProcessor;
+    this.logger = logger;
+    this.config = config.queue || {};
+
+    // Pagamentos em execução: paymentId -> rede
+    this.active = new Map();
+    this.timer = null;
+    this.running = false;
+
+    // Pagamentos liberados com a fila desabilitada aguardando vaga no limite global
+    this.waiting = [];
+    this.waitingTimer = null;
+  }
+
+  /**
+   * Verifica se o modo assíncrono está habilitado na configuração
+   *
+   * @returns {boolean} true se a fila pode receber pagamentos
+   */
+  isEnabled() {
+    return this.config.enabled === true;
+  }
+
+  /**
+   * Inicia o worker
+   *
+   * Faz uma primeira varredura imediatamente (para retomar requisições
+   * enfileiradas antes de um reinício) e agenda as próximas varreduras.
+   */
+  start() {
+    if (!this.isEnabled() || this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.timer = setInterval(() => this.drain(), this.config.pollInterval || 5000);
+    this.logger.info('Fila de pagamentos assíncronos iniciada');
+    this.drain();
+  }
+
+  /**
+   * Interrompe o worker
+   *
+   * Pagamentos já em execução continuam até terminar; apenas novas
+   * requisições deixam de ser retiradas da fila.
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.logger.info('Fila de pagamentos assíncronos interrompida');
+  }
+
+  /**
+   * Obtém o limite de pagamentos simultâneos para uma rede
+   *
+   * @param {string} network - Rede do pagamento
+   * @returns {number} Número máximo de pagamentos em execução na rede
+   */
+  getConcurrency(network) {
+    const concurrency = this.config.concurrency || {};
+    return concurrency[network] || this.config.defaultConcurrency || 1;
+  }
+
+  /**
+   * Conta os pagamentos em execução em uma rede
+   *
+   * @param {string} network - Rede do pagamento
+   * @returns {number} Quantidade de pagamentos ativos
+   */
+  getActiveCount(network) {
+    let count = 0;
+    for (const activeNetwork of this.active.values()) {
+      if (activeNetwork === network) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Verifica se cabem mais pagamentos no limite global
+   *
+   * Os pagamentos de um lote entram no activePayments do PaymentProcessor
+   * aos poucos (Lightning com concorrência limitada), então os já retirados
+   * pela fila que ainda não começaram também são contados.
+   *
+   * @param {number} [count=1] - Quantidade de pagamentos a iniciar
+   * @returns {boolean} true se os pagamentos podem ser iniciados
+   */
+  canStart(count = 1) {
+    let reserved = 0;
+    for (const paymentId of this.active.keys()) {
+      if (!this.paymentProcessor.activePayments.has(paymentId)) {
+        reserved++;
+      }
+    }
+    return this.paymentProcessor.canStartPayment(reserved + count - 1);
+  }
+
+  /**
+   * Separa os itens de um lote que cabem no limite global
+   *
+   * @param {string} batchId - Identificador do lote
+   * @param {Array<Object>} candidates - Requisições aguardando, em ordem de chegada
+   * @returns {Array<Object>} Itens do lote que podem ser iniciados agora
+   */
+  takeBatch(batchId, candidates) {
+    const taken = [];
+    for (const paymentRequest of candidates) {
+      if (paymentRequest.batch && paymentRequest.batch.id === batchId &&
+          !this.active.has(paymentRequest.id) && this.canStart(taken.length + 1)) {
+        taken.push(paymentRequest);
+      }
+    }
+    return taken;
+  }
+
+  /**
+   * Lê as requisições com status "queued" em ordem de chegada
+   *
+   * @returns {Array<Object>} Requisições aguardando processamento
+   */
+  getQueuedPayments() {
+    return this.paymentProcessor.storage.listPayments({ status: ['queued'] });
+  }
+
+  /**
+   * Retira da fila todos os pagamentos que cabem no limite de concorrência
+   *
+   * Chamado periodicamente, a cada novo pagamento enfileirado e sempre
+   * que um pagamento termina.
+   */
+  drain() {
+    if (!this.running) {
+      return;
+    }
+
+    try {
+      const queued = this.getQueuedPayments();
+      for (const paymentRequest of queued) {
+        if (this.active.has(paymentRequest.id)) {
+          continue;
+        }
+
+        // Limite global (limits.maxConcurrentPayments) vale para todas as redes
+        if (!this.canStart()) {
+          break;
+        }
+
+        if (paymentRequest.batch && paymentRequest.batch.id) {
+          this.executeBatch(paymentRequest.batch.id, this.takeBatch(paymentRequest.batch.id, queued));
+          continue;
+        }
+
+        if (this.getActiveCount(paymentRequest.network) >= this.getConcurrency(paymentRequest.network)) {
+          continue;
+        }
+
+        this.execute(paymentRequest);
+      }
+    } catch (error) {
+      this.logger.error(`Erro ao consumir fila de pagamentos: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Envia para execução um pagamento liberado fora do POST /payment
+   *
+   * Usado após a aprovação manual e na nova tentativa de um pagamento com
+   * erro. Com a fila habilitada o pagamento volta para "queued" e é
+   * executado pelo worker; caso contrário é executado em segundo plano
+   * assim que houver vaga no limite global (limits.maxConcurrentPayments).
+   *
+   * @param {Object} paymentRequest - Requisição liberada
+   */
+  dispatch(paymentRequest) {
+    if (this.isEnabled()) {
+      this.paymentProcessor.recordTransition(paymentRequest, 'queued');
+      this.paymentProcessor.savePaymentRequest(paymentRequest);
+      this.drain();
+      return;
+    }
+
+    this.paymentProcessor.recordTransition(paymentRequest, 'pending');
+    this.paymentProcessor.savePaymentRequest(paymentRequest);
+    this.waiting.push(paymentRequest);
+    this.startWaiting();
+  }
+
+  /**
+   * Envia para execução os itens de um lote já validados pelo POST /payments/batch
+   *
+   * Com a fila habilitada os itens são gravados como "queued" e retirados
+   * juntos pelo worker (também após um reinício); caso contrário são
+   * executados em segundo plano assim que houver vaga no limite global.
+   *
+   * @param {string} batchId - Identificador do lote
+   * @param {Array<Object>} paymentRequests - Requisições do lote (com batch.id)
+   */
+  dispatchBatch(batchId, paymentRequests) {
+    const status = this.isEnabled() ? 'queued' : 'pending';
+    for (const paymentRequest of paymentRequests) {
+      this.paymentProcessor.recordTransition(paymentRequest, status, { batchId });
+      this.paymentProcessor.savePaymentRequest(paymentRequest);
+    }
+
+    if (this.isEnabled()) {
+      this.drain();
+      return;
+    }
+
+    this.waiting.push(...paymentRequests);
+    this.startWaiting();
+  }
+
+  /**
+   * Inicia os pagamentos em espera que cabem no limite global
+   *
+   * Usado apenas com a fila desabilitada. Chamado a cada dispatch, sempre
+   * que um desses pagamentos termina e, enquanto houver espera, a cada
+   * queue.pollInterval (as vagas também são liberadas pelo POST /payment).
+   */
+  startWaiting() {
+    if (this.waitingTimer) {
+      clearTimeout(this.waitingTimer);
+      this.waitingTimer = null;
+    }
+
+    while (this.waiting.length > 0 && this.canStart()) {
+      const [paymentRequest] = this.waiting;
+
+      if (paymentRequest.batch && paymentRequest.batch.id) {
+        const taken = this.takeBatch(paymentRequest.batch.id, this.waiting);
+        this.waiting = this.waiting.filter(waiting => !taken.includes(waiting));
+        this.executeBatch(paymentRequest.batch.id, taken);
+        continue;
+      }
+
+      this.waiting.shift();
+      this.execute(paymentRequest);
+    }
+
+    if (this.waiting.length > 0) {
+      this.logger.info(`${this.waiting.length} pagamento(s) aguardando vaga no limite de concorrência`);
+      this.waitingTimer = setTimeout(() => this.startWaiting(), this.config.pollInterval || 5000);
+      this.waitingTimer.unref();
+    }
+  }
+
+  /**
+   * Executa um pagamento retirado da fila
+   *
+   * O PaymentProcessor grava o status "processing" antes da primeira operação
+   * assíncrona, então a mesma requisição não é retirada novamente. Erros já
+   * são registrados e notificados pelo PaymentProcessor, aqui são apenas logados.
+   *
+   * @param {Object} paymentRequest - Requisição de pagamento enfileirada
+   */
+  async execute(paymentRequest) {
+    this.active.set(paymentRequest.id, paymentRequest.network);
+
+    try {
+      this.logger.info(`Fila: iniciando pagamento ${paymentRequest.id} (${paymentRequest.network})`);
+      await this.paymentProcessor.processPayment(paymentRequest);
+    } catch (error) {
+      this.logger.error(`Fila: pagamento ${paymentRequest.id} falhou: ${error.message}`);
+    } finally {
+      this.active.delete(paymentRequest.id);
+      setImmediate(() => this.resume());
+    }
+  }
+
+  /**
+   * Executa os itens de um lote retirados juntos da fila
+   *
+   * Falhas de cada item já ficam registradas pelo BatchProcessor.
+   *
+   * @param {string} batchId - Identificador do lote
+   * @param {Array<Object>} paymentRequests - Itens do lote que cabem no limite global
+   */
+  async executeBatch(batchId, paymentRequests) {
+    for (const paymentRequest of paymentRequests) {
+      this.active.set(paymentRequest.id, paymentRequest.network);
+    }
+
+    try {
+      this.logger.info(`Fila: iniciando lote ${batchId} com ${paymentRequests.length} pagamento(s)`);
+      await this.batchProcessor.processBatch(batchId, paymentRequests);
+    } catch (error) {
+      this.logger.error(`Fila: lote ${batchId} falhou: ${error.message}`);
+    } finally {
+      for (const paymentRequest of paymentRequests) {
+        this.active.delete(paymentRequest.id);
+      }
+      setImmediate(() => this.resume());
+    }
+  }
+
+  /**
+   * Retoma a fila ou a espera após o término de um pagamento
+   */
+  resume() {
+    this.drain();
+    if (this.waiting.length > 0) {
+      this.startWaiting();
+    }
+  }
+
+  /**
+   * Obtém estatísticas da fila
+   *
+   * @returns {Object} Estado atual do worker
+   */
+  getStats() {
+    const activeByNetwork = {};
+    for (const network of this.active.values()) {
+      activeByNetwork[network] = (activeByNetwork[network] || 0) + 1;
+    }
+
+    return {
+      enabled: this.isEnabled(),
+      running: this.running,
+      queued: this.getQueuedPayments().length,
+      active: this.active.size,
+      activeByNetwork,
+      waiting: this.waiting.length
+    };
+  }
+}
+
+module.exports = PaymentQueue;
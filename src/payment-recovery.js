@@ -0,0 +1,460 @@
+/**
+ * PAYMENT-RECOVERY.JS - Reconciliação de Pagamentos Interrompidos
+ *
+ * Se o processo morre depois que o nó enviou o pagamento mas antes do
+ * registro da conclusão, a requisição fica parada em processing (ou
+ * in_flight, se o desligamento gracioso esgotou o prazo) como se nunca
+ * tivesse sido executada. Reenviar esse pagamento pagaria duas vezes.
+ *
+ * Na inicialização, cada requisição interrompida é conferida no backend:
+ * - Lightning: payment hash gravado pelo SendPaymentV2 (lightning.paymentHash)
+ *   ou, sem ele, o do decodeInvoice (da invoice do destino ou da obtida da
+ *   Lightning Address, lightning.invoice), procurado no ListPayments do LND
+ * - Lightning Address sem invoice registrada: a busca no ListPayments é por
+ *   valor e horário
+ * - Bitcoin on-chain: getTransactions do LND por destino e valor
+ * - Liquid: listtransactions do Elements por destino e valor
+ *
+ * RESULTADOS:
+ * - sent: envio encontrado; registra hash e taxa e emite payment.completed
+ * - failed: o nó não tem registro do envio (ou ele falhou); status error e
+ *   payment.failed
+ * - in_flight: um pagamento Lightning compatível ainda em andamento no LND;
+ *   status in_flight com o payment hash, acompanhado pelo LightningTracker
+ * - needs_review: mais de um pagamento em andamento ou mais de uma
+ *   transação compatível; status needs_review e payment.needs_review
+ *
+ * Pagamentos Lightning in_flight já são do LightningTracker e não passam
+ * pela reconciliação.
+ *
+ * Se um backend estiver indisponível (ex: LND ainda iniciando), a
+ * requisição continua como está e a reconciliação é repetida a cada
+ * recovery.retryIntervalSeconds.
+ */
+
+const config = require('../config/config.json');
+const metrics = require('./metrics');
+
+// Status de pagamentos que podem ter chegado ao nó sem o resultado ter sido gravado
+const RECOVERABLE_STATUSES = ['processing', 'in_flight'];
+
+class PaymentRecovery {
+  /**
+   * Construtor do PaymentRecovery
+   *
+   * @param {PaymentProcessor} paymentProcessor - Processador com armazenamento, RPCs e webhooks
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(paymentProcessor, logger) {
+    this.paymentProcessor = paymentProcessor;
+    this.logger = logger;
+    this.config = config.recovery || {};
+
+    this.running = false;
+    this.active = false;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Verifica se a reconciliação na inicialização está habilitada
+   *
+   * @returns {boolean} true salvo se recovery.enabled for false
+   */
+  isEnabled() {
+    return this.config.enabled !== false;
+  }
+
+  /**
+   * Inicia a reconciliação (chamado quando o servidor sobe)
+   */
+  start() {
+    if (!this.isEnabled() || this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.run();
+  }
+
+  /**
+   * Interrompe novas tentativas (chamado no desligamento)
+   *
+   * Um pagamento sendo reconciliado no momento termina normalmente.
+   */
+  stop() {
+    this.running = false;
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  /**
+   * Agenda uma nova rodada de reconciliação
+   */
+  scheduleRetry() {
+    const intervalMs = (this.config.retryIntervalSeconds || 60) * 1000;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.run();
+    }, intervalMs);
+    this.retryTimer.unref();
+  }
+
+  /**
+   * Reconcilia todas as requisições interrompidas
+   *
+   * Pagamentos em execução neste processo são ignorados.
+   *
+   * @returns {Promise<Object>} Resumo { sent, failed, in_flight, needs_review, deferred }
+   */
+  async run() {
+    const summary = { sent: 0, failed: 0, in_flight: 0, needs_review: 0, deferred: 0 };
+    if (this.active) {
+      return summary;
+    }
+
+    this.active = true;
+    try {
+      const payments = this.paymentProcessor.storage
+        .listPayments({ status: RECOVERABLE_STATUSES })
+        .filter(payment => !this.paymentProcessor.activePayments.has(payment.id) &&
+          !this.isTrackedInFlight(payment));
+
+      if (payments.length === 0) {
+        return summary;
+      }
+
+      this.logger.info(`Reconciliação: ${payments.length} pagamento(s) interrompido(s) encontrado(s)`);
+
+      for (const payment of payments) {
+        if (!this.running) {
+          break;
+        }
+
+        let result;
+        try {
+          result = await this.reconcile(payment);
+        } catch (error) {
+          summary.deferred++;
+          this.logger.error(`Reconciliação do pagamento ${payment.id} adiada: ${error.message}`);
+          continue;
+        }
+
+        await this.applyResult(payment, result);
+        summary[result.outcome]++;
+      }
+
+      this.logger.info('Reconciliação concluída', summary);
+    } catch (error) {
+      this.logger.error(`Erro na reconciliação de pagamentos: ${error.message}`, error);
+    } finally {
+      this.active = false;
+    }
+
+    if (summary.deferred > 0 && this.running) {
+      this.scheduleRetry();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Verifica se um pagamento in_flight é acompanhado pelo LightningTracker
+   *
+   * Todo pagamento Lightning in_flight fica com o LightningTracker, que
+   * descobre o payment hash quando ele não foi gravado.
+   *
+   * @param {Object} payment - Requisição interrompida
+   * @returns {boolean} true se o resultado fica com o LightningTracker
+   */
+  isTrackedInFlight(payment) {
+    return payment.status === 'in_flight' && payment.network === 'lightning';
+  }
+
+  /**
+   * Confere um pagamento no backend da rede
+   *
+   * @param {Object} payment - Requisição interrompida
+   * @returns {Promise<Object>} { outcome, transactionHash, fee, paymentHash, reason, candidates }
+   * @throws {Error} Se o backend não puder ser consultado (a requisição é reconciliada depois)
+   */
+  async reconcile(payment) {
+    const network = payment.network.toLowerCase();
+    if (network === 'liquid') {
+      return this.reconcileLiquid(payment);
+    }
+
+    // Mesmo roteamento do LightningRPC.sendPayment: pela rede resolvida do pagamento
+    if (network === 'lightning') {
+      return this.reconcileLightning(payment);
+    }
+    return this.reconcileOnChain(payment);
+  }
+
+  /**
+   * Instante mínimo em que um envio do pagamento pode ter sido registrado no nó
+   *
+   * Usa o último início de processamento do histórico, com a tolerância de
+   * recovery.timeToleranceSeconds para diferenças de relógio.
+   *
+   * @param {Object} payment - Requisição interrompida
+   * @returns {number} Timestamp em ms
+   */
+  getEarliestSendTime(payment) {
+    const processing = (payment.history || []).filter(entry => entry.status === 'processing').pop();
+    const startedAt = new Date(processing ? processing.timestamp : payment.timestamp).getTime();
+    return startedAt - (this.config.timeToleranceSeconds ?? 300) * 1000;
+  }
+
+  /**
+   * Confere um pagamento Lightning no ListPayments do LND
+   *
+   * @param {Object} payment - Requisição interrompida
+   * @returns {Promise<Object>} Resultado da reconciliação
+   */
+  async reconcileLightning(payment) {
+    const lightningRPC = this.paymentProcessor.lightningRPC;
+    const lndPayments = await lightningRPC.listPayments(this.config.maxLightningPayments || 1000);
+
+    // Invoice do destino ou a obtida da Lightning Address antes do envio
+    const lightning = payment.lightning || {};
+    const invoice = lightning.invoice || (payment.destinationWallet.includes('@') ? null : payment.destinationWallet);
+
+    let candidates;
+    if (lightning.paymentHash) {
+      candidates = lndPayments.filter(lndPayment => lndPayment.paymentHash === lightning.paymentHash);
+    } else if (invoice) {
+      const decoded = await lightningRPC.decodeInvoice(invoice);
+      candidates = lndPayments.filter(lndPayment => lndPayment.paymentHash === decoded.paymentHash);
+    } else {
+      const earliest = this.getEarliestSendTime(payment);
+      candidates = lndPayments.filter(lndPayment =>
+        lndPayment.valueSat === payment.amount && lndPayment.creationDate * 1000 >= earliest);
+    }
+
+    const succeeded = candidates.filter(lndPayment => lndPayment.status === 'SUCCEEDED');
+    if (succeeded.length === 1) {
+      return {
+        outcome: 'sent',
+        transactionHash: succeeded[0].paymentHash,
+        fee: succeeded[0].feeSat
+      };
+    }
+
+    if (succeeded.length > 1) {
+      return {
+        outcome: 'needs_review',
+        reason: 'Mais de um pagamento Lightning compatível encontrado no LND',
+        candidates: succeeded.map(lndPayment => lndPayment.paymentHash)
+      };
+    }
+
+    const pending = candidates.filter(lndPayment => ['IN_FLIGHT', 'INITIATED', 'UNKNOWN'].includes(lndPayment.status));
+    if (pending.length === 1) {
+      return {
+        outcome: 'in_flight',
+        reason: 'Pagamento Lightning ainda em andamento no LND',
+        paymentHash: pending[0].paymentHash
+      };
+    }
+
+    if (pending.length > 1) {
+      return {
+        outcome: 'needs_review',
+        reason: 'Pagamento Lightning ainda em andamento no LND',
+        candidates: pending.map(lndPayment => lndPayment.paymentHash)
+      };
+    }
+
+    const failure = candidates.find(lndPayment => lndPayment.failureReason);
+    return {
+      outcome: 'failed',
+      reason: failure
+        ? `Pagamento Lightning falhou no LND: ${failure.failureReason}`
+        : 'Pagamento Lightning não encontrado no LND'
+    };
+  }
+
+  /**
+   * Confere um pagamento Bitcoin on-chain nas transações do LND
+   *
+   * @param {Object} payment - Requisição interrompida
+   * @returns {Promise<Object>} Resultado da reconciliação
+   */
+  async reconcileOnChain(payment) {
+    const earliest = this.getEarliestSendTime(payment);
+
+    // getTransactions devolve as mais antigas primeiro: buscar todas e filtrar pelo horário
+    const transactions = await this.paymentProcessor.lightningRPC.listTransactions(Infinity);
+    const candidates = transactions.filter(tx =>
+      tx.amount < 0 &&
+      tx.timestamp * 1000 >= earliest &&
+      this.paysDestination(tx, payment));
+
+    return this.decideByTransactions(candidates, 'on-chain no LND');
+  }
+
+  /**
+   * Verifica se uma transação do LND paga o destino e o valor da requisição
+   *
+   * @param {Object} tx - Transação de listTransactions()
+   * @param {Object} payment - Requisição interrompida
+   * @returns {boolean} true se a transação corresponder ao pagamento
+   */
+  paysDestination(tx, payment) {
+    if (tx.outputDetails.length > 0) {
+      return tx.outputDetails.some(output =>
+        output.address === payment.destinationWallet && output.amount === payment.amount);
+    }
+
+    // LND sem output_details: o valor da transação inclui a taxa
+    return tx.destAddresses.includes(payment.destinationWallet) &&
+      Math.abs(tx.amount) - tx.fee === payment.amount;
+  }
+
+  /**
+   * Confere um pagamento Liquid no listtransactions do Elements
+   *
+   * @param {Object} payment - Requisição interrompida
+   * @returns {Promise<Object>} Resultado da reconciliação
+   */
+  async reconcileLiquid(payment) {
+    const liquidRPC = this.paymentProcessor.liquidRPC;
+    const earliest = this.getEarliestSendTime(payment);
+
+    const addresses = new Set([
+      payment.destinationWallet,
+      await liquidRPC.getUnconfidentialAddress(payment.destinationWallet)
+    ]);
+
+    const transactions = await liquidRPC.listTransactions(this.config.maxLiquidTransactions || 1000);
+    const candidates = transactions.filter(tx =>
+      tx.category === 'send' &&
+      addresses.has(tx.address) &&
+      tx.amount === payment.amount &&
+      tx.time * 1000 >= earliest);
+
+    return this.decideByTransactions(candidates, 'Liquid no Elements');
+  }
+
+  /**
+   * Decide o resultado a partir das transações on-chain compatíveis
+   *
+   * @param {Array<Object>} candidates - Transações com txid e fee
+   * @param {string} source - Descrição do backend para as mensagens
+   * @returns {Object} Resultado da reconciliação
+   */
+  decideByTransactions(candidates, source) {
+    if (candidates.length === 1) {
+      return {
+        outcome: 'sent',
+        transactionHash: candidates[0].txid,
+        fee: candidates[0].fee
+      };
+    }
+
+    if (candidates.length > 1) {
+      return {
+        outcome: 'needs_review',
+        reason: `Mais de uma transação ${source} compatível com o pagamento`,
+        candidates: candidates.map(tx => tx.txid)
+      };
+    }
+
+    return {
+      outcome: 'failed',
+      reason: `Nenhuma transação ${source} encontrada para o pagamento`
+    };
+  }
+
+  /**
+   * Grava o resultado da reconciliação e emite o webhook correspondente
+   *
+   * @param {Object} payment - Requisição interrompida
+   * @param {Object} result - Resultado de reconcile()
+   */
+  async applyResult(payment, result) {
+    const processor = this.paymentProcessor;
+    const webhookManager = processor.webhookManager;
+
+    switch (result.outcome) {
+      case 'sent':
+        payment.transactionHash = result.transactionHash;
+        payment.networkFee = result.fee || 0;
+        payment.completedAt = new Date().toISOString();
+        processor.trackConfirmations(payment);
+        processor.recordTransition(payment, 'sent', {
+          transactionHash: payment.transactionHash,
+          fee: payment.networkFee,
+          recovered: true
+        });
+
+        if (payment.webhookUrl) {
+          const delivered = await webhookManager.sendPaymentCompletedWebhook(
+            payment.webhookUrl, payment, payment.webhookSecret);
+          processor.recordWebhookDelivery(payment, 'payment.completed', delivered);
+        }
+
+        await processor.saveCompletedPayment(payment);
+        this.logger.info(`Reconciliação: pagamento ${payment.id} confirmado como enviado (${payment.transactionHash})`);
+        break;
+
+      case 'failed':
+        payment.error = result.reason;
+        payment.errorAt = new Date().toISOString();
+        processor.recordTransition(payment, 'error', { error: result.reason, recovered: true });
+
+        if (payment.webhookUrl) {
+          const delivered = await webhookManager.sendPaymentFailedWebhook(
+            payment.webhookUrl, payment, payment.webhookSecret);
+          processor.recordWebhookDelivery(payment, 'payment.failed', delivered);
+        }
+
+        await processor.savePaymentWithError(payment);
+        this.logger.warn(`Reconciliação: pagamento ${payment.id} não foi enviado - ${result.reason}`);
+        break;
+
+      case 'in_flight':
+        payment.inFlightAt = new Date().toISOString();
+        payment.lightning = {
+          ...(payment.lightning || {}),
+          status: 'in_flight',
+          paymentHash: result.paymentHash,
+          updatedAt: payment.inFlightAt
+        };
+        processor.recordTransition(payment, 'in_flight', {
+          reason: result.reason,
+          paymentHash: result.paymentHash,
+          recovered: true
+        });
+        processor.savePaymentRequest(payment);
+        this.logger.info(`Reconciliação: pagamento ${payment.id} ainda em andamento no LND (${result.paymentHash}), acompanhamento pelo LightningTracker`);
+        break;
+
+      case 'needs_review':
+        payment.reviewReason = result.reason;
+        processor.recordTransition(payment, 'needs_review', {
+          reason: result.reason,
+          candidates: result.candidates || []
+        });
+        processor.savePaymentRequest(payment);
+
+        if (payment.webhookUrl) {
+          const delivered = await webhookManager.sendPaymentNeedsReviewWebhook(
+            payment.webhookUrl, payment, payment.webhookSecret);
+          processor.recordWebhookDelivery(payment, 'payment.needs_review', delivered);
+          processor.savePaymentRequest(payment);
+        }
+
+        this.logger.warn(`Reconciliação: pagamento ${payment.id} precisa de conferência manual - ${result.reason}`, {
+          candidates: result.candidates || []
+        });
+        break;
+    }
+
+    metrics.recoveredPayments.inc({ network: payment.network, outcome: result.outcome });
+  }
+}
+
+module.exports = PaymentRecovery;
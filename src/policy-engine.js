@@ -0,0 +1,164 @@
+/**
+ * POLICY-ENGINE.JS - Política de Limites de Gastos
+ *
+ * Avalia cada requisição antes que o PaymentProcessor chame qualquer RPC,
+ * impedindo que um único usuário (ou o conjunto de usuários) esgote o
+ * saldo das carteiras.
+ *
+ * LIMITES SUPORTADOS (config.limits):
+ * - perNetwork.{rede}.minAmount / maxAmount: valor por pagamento
+ * - perUser.daily / monthly: soma por username em janela móvel
+ * - global.daily / monthly: soma de todos os usuários em janela móvel
+ * - maxConcurrentPayments: pagamentos executando ao mesmo tempo
+ *
+ * JANELAS MÓVEIS:
+ * - daily: últimas 24 horas
+ * - monthly: últimos 30 dias
+ * Entram na soma os pagamentos enviados (sent ou confirmed), os que estão em
+ * execução ou interrompidos (processing, in_flight ou needs_review) e os de
+ * transação descartada (dropped), que dependem de conferência manual.
+ *
+ * CÓDIGOS DE ERRO:
+ * - amount_below_minimum / amount_above_maximum
+ * - user_daily_limit_exceeded / user_monthly_limit_exceeded
+ * - global_daily_limit_exceeded / global_monthly_limit_exceeded
+ * - concurrency_limit_exceeded
+ */
+
+const config = require('../config/config.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOWS = {
+  daily: DAY_MS,
+  monthly: 30 * DAY_MS
+};
+
+// Status que consomem limite: fundos enviados ou que podem ter saído da carteira
+const COUNTED_STATUSES = ['sent', 'confirmed', 'processing', 'in_flight', 'needs_review', 'dropped'];
+
+class PolicyEngine {
+  /**
+   * Construtor do PolicyEngine
+   *
+   * @param {Object} storage - Backend de armazenamento dos pagamentos
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(storage, logger) {
+    this.storage = storage;
+    this.logger = logger;
+    this.config = config.limits || {};
+  }
+
+  /**
+   * Verifica se a política de limites está habilitada
+   *
+   * @returns {boolean} true se os limites devem ser aplicados
+   */
+  isEnabled() {
+    return this.config.enabled === true;
+  }
+
+  /**
+   * Verifica se um novo pagamento pode começar a executar
+   *
+   * @param {number} activeCount - Pagamentos em execução no momento
+   * @returns {boolean} true se houver vaga dentro de maxConcurrentPayments
+   */
+  canStart(activeCount) {
+    if (!this.isEnabled() || !this.config.maxConcurrentPayments) {
+      return true;
+    }
+    return activeCount < this.config.maxConcurrentPayments;
+  }
+
+  /**
+   * Avalia uma requisição contra os limites configurados
+   *
+   * @param {Object} paymentRequest - Requisição de pagamento
+   * @returns {Object|null} Violação { code, message, details } ou null se permitido
+   */
+  evaluate(paymentRequest) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const amount = paymentRequest.amount;
+
+    // ========== LIMITES POR PAGAMENTO ==========
+    const networkLimits = (this.config.perNetwork || {})[paymentRequest.network] || {};
+    if (networkLimits.minAmount !== undefined && amount < networkLimits.minAmount) {
+      return this.violation('amount_below_minimum',
+        `Valor abaixo do mínimo para ${paymentRequest.network}: ${networkLimits.minAmount} sats`,
+        { limit: networkLimits.minAmount, amount });
+    }
+
+    if (networkLimits.maxAmount !== undefined && amount > networkLimits.maxAmount) {
+      return this.violation('amount_above_maximum',
+        `Valor acima do máximo para ${paymentRequest.network}: ${networkLimits.maxAmount} sats`,
+        { limit: networkLimits.maxAmount, amount });
+    }
+
+    // ========== LIMITES EM JANELA MÓVEL ==========
+    const scopes = [
+      { name: 'user', limits: this.config.perUser || {}, filter: payment => payment.username === paymentRequest.username },
+      { name: 'global', limits: this.config.global || {}, filter: () => true }
+    ];
+
+    const now = Date.now();
+    const payments = this.getCountedPayments(paymentRequest.id, now);
+
+    for (const scope of scopes) {
+      for (const [windowName, windowMs] of Object.entries(WINDOWS)) {
+        const limit = scope.limits[windowName];
+        if (limit === undefined) {
+          continue;
+        }
+
+        const used = payments
+          .filter(payment => scope.filter(payment) && now - new Date(payment.timestamp).getTime() < windowMs)
+          .reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0);
+
+        if (used + amount > limit) {
+          return this.violation(`${scope.name}_${windowName}_limit_exceeded`,
+            `Limite ${windowName === 'daily' ? 'diário' : 'mensal'} ${scope.name === 'user' ? 'do usuário' : 'global'} excedido`,
+            { limit, used, amount });
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Lista os pagamentos que contam para os limites em janela móvel
+   *
+   * Inclui pagamentos enviados, em execução e interrompidos no desligamento
+   * (in_flight) ou aguardando conferência (needs_review), que podem ter
+   * movimentado fundos, dentro da maior janela.
+   *
+   * @param {string} excludeId - ID da requisição sendo avaliada
+   * @param {number} now - Instante da avaliação (ms)
+   * @returns {Array<Object>} Pagamentos considerados na soma
+   */
+  getCountedPayments(excludeId, now) {
+    const longestWindow = Math.max(...Object.values(WINDOWS));
+    return this.storage
+      .listPayments({ status: COUNTED_STATUSES, from: new Date(now - longestWindow) })
+      .filter(payment => payment.id !== excludeId);
+  }
+
+  /**
+   * Monta o objeto de violação e registra no log
+   *
+   * @param {string} code - Código estável do erro
+   * @param {string} message - Mensagem legível
+   * @param {Object} details - Limite, valor usado e valor solicitado
+   * @returns {Object} Violação
+   */
+  violation(code, message, details) {
+    this.logger.warn(`Política de limites violada: ${code}`, details);
+    return { code, message, details };
+  }
+}
+
+module.exports = PolicyEngine;
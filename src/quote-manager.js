@@ -0,0 +1,194 @@
+/**
+ * QUOTE-MANAGER.JS - Cotação de Taxas Antes do Pagamento
+ *
+ * Estima a taxa de rede de um pagamento sem movimentar fundos
+ * (POST /payment/quote), para que a interface mostre "você pagará cerca de
+ * X sats de taxa" antes da confirmação do usuário:
+ * - Bitcoin on-chain: EstimateFee do LND com o endereço e o valor reais
+ * - Liquid: estimatesmartfee do Elements convertido em taxa absoluta
+ * - Lightning: QueryRoutes para a invoice decodificada (Lightning Addresses
+ *   são resolvidas para uma invoice antes)
+ *
+ * COTAÇÃO ACEITA:
+ * Cada cotação vale por quotes.ttlSeconds. O cliente pode enviar o quoteId
+ * no POST /payment para exigir a cotação: o pagamento precisa ter a mesma
+ * rede, destino e valor, e é executado com a taxa cotada (taxa por vbyte
+ * on-chain e na Liquid, taxa máxima de roteamento na Lightning). Cada
+ * cotação é usada por um único pagamento. A validade é conferida de novo na
+ * execução (FeePolicy.prepare): um pagamento que aguardou aprovação ou fila
+ * além da validade tem a taxa cotada novamente.
+ *
+ * As cotações ficam apenas em memória: após um reinício o cliente precisa
+ * pedir uma nova.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config.json');
+const { PaymentError } = require('./errors');
+
+// Mesmo alvo de confirmação usado pelo envio on-chain sem taxa fixada
+const ON_CHAIN_TARGET_CONF = 6;
+
+class QuoteManager {
+  /**
+   * Construtor do QuoteManager
+   *
+   * @param {PaymentProcessor} paymentProcessor - Processador com os clientes RPC
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(paymentProcessor, logger) {
+    this.paymentProcessor = paymentProcessor;
+    this.logger = logger;
+    this.config = config.quotes || {};
+
+    // quoteId -> cotação
+    this.quotes = new Map();
+  }
+
+  /**
+   * Validade de uma cotação em segundos
+   *
+   * @returns {number} quotes.ttlSeconds (padrão: 60)
+   */
+  getTtlSeconds() {
+    return this.config.ttlSeconds || 60;
+  }
+
+  /**
+   * Cria uma cotação para um pagamento
+   *
+   * @param {Object} request - { network (já resolvida), destinationWallet, amount }
+   * @returns {Promise<Object>} Cotação { id, network, destinationWallet, amount, fee, feeRate, total, expiresAt, route }
+   * @throws {PaymentError} quote_unavailable se o nó não conseguir estimar a taxa
+   */
+  async createQuote({ network, destinationWallet, amount }) {
+    this.pruneExpired();
+
+    let estimate;
+    try {
+      estimate = await this.estimate(network, destinationWallet, amount);
+    } catch (error) {
+      throw new PaymentError('quote_unavailable',
+        `Não foi possível estimar a taxa: ${error.message}`);
+    }
+
+    const createdAt = new Date();
+    const quote = {
+      id: uuidv4(),
+      network,
+      destinationWallet,
+      amount,
+      fee: estimate.fee,
+      feeRate: estimate.feeRate ?? null,
+      total: amount + estimate.fee,
+      route: estimate.route || null,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + this.getTtlSeconds() * 1000).toISOString()
+    };
+
+    this.quotes.set(quote.id, quote);
+    this.logger.info(`Cotação ${quote.id}: ${amount} sats em ${network}, taxa estimada ${quote.fee} sats`);
+    return quote;
+  }
+
+  /**
+   * Estima a taxa conforme o tipo de envio do destino
+   *
+   * @param {string} network - bitcoin, lightning ou liquid
+   * @param {string} destinationWallet - Endereço, invoice ou Lightning Address
+   * @param {number} amount - Valor em satoshis
+   * @returns {Promise<Object>} { fee, feeRate?, route? }
+   */
+  async estimate(network, destinationWallet, amount) {
+    const { lightningRPC, liquidRPC } = this.paymentProcessor;
+
+    if (network === 'liquid') {
+      const validation = await liquidRPC.rpcCall('validateaddress', [destinationWallet]);
+      if (!validation.isvalid) {
+        throw new Error(`Endereço Liquid inválido: ${destinationWallet}`);
+      }
+      const { fee, feeRate } = await liquidRPC.estimateFee(1, ON_CHAIN_TARGET_CONF, true);
+      return { fee, feeRate };
+    }
+
+    // Mesmo roteamento do LightningRPC.sendPayment: pela rede resolvida
+    if (network === 'lightning') {
+      // Lightning Address: rota consultada para a invoice obtida via LNURL-pay
+      const invoice = destinationWallet.includes('@')
+        ? await lightningRPC.resolveLightningAddress(destinationWallet, amount)
+        : destinationWallet;
+      const decoded = await lightningRPC.decodeInvoice(invoice);
+      // Invoices sem valor usam o valor do pagamento
+      const route = await lightningRPC.queryRoutes(decoded, decoded.amount || amount);
+      return {
+        fee: route.fee,
+        route: { hops: route.hops, totalTimeLock: route.totalTimeLock }
+      };
+    }
+
+    const { fee, feeRate } = await lightningRPC.estimateFee(
+      { [destinationWallet]: amount },
+      ON_CHAIN_TARGET_CONF
+    );
+    return { fee, feeRate };
+  }
+
+  /**
+   * Confere a cotação informada em um pagamento
+   *
+   * Síncrono: a conferência e o consumo (consume) acontecem sem await entre
+   * eles, então a mesma cotação não é aceita por duas requisições.
+   *
+   * @param {string} quoteId - ID da cotação
+   * @param {Object} paymentRequest - Requisição do pagamento (rede já resolvida)
+   * @returns {Object} Cotação válida
+   * @throws {PaymentError} quote_not_found, quote_expired ou quote_mismatch
+   */
+  getValidQuote(quoteId, paymentRequest) {
+    const quote = this.quotes.get(quoteId);
+    if (!quote) {
+      throw new PaymentError('quote_not_found',
+        `Cotação não encontrada ou já utilizada: ${quoteId}`);
+    }
+
+    if (new Date(quote.expiresAt).getTime() <= Date.now()) {
+      this.quotes.delete(quoteId);
+      throw new PaymentError('quote_expired',
+        `Cotação expirada em ${quote.expiresAt}; solicite uma nova`,
+        { expiresAt: quote.expiresAt });
+    }
+
+    const mismatched = ['network', 'destinationWallet', 'amount']
+      .filter(field => quote[field] !== paymentRequest[field]);
+    if (mismatched.length > 0) {
+      throw new PaymentError('quote_mismatch',
+        `O pagamento difere da cotação nos campos: ${mismatched.join(', ')}`,
+        { fields: mismatched });
+    }
+
+    return quote;
+  }
+
+  /**
+   * Marca a cotação como utilizada
+   *
+   * @param {string} quoteId - ID da cotação
+   */
+  consume(quoteId) {
+    this.quotes.delete(quoteId);
+  }
+
+  /**
+   * Remove as cotações expiradas da memória
+   */
+  pruneExpired() {
+    const now = Date.now();
+    for (const [quoteId, quote] of this.quotes) {
+      if (new Date(quote.expiresAt).getTime() <= now) {
+        this.quotes.delete(quoteId);
+      }
+    }
+  }
+}
+
+module.exports = QuoteManager;
@@ -0,0 +1,156 @@
+/**
+ * REQUEST-VALIDATOR.JS - Validação das Requisições por JSON Schema
+ *
+ * Compila (com Ajv) os schemas declarados em api-schemas.js e fornece um
+ * middleware por rota que valida params, query, headers e body antes do
+ * handler. Requisições inválidas recebem 400 com a lista completa de campos
+ * com problema:
+ *
+ *   {
+ *     "error": "Requisição inválida",
+ *     "details": [
+ *       { "location": "body", "field": "amount", "message": "deve ser do tipo integer" }
+ *     ]
+ *   }
+ *
+ * CONVERSÃO DE TIPOS:
+ * - params, query e headers chegam sempre como texto e são convertidos
+ *   para o tipo declarado (ex: ?limit=10 vira número)
+ * - o body JSON é validado sem conversão: "12abc" ou "1000" não são
+ *   aceitos onde se espera um inteiro
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { routes } = require('./api-schemas');
+
+const LOCATIONS = ['params', 'query', 'headers', 'body'];
+
+class RequestValidator {
+  /**
+   * Construtor do RequestValidator
+   *
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(logger) {
+    this.logger = logger;
+
+    // Body: tipos estritos; demais locais: texto convertido para o tipo declarado
+    this.strictAjv = addFormats(new Ajv({ allErrors: true }));
+    this.coercingAjv = addFormats(new Ajv({ allErrors: true, coerceTypes: true }));
+
+    // 'MÉTODO /caminho' -> { params, query, headers, body } compilados
+    this.validators = new Map();
+    for (const route of routes) {
+      const compiled = {};
+      for (const location of LOCATIONS) {
+        const schema = (route.schemas || {})[location];
+        if (schema) {
+          const ajv = location === 'body' ? this.strictAjv : this.coercingAjv;
+          compiled[location] = ajv.compile(schema);
+        }
+      }
+      this.validators.set(`${route.method} ${route.path}`, compiled);
+    }
+  }
+
+  /**
+   * Cria o middleware de validação de uma rota
+   *
+   * @param {string} routeKey - Rota no formato 'MÉTODO /caminho' (ex: 'POST /payment')
+   * @returns {Function} Middleware Express
+   * @throws {Error} Se a rota não estiver declarada em api-schemas.js
+   */
+  middleware(routeKey) {
+    const compiled = this.validators.get(routeKey);
+    if (!compiled) {
+      throw new Error(`Rota sem schema declarado em api-schemas.js: ${routeKey}`);
+    }
+
+    return (req, res, next) => {
+      const details = [];
+
+      for (const location of LOCATIONS) {
+        const validate = compiled[location];
+        if (!validate) {
+          continue;
+        }
+
+        const data = req[location] === undefined ? {} : req[location];
+        if (!validate(data)) {
+          details.push(...this.formatErrors(location, validate.errors));
+        }
+      }
+
+      if (details.length > 0) {
+        this.logger.warn(`Requisição inválida em ${routeKey}`, { details });
+        return res.status(400).json({
+          error: 'Requisição inválida',
+          details
+        });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Converte os erros do Ajv em mensagens por campo
+   *
+   * @param {string} location - params, query, headers ou body
+   * @param {Array<Object>} errors - validate.errors do Ajv
+   * @returns {Array<Object>} Itens { location, field, message }
+   */
+  formatErrors(location, errors) {
+    return errors.map(error => {
+      const pathParts = error.instancePath.split('/').filter(Boolean);
+      let message;
+
+      switch (error.keyword) {
+        case 'required':
+          pathParts.push(error.params.missingProperty);
+          message = 'campo obrigatório';
+          break;
+        case 'additionalProperties':
+          pathParts.push(error.params.additionalProperty);
+          message = 'campo não permitido';
+          break;
+        case 'type':
+          message = `deve ser do tipo ${error.params.type}`;
+          break;
+        case 'enum':
+          message = `deve ser um de: ${error.params.allowedValues.join(', ')}`;
+          break;
+        case 'minimum':
+        case 'maximum':
+          message = `deve ser ${error.params.comparison} ${error.params.limit}`;
+          break;
+        case 'minLength':
+          message = `deve ter no mínimo ${error.params.limit} caractere(s)`;
+          break;
+        case 'maxLength':
+          message = `deve ter no máximo ${error.params.limit} caracteres`;
+          break;
+        case 'minItems':
+          message = `deve ter no mínimo ${error.params.limit} item(ns)`;
+          break;
+        case 'maxItems':
+          message = `deve ter no máximo ${error.params.limit} itens`;
+          break;
+        case 'format':
+          message = `formato inválido (${error.params.format})`;
+          break;
+        default:
+          message = error.message;
+      }
+
+      return {
+        location,
+        field: pathParts.join('.') || location,
+        message
+      };
+    });
+  }
+}
+
+module.exports = RequestValidator;
@@ -6,11 +6,11 @@
  * manuseia operações Bitcoin on-chain.
  * 
  * FUNCIONALIDADES PRINCIPAIS:
- * - Pagamentos Lightning Network (invoices e Lightning addresses)
+ * - Pagamentos Lightning Network (invoices e Lightning addresses) via routerrpc
  * - Transações Bitcoin on-chain
  * - Consulta de saldos (on-chain e canais)
  * - Geração de endereços Bitcoin
- * - Criação de invoices Lightning
+ * - Criação e acompanhamento de invoices Lightning (recebimentos)
  * - Resolução automática de Lightning addresses (LNURL-pay)
  * 
  * PROTOCOLOS SUPORTADOS:
@@ -30,6 +30,36 @@ const protoLoader = require('@grpc/proto-loader');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const metrics = require('../metrics');
+const { PaymentError } = require('../errors');
+
+// Padrões do SendPaymentV2 quando config.lightning.sendPayment não define o campo
+const SEND_PAYMENT_DEFAULTS = {
+  timeoutSeconds: 60,
+  feeLimitSats: 1000,
+  maxParts: 16,
+  allowSelfPayment: false,
+  waitSeconds: 120
+};
+
+// failure_reason do LND (lnrpc.PaymentFailureReason) -> código estável do erro
+const FAILURE_REASON_CODES = {
+  FAILURE_REASON_TIMEOUT: 'payment_timeout',
+  FAILURE_REASON_NO_ROUTE: 'no_route',
+  FAILURE_REASON_ERROR: 'payment_error',
+  FAILURE_REASON_INCORRECT_PAYMENT_DETAILS: 'incorrect_payment_details',
+  FAILURE_REASON_INSUFFICIENT_BALANCE: 'insufficient_balance',
+  FAILURE_REASON_CANCELED: 'payment_canceled'
+};
+
+const FAILURE_REASON_MESSAGES = {
+  payment_timeout: 'Tempo limite do pagamento esgotado sem rota concluída',
+  no_route: 'Nenhuma rota encontrada dentro do limite de taxa',
+  payment_error: 'Erro definitivo retornado por um nó da rota',
+  incorrect_payment_details: 'Destino recusou o pagamento (invoice desconhecida, valor ou dados incorretos)',
+  insufficient_balance: 'Saldo insuficiente nos canais de saída',
+  payment_canceled: 'Pagamento cancelado pelo LND'
+};
 
 class LightningRPC {
   /**
@@ -48,6 +78,7 @@ class LightningRPC {
     this.config = config;
     this.logger = logger;
     this.client = null;
+    this.router = null;
     this.initClient();
   }
 
@@ -55,14 +86,14 @@ class LightningRPC {
    * Inicializa cliente gRPC para comunicação com LND
    * 
    * Configura conexão segura com o Lightning Network Daemon:
-   * 1. Carrega arquivo de definição proto (lightning.proto)
+   * 1. Carrega arquivos de definição proto (lightning.proto e router.proto)
    * 2. Lê certificado TLS para conexão segura
    * 3. Lê macaroon para autenticação
    * 4. Configura credenciais combinadas (TLS + macaroon)
-   * 5. Cria cliente gRPC Lightning
+   * 5. Cria clientes gRPC Lightning e Router (envio de pagamentos)
    * 
    * REQUISITOS:
-   * - Arquivo lightning.proto no diretório proto/
+   * - Arquivos lightning.proto e router.proto no diretório proto/
    * - Certificado TLS válido
    * - Macaroon com permissões adequadas
    * - LND executando e acessível
@@ -90,7 +121,17 @@ class LightningRPC {
         return;
       }
 
-      const packageDefinition = protoLoader.loadSync(protoPath, loaderOptions);
+      // router.proto importa "lightning.proto": os dois são carregados do mesmo diretório
+      const routerProtoPath = path.join(__dirname, '../../proto/router.proto');
+      const hasRouterProto = fs.existsSync(routerProtoPath);
+      if (!hasRouterProto) {
+        this.logger.warn('Arquivo router.proto não encontrado, pagamentos Lightning indisponíveis. Baixe de: https://github.com/lightningnetwork/lnd/blob/master/lnrpc/routerrpc/router.proto');
+      }
+
+      const packageDefinition = protoLoader.loadSync(
+        hasRouterProto ? [protoPath, routerProtoPath] : protoPath,
+        { ...loaderOptions, includeDirs: [path.dirname(protoPath)] }
+      );
 
       // ========== LEITURA DO CERTIFICADO TLS ==========
       let lndCert;
@@ -129,7 +170,10 @@ class LightningRPC {
       // ========== CRIAÇÃO DO CLIENTE GRPC ==========
       const lnrpcDescriptor = grpc.loadPackageDefinition(packageDefinition);
       const lnrpc = lnrpcDescriptor.lnrpc;
-      this.client = new lnrpc.Lightning(this.config.host, credentials);
+      this.client = this.instrumentClient(new lnrpc.Lightning(this.config.host, credentials));
+      if (hasRouterProto) {
+        this.router = this.instrumentClient(new lnrpcDescriptor.routerrpc.Router(this.config.host, credentials));
+      }
 
       this.logger.info('Cliente Lightning RPC inicializado com sucesso');
 
@@ -138,6 +182,59 @@ class LightningRPC {
     }
   }
 
+  /**
+   * Envolve o cliente gRPC para medir latência e erros de cada método
+   * 
+   * Chamadas unárias (com callback no último argumento) são registradas nas
+   * métricas Prometheus com o nome do método gRPC (walletBalance, sendCoins...).
+   * Streams e demais propriedades passam sem alteração.
+   * 
+   * @param {Object} client - Cliente gRPC lnrpc.Lightning ou routerrpc.Router
+   * @returns {Proxy} Cliente com as chamadas instrumentadas
+   */
+  instrumentClient(client) {
+    return new Proxy(client, {
+      get: (target, property) => {
+        const value = target[property];
+        if (typeof value !== 'function' || typeof property !== 'string') {
+          return value;
+        }
+
+        return (...args) => {
+          const callback = args[args.length - 1];
+          if (typeof callback !== 'function') {
+            return value.apply(target, args);
+          }
+
+          const startedAt = process.hrtime.bigint();
+          args[args.length - 1] = (err, response) => {
+            metrics.observeRpcCall('lnd', property, startedAt, Boolean(err));
+            callback(err, response);
+          };
+          return value.apply(target, args);
+        };
+      }
+    });
+  }
+
+  /**
+   * Fecha o canal gRPC com o LND
+   * 
+   * Chamado no desligamento do servidor, depois que os pagamentos em
+   * execução terminaram (ou foram marcados como in_flight).
+   */
+  close() {
+    if (this.router) {
+      this.router.close();
+      this.router = null;
+    }
+    if (this.client) {
+      this.client.close();
+      this.client = null;
+      this.logger.info('Canal gRPC com o LND fechado');
+    }
+  }
+
   /**
    * Obtém saldo da carteira Bitcoin on-chain
    * 
@@ -223,6 +320,45 @@ class LightningRPC {
     });
   }
 
+  /**
+   * Obtém informações gerais do nó LND (GetInfo)
+   * 
+   * Usado pela verificação de prontidão (/health/ready): indica se o nó
+   * está sincronizado com a blockchain e a altura do bloco atual.
+   * 
+   * @param {number} [timeoutMs=5000] - Prazo máximo da chamada gRPC
+   * @returns {Promise<Object>} Informações do nó
+   * @returns {string} returns.alias - Alias do nó
+   * @returns {number} returns.blockHeight - Altura do bloco atual
+   * @returns {boolean} returns.syncedToChain - Sincronizado com a blockchain
+   * @returns {boolean} returns.syncedToGraph - Sincronizado com o grafo Lightning
+   * @returns {number} returns.activeChannels - Canais ativos
+   */
+  async getInfo(timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      if (!this.client) {
+        reject(new Error('Cliente Lightning não inicializado'));
+        return;
+      }
+
+      this.client.getInfo({}, { deadline: Date.now() + timeoutMs }, (err, response) => {
+        if (err) {
+          this.logger.error('Erro ao consultar informações do LND:', err);
+          reject(err);
+          return;
+        }
+
+        resolve({
+          alias: response.alias,
+          blockHeight: parseInt(response.block_height || 0),
+          syncedToChain: response.synced_to_chain === true,
+          syncedToGraph: response.synced_to_graph === true,
+          activeChannels: parseInt(response.num_active_channels || 0)
+        });
+      });
+    });
+  }
+
   /**
    * Resolve Lightning Address para invoice usando protocolo LNURL-pay
    * 
@@ -281,35 +417,264 @@ class LightningRPC {
     }
   }
 
-  async payInvoice(paymentRequest) {
+  /**
+   * Paga uma invoice bolt11 (routerrpc.Router/SendPaymentV2)
+   * 
+   * O LND envia uma atualização do pagamento a cada mudança (IN_FLIGHT a
+   * cada tentativa de HTLC, depois SUCCEEDED ou FAILED). Cada atualização é
+   * repassada a onUpdate; a promise termina com o estado final.
+   * 
+   * Parâmetros do envio em config.lightning.sendPayment: timeoutSeconds,
+   * feeLimitSats (usado quando nenhum limite de taxa se aplica), maxParts
+   * (MPP), allowSelfPayment e waitSeconds (espera local pelo resultado).
+   * 
+   * Se o stream cair depois do LND registrar o pagamento, ou waitSeconds
+   * passar sem resultado, o HTLC pode continuar pendente: o erro é
+   * payment_in_flight e o pagamento é acompanhado pelo LightningTracker.
+   * 
+   * @param {string} paymentRequest - Invoice bolt11
+   * @param {number} [feeLimitSats=null] - Taxa máxima de roteamento em satoshis (ex: cotação aceita)
+   * @param {Function} [onUpdate=null] - Recebe cada atualização { status, paymentHash, attempts, fee, failureReason }
+   * @returns {Promise<Object>} { transactionHash, preimage, fee, route, parts }
+   * @throws {PaymentError} FAILED com código estável (no_route, payment_timeout, insufficient_balance...) ou payment_in_flight
+   */
+  async payInvoice(paymentRequest, feeLimitSats = null, onUpdate = null) {
     return new Promise((resolve, reject) => {
-      this.client.sendPaymentSync({
-        payment_request: paymentRequest
-      }, (err, response) => {
+      if (!this.router) {
+        reject(new Error('Cliente Router do LND não inicializado'));
+        return;
+      }
+
+      const options = { ...SEND_PAYMENT_DEFAULTS, ...(this.config.sendPayment || {}) };
+      const sendRequest = {
+        payment_request: paymentRequest,
+        timeout_seconds: options.timeoutSeconds,
+        // fee_limit_sat 0 aceitaria apenas rotas sem taxa
+        fee_limit_sat: feeLimitSats ?? options.feeLimitSats,
+        max_parts: options.maxParts,
+        allow_self_payment: options.allowSelfPayment,
+        no_inflight_updates: false
+      };
+
+      let settled = false;
+      let paymentHash = null;
+      let waitTimer = null;
+      const finish = (err, result) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(waitTimer);
         if (err) {
-          this.logger.error('Erro ao enviar pagamento Lightning:', err);
           reject(err);
-          return;
+        } else {
+          resolve(result);
         }
+      };
+      const inFlightError = reason => new PaymentError('payment_in_flight',
+        `Pagamento Lightning ainda em andamento no LND (${reason})`, { paymentHash });
 
-        if (response.payment_error) {
-          reject(new Error(`Erro no pagamento: ${response.payment_error}`));
-          return;
+      const stream = this.router.sendPaymentV2(sendRequest);
+
+      waitTimer = setTimeout(() => {
+        finish(inFlightError(`sem resultado após ${options.waitSeconds}s`));
+        // Cancelar o stream não cancela o pagamento no LND
+        stream.cancel();
+      }, options.waitSeconds * 1000);
+
+      stream.on('data', payment => {
+        const update = this.formatPaymentUpdate(payment);
+        paymentHash = update.paymentHash;
+        if (onUpdate && !settled) {
+          onUpdate(update);
         }
 
-        const preimage = Buffer.from(response.payment_preimage, 'base64');
-        const hash = Buffer.from(response.payment_hash, 'base64');
+        if (payment.status === 'SUCCEEDED') {
+          finish(null, this.formatPaymentResult(payment));
+        } else if (payment.status === 'FAILED') {
+          finish(this.paymentFailureError(update));
+        }
+      });
 
-        resolve({
-          transactionHash: hash.toString('hex'),
-          preimage: preimage.toString('hex'),
-          fee: parseInt(response.payment_route?.total_fees || 0),
-          route: response.payment_route
-        });
+      stream.on('error', err => {
+        if (settled) {
+          return;
+        }
+        this.logger.error('Erro ao enviar pagamento Lightning:', err);
+        // Depois da primeira atualização o pagamento existe no LND e pode ser concluído sem o stream
+        finish(paymentHash ? inFlightError(err.details || err.message) : this.sendPaymentError(err));
       });
+
+      stream.on('end', () => finish(paymentHash
+        ? inFlightError('stream encerrado sem resultado final')
+        : new Error('Stream do SendPaymentV2 encerrado sem resultado final')));
+    });
+  }
+
+  /**
+   * Acompanha um pagamento já registrado no LND (routerrpc.Router/TrackPaymentV2)
+   * 
+   * A primeira mensagem traz o estado atual; o stream termina depois do
+   * estado final (SUCCEEDED ou FAILED). Pagamento desconhecido pelo LND
+   * encerra o stream com erro NOT_FOUND (error.code === grpc.status.NOT_FOUND).
+   * 
+   * @param {string} paymentHash - Payment hash em hexadecimal
+   * @param {Function} onPayment - Recebe cada lnrpc.Payment (ver formatPaymentUpdate/formatPaymentResult)
+   * @param {Function} onClose - Chamado uma vez quando o stream termina (erro ou null)
+   * @returns {Object} Stream gRPC (cancel() encerra o acompanhamento)
+   * @throws {Error} Se o cliente Router não estiver inicializado
+   */
+  trackPayment(paymentHash, onPayment, onClose) {
+    if (!this.router) {
+      throw new Error('Cliente Router do LND não inicializado');
+    }
+
+    const stream = this.router.trackPaymentV2({
+      payment_hash: Buffer.from(paymentHash, 'hex'),
+      no_inflight_updates: false
+    });
+    return this.watchPaymentStream(stream, onPayment, onClose);
+  }
+
+  /**
+   * Acompanha o resultado final de todos os pagamentos do nó (routerrpc.Router/TrackPayments)
+   * 
+   * @param {Function} onPayment - Recebe cada lnrpc.Payment com status SUCCEEDED ou FAILED
+   * @param {Function} onClose - Chamado uma vez quando o stream termina (erro ou null)
+   * @returns {Object} Stream gRPC (cancel() encerra o acompanhamento)
+   * @throws {Error} Se o cliente Router não estiver inicializado
+   */
+  subscribePayments(onPayment, onClose) {
+    if (!this.router) {
+      throw new Error('Cliente Router do LND não inicializado');
+    }
+
+    const stream = this.router.trackPayments({ no_inflight_updates: true });
+    return this.watchPaymentStream(stream, onPayment, onClose);
+  }
+
+  /**
+   * Liga os eventos de um stream de pagamentos aos callbacks
+   * 
+   * @param {Object} stream - Stream gRPC de lnrpc.Payment
+   * @param {Function} onPayment - Recebe cada mensagem
+   * @param {Function} onClose - Chamado uma vez no fim do stream
+   * @returns {Object} O próprio stream
+   */
+  watchPaymentStream(stream, onPayment, onClose) {
+    let closed = false;
+    const close = error => {
+      if (!closed) {
+        closed = true;
+        onClose(error || null);
+      }
+    };
+
+    stream.on('data', payment => onPayment(payment));
+    stream.on('error', close);
+    stream.on('end', () => close(null));
+    return stream;
+  }
+
+  /**
+   * Extrai o resultado de um pagamento com status SUCCEEDED
+   * 
+   * @param {Object} payment - Mensagem lnrpc.Payment
+   * @returns {Object} { transactionHash, preimage, fee, route, parts }
+   */
+  formatPaymentResult(payment) {
+    const succeeded = (payment.htlcs || []).filter(htlc => htlc.status === 'SUCCEEDED');
+    return {
+      transactionHash: payment.payment_hash,
+      preimage: payment.payment_preimage,
+      fee: parseInt(payment.fee_sat || 0),
+      route: succeeded.length > 0 ? this.formatRoute(succeeded[succeeded.length - 1].route) : null,
+      parts: succeeded.length
+    };
+  }
+
+  /**
+   * Converte uma rota do LND (lnrpc.Route) para o formato gravado no pagamento
+   * 
+   * Em pagamentos multi-path é a rota da última parte concluída.
+   * 
+   * @param {Object} route - Mensagem lnrpc.Route
+   * @returns {Object|null} { totalAmount, totalFees, totalTimeLock, hops: [{ chanId, pubKey, amount, fee }] } em satoshis
+   */
+  formatRoute(route) {
+    if (!route) {
+      return null;
+    }
+
+    return {
+      totalAmount: parseInt(route.total_amt || 0),
+      totalFees: parseInt(route.total_fees || 0),
+      totalTimeLock: route.total_time_lock || 0,
+      hops: (route.hops || []).map(hop => ({
+        chanId: hop.chan_id,
+        pubKey: hop.pub_key,
+        amount: parseInt(hop.amt_to_forward || 0),
+        fee: parseInt(hop.fee || 0)
+      }))
+    };
+  }
+
+  /**
+   * Converte uma atualização lnrpc.Payment do SendPaymentV2
+   * 
+   * @param {Object} payment - Mensagem do stream
+   * @returns {Object} { status (in_flight, succeeded, failed), paymentHash, attempts, fee, failureReason }
+   */
+  formatPaymentUpdate(payment) {
+    const failureReason = payment.failure_reason && payment.failure_reason !== 'FAILURE_REASON_NONE'
+      ? payment.failure_reason
+      : null;
+
+    return {
+      status: String(payment.status || 'UNKNOWN').toLowerCase(),
+      paymentHash: payment.payment_hash,
+      attempts: (payment.htlcs || []).length,
+      fee: parseInt(payment.fee_sat || 0),
+      failureReason
+    };
+  }
+
+  /**
+   * Cria o erro de um pagamento com status FAILED
+   * 
+   * @param {Object} update - Atualização final (formatPaymentUpdate)
+   * @returns {PaymentError} Erro com o código estável do failure_reason
+   */
+  paymentFailureError(update) {
+    const code = FAILURE_REASON_CODES[update.failureReason] || 'payment_failed';
+    const message = FAILURE_REASON_MESSAGES[code] || `Pagamento Lightning falhou (${update.failureReason || 'motivo desconhecido'})`;
+    return new PaymentError(code, message, {
+      failureReason: update.failureReason,
+      paymentHash: update.paymentHash,
+      attempts: update.attempts
     });
   }
 
+  /**
+   * Classifica erros do SendPaymentV2 antes do pagamento existir no LND
+   * 
+   * @param {Error} err - Erro gRPC do stream
+   * @returns {Error} PaymentError para os casos conhecidos ou o próprio erro
+   */
+  sendPaymentError(err) {
+    const message = err.details || err.message || '';
+    if (/already paid/i.test(message)) {
+      return new PaymentError('invoice_already_paid', 'Invoice já foi paga', { lndError: message });
+    }
+    if (/in transition/i.test(message)) {
+      return new PaymentError('payment_in_transition', 'Já existe um pagamento em andamento para esta invoice', { lndError: message });
+    }
+    if (/invoice expired/i.test(message)) {
+      return new PaymentError('invoice_expired', 'Invoice expirada', { lndError: message });
+    }
+    return err;
+  }
+
   async decodeInvoice(paymentRequest) {
     return new Promise((resolve, reject) => {
       if (!this.client) {
@@ -329,13 +694,63 @@ class LightningRPC {
           timestamp: parseInt(response.timestamp || 0),
           expiry: parseInt(response.expiry || 0),
           description: response.description || '',
-          paymentHash: response.payment_hash
+          paymentHash: response.payment_hash,
+          cltvExpiry: parseInt(response.cltv_expiry || 0),
+          routeHints: response.route_hints || []
         });
       });
     });
   }
 
-  async createInvoice(amountSats, description = '') {
+  /**
+   * Lista os pagamentos Lightning registrados no LND (ListPayments)
+   * 
+   * Inclui pagamentos em andamento e com falha. Usado na reconciliação
+   * após reinício para descobrir se um pagamento chegou a ser enviado.
+   * 
+   * @param {number} [maxPayments=1000] - Quantidade máxima (os mais recentes)
+   * @returns {Promise<Array<Object>>} Pagamentos { paymentHash, paymentRequest, status, valueSat, feeSat, creationDate, failureReason }
+   */
+  async listPayments(maxPayments = 1000) {
+    return new Promise((resolve, reject) => {
+      if (!this.client) {
+        reject(new Error('Cliente Lightning não inicializado'));
+        return;
+      }
+
+      this.client.listPayments({
+        include_incomplete: true,
+        max_payments: maxPayments,
+        reversed: true
+      }, (err, response) => {
+        if (err) {
+          this.logger.error('Erro ao listar pagamentos Lightning:', err);
+          reject(err);
+          return;
+        }
+
+        resolve((response.payments || []).map(payment => ({
+          paymentHash: payment.payment_hash,
+          paymentRequest: payment.payment_request || '',
+          status: payment.status,
+          valueSat: parseInt(payment.value_sat || 0),
+          feeSat: parseInt(payment.fee_sat || 0),
+          creationDate: parseInt(payment.creation_date || 0),
+          failureReason: payment.failure_reason || null
+        })));
+      });
+    });
+  }
+
+  /**
+   * Cria uma invoice Lightning para recebimento (AddInvoice)
+   * 
+   * @param {number} amountSats - Valor em satoshis
+   * @param {string} [description=''] - Memo gravado na invoice
+   * @param {number} [expirySeconds=3600] - Validade em segundos
+   * @returns {Promise<Object>} { paymentRequest, rHash (hex), addIndex }
+   */
+  async createInvoice(amountSats, description = '', expirySeconds = 3600) {
     return new Promise((resolve, reject) => {
       if (!this.client) {
         reject(new Error('Cliente Lightning não inicializado'));
@@ -345,7 +760,7 @@ class LightningRPC {
       this.client.addInvoice({
         value: amountSats,
         memo: description,
-        expiry: 3600 // 1 hora
+        expiry: expirySeconds
       }, (err, response) => {
         if (err) {
           reject(err);
@@ -361,6 +776,88 @@ class LightningRPC {
     });
   }
 
+  /**
+   * Consulta uma invoice emitida por este nó (LookupInvoice)
+   * 
+   * @param {string} rHashHex - Payment hash em hexadecimal
+   * @returns {Promise<Object>} Invoice no formato de formatInvoice()
+   */
+  async lookupInvoice(rHashHex) {
+    return new Promise((resolve, reject) => {
+      if (!this.client) {
+        reject(new Error('Cliente Lightning não inicializado'));
+        return;
+      }
+
+      this.client.lookupInvoice({ r_hash_str: rHashHex }, (err, response) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve(this.formatInvoice(response));
+      });
+    });
+  }
+
+  /**
+   * Abre o stream de atualizações de invoices (SubscribeInvoices)
+   * 
+   * O LND reenvia as invoices liquidadas depois de settleIndex, então um
+   * stream aberto com o último índice processado não perde liquidações
+   * ocorridas enquanto o servidor estava parado.
+   * 
+   * @param {Object} indexes - { addIndex, settleIndex } a partir dos quais reenviar
+   * @param {Function} onInvoice - Recebe cada invoice no formato de formatInvoice()
+   * @param {Function} onClose - Recebe o erro (ou null) quando o stream termina
+   * @returns {Object} Stream gRPC (cancel() encerra)
+   * @throws {Error} Se o cliente não estiver inicializado
+   */
+  subscribeInvoices({ addIndex = 0, settleIndex = 0 }, onInvoice, onClose) {
+    if (!this.client) {
+      throw new Error('Cliente Lightning não inicializado');
+    }
+
+    const stream = this.client.subscribeInvoices({
+      add_index: String(addIndex),
+      settle_index: String(settleIndex)
+    });
+
+    let closed = false;
+    const close = error => {
+      if (!closed) {
+        closed = true;
+        onClose(error || null);
+      }
+    };
+
+    stream.on('data', invoice => onInvoice(this.formatInvoice(invoice)));
+    stream.on('error', close);
+    stream.on('end', () => close(null));
+    return stream;
+  }
+
+  /**
+   * Converte uma Invoice do LND para o formato usado pelo servidor
+   * 
+   * @param {Object} invoice - Mensagem lnrpc.Invoice
+   * @returns {Object} { paymentHash, paymentRequest, state, value, amountPaid, addIndex, settleIndex, settleDate, creationDate, expiry }
+   */
+  formatInvoice(invoice) {
+    return {
+      paymentHash: Buffer.from(invoice.r_hash || '', 'base64').toString('hex'),
+      paymentRequest: invoice.payment_request,
+      state: invoice.state,
+      value: parseInt(invoice.value || 0),
+      amountPaid: parseInt(invoice.amt_paid_sat || 0),
+      addIndex: parseInt(invoice.add_index || 0),
+      settleIndex: parseInt(invoice.settle_index || 0),
+      settleDate: parseInt(invoice.settle_date || 0),
+      creationDate: parseInt(invoice.creation_date || 0),
+      expiry: parseInt(invoice.expiry || 0)
+    };
+  }
+
   // ============ MÉTODOS ON-CHAIN ============
 
   async sendOnChain(destinationAddress, amountSats, feeRate = null) {
@@ -399,6 +896,55 @@ class LightningRPC {
     });
   }
 
+  /**
+   * Envia vários pagamentos on-chain em uma única transação (SendMany)
+   * 
+   * A taxa total é obtida depois do envio nas transações da carteira; se a
+   * consulta falhar o envio não é desfeito e a taxa volta como null.
+   * 
+   * @param {Object<string, number>} outputs - Endereço -> valor em satoshis
+   * @param {number} [feeRate=null] - sat/vbyte (padrão: estimativa para 6 confirmações)
+   * @returns {Promise<Object>} { transactionHash, fee }
+   */
+  async sendOnChainMany(outputs, feeRate = null) {
+    const txid = await new Promise((resolve, reject) => {
+      if (!this.client) {
+        reject(new Error('Cliente Lightning não inicializado'));
+        return;
+      }
+
+      const addrToAmount = {};
+      for (const [address, amountSats] of Object.entries(outputs)) {
+        addrToAmount[address] = amountSats.toString();
+      }
+
+      const sendRequest = { AddrToAmount: addrToAmount };
+      if (feeRate) {
+        sendRequest.sat_per_vbyte = feeRate;
+      } else {
+        sendRequest.target_conf = 6;
+      }
+
+      this.client.sendMany(sendRequest, (err, response) => {
+        if (err) {
+          this.logger.error('Erro ao enviar transação on-chain em lote:', err);
+          reject(err);
+          return;
+        }
+        resolve(response.txid);
+      });
+    });
+
+    let fee = null;
+    try {
+      fee = (await this.getTransaction(txid)).fee;
+    } catch (error) {
+      this.logger.warn(`Taxa da transação em lote ${txid} não encontrada: ${error.message}`);
+    }
+
+    return { transactionHash: txid, fee };
+  }
+
   async getNewAddress(addressType = 'p2wkh') {
     return new Promise((resolve, reject) => {
       if (!this.client) {
@@ -435,15 +981,30 @@ class LightningRPC {
     });
   }
 
-  async estimateFee(targetConf = 6) {
+  /**
+   * Estima a taxa de uma transação on-chain (EstimateFee)
+   * 
+   * A estimativa usa os endereços e valores reais, então considera as
+   * entradas que a carteira precisaria gastar.
+   * 
+   * @param {Object<string, number>} outputs - Endereço -> valor em satoshis
+   * @param {number} [targetConf=6] - Confirmação desejada em blocos
+   * @returns {Promise<Object>} { fee (sats), feeRate (sat/vbyte), targetConf }
+   */
+  async estimateFee(outputs, targetConf = 6) {
     return new Promise((resolve, reject) => {
       if (!this.client) {
         reject(new Error('Cliente Lightning não inicializado'));
         return;
       }
 
+      const addrToAmount = {};
+      for (const [address, amountSats] of Object.entries(outputs)) {
+        addrToAmount[address] = amountSats.toString();
+      }
+
       this.client.estimateFee({ 
-        AddrToAmount: {}, // Mapa vazio para estimativa geral
+        AddrToAmount: addrToAmount,
         target_conf: targetConf 
       }, (err, response) => {
         if (err) {
@@ -453,13 +1014,61 @@ class LightningRPC {
         }
 
         resolve({
-          feeRate: parseInt(response.fee_sat || 0),
+          fee: parseInt(response.fee_sat || 0),
+          feeRate: parseInt(response.sat_per_vbyte || 0),
           targetConf: targetConf
         });
       });
     });
   }
 
+  /**
+   * Calcula uma rota até o destino de uma invoice (QueryRoutes)
+   * 
+   * @param {Object} invoice - Invoice decodificada por decodeInvoice
+   * @param {number} amountSats - Valor a entregar ao destino
+   * @returns {Promise<Object>} { fee (sats), hops, totalTimeLock }
+   * @throws {Error} Se não houver rota para o destino
+   */
+  async queryRoutes(invoice, amountSats) {
+    return new Promise((resolve, reject) => {
+      if (!this.client) {
+        reject(new Error('Cliente Lightning não inicializado'));
+        return;
+      }
+
+      const queryRequest = {
+        pub_key: invoice.destination,
+        amt: amountSats.toString(),
+        route_hints: invoice.routeHints
+      };
+      if (invoice.cltvExpiry) {
+        queryRequest.final_cltv_delta = invoice.cltvExpiry;
+      }
+
+      this.client.queryRoutes(queryRequest, (err, response) => {
+        if (err) {
+          this.logger.error('Erro ao consultar rotas:', err);
+          reject(err);
+          return;
+        }
+
+        const route = (response.routes || [])[0];
+        if (!route) {
+          reject(new Error(`Nenhuma rota encontrada para ${invoice.destination}`));
+          return;
+        }
+
+        resolve({
+          // Arredondar para cima: a rota pode cobrar frações de satoshi
+          fee: Math.ceil(parseInt(route.total_fees_msat || 0) / 1000),
+          hops: (route.hops || []).length,
+          totalTimeLock: parseInt(route.total_time_lock || 0)
+        });
+      });
+    });
+  }
+
   async getTransaction(txid) {
     return new Promise((resolve, reject) => {
       if (!this.client) {
@@ -515,30 +1124,93 @@ class LightningRPC {
 
         const transactions = response.transactions
           .slice(0, maxTransactions)
-          .map(tx => ({
-            txid: tx.tx_hash,
-            amount: parseInt(tx.amount || 0),
-            fee: parseInt(tx.total_fees || 0),
-            confirmations: parseInt(tx.num_confirmations || 0),
-            blockHeight: parseInt(tx.block_height || 0),
-            timestamp: parseInt(tx.time_stamp || 0),
-            destAddresses: tx.dest_addresses || []
-          }));
+          .map(tx => this.formatTransaction(tx));
 
         resolve(transactions);
       });
     });
   }
 
+  /**
+   * Abre o stream de transações on-chain da carteira (SubscribeTransactions)
+   * 
+   * O LND notifica cada transação quando ela aparece no mempool e de novo
+   * quando recebe a primeira confirmação. Transações anteriores à abertura
+   * do stream não são reenviadas (use listTransactions).
+   * 
+   * @param {Function} onTransaction - Recebe cada transação no formato de formatTransaction()
+   * @param {Function} onClose - Recebe o erro (ou null) quando o stream termina
+   * @returns {Object} Stream gRPC (cancel() encerra)
+   * @throws {Error} Se o cliente não estiver inicializado
+   */
+  subscribeTransactions(onTransaction, onClose) {
+    if (!this.client) {
+      throw new Error('Cliente Lightning não inicializado');
+    }
+
+    const stream = this.client.subscribeTransactions({});
+
+    let closed = false;
+    const close = error => {
+      if (!closed) {
+        closed = true;
+        onClose(error || null);
+      }
+    };
+
+    stream.on('data', tx => onTransaction(this.formatTransaction(tx)));
+    stream.on('error', close);
+    stream.on('end', () => close(null));
+    return stream;
+  }
+
+  /**
+   * Converte uma Transaction do LND para o formato usado pelo servidor
+   * 
+   * @param {Object} tx - Mensagem lnrpc.Transaction
+   * @returns {Object} { txid, amount, fee, confirmations, blockHash, blockHeight, timestamp, destAddresses, outputDetails }
+   */
+  formatTransaction(tx) {
+    return {
+      txid: tx.tx_hash,
+      amount: parseInt(tx.amount || 0),
+      fee: parseInt(tx.total_fees || 0),
+      confirmations: parseInt(tx.num_confirmations || 0),
+      blockHash: tx.block_hash || null,
+      blockHeight: parseInt(tx.block_height || 0),
+      timestamp: parseInt(tx.time_stamp || 0),
+      destAddresses: tx.dest_addresses || [],
+      outputDetails: (tx.output_details || []).map(output => ({
+        address: output.address,
+        amount: parseInt(output.amount || 0),
+        outputIndex: parseInt(output.output_index || 0),
+        isOurAddress: output.is_our_address === true
+      }))
+    };
+  }
+
   // ============ MÉTODO UNIFICADO DE PAGAMENTO ============
 
+  /**
+   * Envia um pagamento Lightning ou Bitcoin on-chain
+   *
+   * options.network é a rede já resolvida do pagamento (PaymentProcessor.resolveNetwork);
+   * sem ela o tipo é detectado pelo formato do destino.
+   *
+   * @param {string} destination - Invoice, Lightning Address ou endereço Bitcoin
+   * @param {number} amountSats - Valor em satoshis
+   * @param {Object} options - { network, feeLimitSats, feeRate, onUpdate, onInvoice }
+   * @returns {Promise<Object>} Resultado do envio
+   */
   async sendPayment(destination, amountSats, options = {}) {
     try {
-      // Detectar se é Lightning ou On-chain
-      if (this.isLightningDestination(destination)) {
+      const network = options.network ||
+        (this.isLightningDestination(destination) ? 'lightning' : 'bitcoin');
+
+      if (network === 'lightning') {
         // Lightning payment
         this.logger.info(`Enviando pagamento Lightning para: ${destination}`);
-        return await this.sendLightningPayment(destination, amountSats);
+        return await this.sendLightningPayment(destination, amountSats, options.feeLimitSats, options.onUpdate, options.onInvoice);
       } else {
         // On-chain payment
         this.logger.info(`Enviando pagamento On-chain para: ${destination}`);
@@ -551,10 +1223,10 @@ class LightningRPC {
   }
 
   // Renomear método original para ser mais específico
-  async sendLightningPayment(paymentRequest, amountSats) {
+  async sendLightningPayment(paymentRequest, amountSats, feeLimitSats = null, onUpdate = null, onInvoice = null) {
     return new Promise((resolve, reject) => {
-      if (!this.client) {
-        reject(new Error('Cliente Lightning não inicializado'));
+      if (!this.router) {
+        reject(new Error('Cliente Router do LND não inicializado'));
         return;
       }
 
@@ -562,13 +1234,19 @@ class LightningRPC {
         // Verificar se é lightning address ou invoice
         if (paymentRequest.includes('@')) {
           // Lightning Address - precisa resolver para invoice primeiro
+          // (onInvoice recebe a invoice antes do envio, para acompanhar o pagamento depois)
           this.resolveLightningAddress(paymentRequest, amountSats)
-            .then(invoice => this.payInvoice(invoice))
+            .then(invoice => {
+              if (onInvoice) {
+                onInvoice(invoice);
+              }
+              return this.payInvoice(invoice, feeLimitSats, onUpdate);
+            })
             .then(resolve)
             .catch(reject);
         } else {
           // Invoice direto
-          this.payInvoice(paymentRequest)
+          this.payInvoice(paymentRequest, feeLimitSats, onUpdate)
             .then(resolve)
             .catch(reject);
         }
@@ -578,15 +1256,25 @@ class LightningRPC {
     });
   }
 
+  /**
+   * Verifica se o destino é uma invoice ou Lightning Address
+   *
+   * Regra usada também por PaymentProcessor.detectAddressType.
+   *
+   * @param {string} destination - Endereço, invoice ou Lightning Address
+   * @returns {boolean} true para invoice bolt11 ou usuario@dominio.com
+   */
   isLightningDestination(destination) {
     // Lightning invoice (bolt11)
     if (destination.toLowerCase().startsWith('ln')) {
       return true;
     }
     
-    // Lightning address
-    if (destination.includes('@') && !destination.includes('.')) {
-      return true;
+    // Lightning address (usuario@dominio.com) - protocolo LNURL-pay
+    const parts = destination.split('@');
+    if (parts.length === 2) {
+      const [username, domain] = parts;
+      return Boolean(username && domain && domain.includes('.'));
     }
     
     // Assumir que é endereço Bitcoin se não for claramente Lightning
@@ -26,6 +26,13 @@
  */
 
 const axios = require('axios');
+const metrics = require('../metrics');
+const { PaymentError } = require('../errors');
+
+// Tamanho estimado (vbytes) de uma transação confidencial, usado para converter a taxa
+// por vbyte em taxa absoluta: parte fixa com as entradas + cada saída com suas provas
+const TX_BASE_VSIZE = 300;
+const TX_OUTPUT_VSIZE = 1100;
 
 class LiquidRPC {
   /**
@@ -74,11 +81,14 @@ class LiquidRPC {
    * - params: array de parâmetros do método
    * 
    * @param {string} method - Nome do método RPC (ex: 'getbalance', 'sendtoaddress')
-   * @param {Array} [params=[]] - Array de parâmetros para o método
+   * @param {Array|Object} [params=[]] - Parâmetros posicionais (array) ou nomeados (objeto)
    * @returns {Promise<any>} Resultado do método RPC
-   * @throws {Error} Se houver erro na comunicação ou no método
+   * @throws {Error} Se houver erro na comunicação ou no método (rpcCode traz o código de erro do Elements, se houver)
    */
   async rpcCall(method, params = []) {
+    const startedAt = process.hrtime.bigint();
+    let failed = false;
+    
     try {
       const response = await axios.post(this.rpcUrl, {
         jsonrpc: '1.0',
@@ -94,13 +104,22 @@ class LiquidRPC {
 
       // Verificar se houve erro específico do RPC
       if (response.data.error) {
-        throw new Error(`Liquid RPC Error: ${response.data.error.message}`);
+        throw Object.assign(new Error(`Liquid RPC Error: ${response.data.error.message}`),
+          { rpcCode: response.data.error.code });
       }
 
       return response.data.result;
     } catch (error) {
+      failed = true;
       this.logger.error(`Liquid RPC call failed: ${method}`, error);
-      throw new Error(`Liquid RPC call failed: ${error.message}`);
+
+      // O Elements responde erros do método com HTTP 500 e o erro no corpo
+      const rpcError = error.response?.data?.error;
+      const message = rpcError ? `Liquid RPC Error: ${rpcError.message}` : error.message;
+      throw Object.assign(new Error(`Liquid RPC call failed: ${message}`),
+        { rpcCode: rpcError ? rpcError.code : (error.rpcCode ?? null) });
+    } finally {
+      metrics.observeRpcCall('elements', method, startedAt, failed);
     }
   }
 
@@ -191,6 +210,7 @@ class LiquidRPC {
    * @param {string} destinationAddress - Endereço Liquid de destino
    * @param {number} amountSats - Valor em satoshis (1 L-BTC = 100,000,000 sats)
    * @param {string} [assetId=null] - Asset ID específico (padrão: L-BTC)
+   * @param {number} [feeRate=null] - Taxa em sat/vbyte (padrão: estimativa do Elements)
    * @returns {Promise<Object>} Resultado da transação
    * @returns {string} returns.transactionHash - Hash da transação (txid)
    * @returns {number} returns.fee - Taxa paga em satoshis
@@ -199,7 +219,7 @@ class LiquidRPC {
    * @returns {string} returns.assetId - Asset ID usado na transação
    * @throws {Error} Se endereço inválido, saldo insuficiente ou falha na transação
    */
-  async sendPayment(destinationAddress, amountSats, assetId = null) {
+  async sendPayment(destinationAddress, amountSats, assetId = null, feeRate = null) {
     try {
       // Converter satoshis para unidade Bitcoin (1 BTC = 100,000,000 sats)
       const amountBTC = amountSats / 100000000;
@@ -214,7 +234,10 @@ class LiquidRPC {
       
       // ========== ENVIO DIRETO ==========
       // Usar sendtoaddress que é mais simples e confiável
-      const txid = await this.rpcCall('sendtoaddress', [destinationAddress, amountBTC]);
+      // (parâmetros nomeados quando a taxa é fixada, ex: cotação aceita)
+      const txid = feeRate
+        ? await this.rpcCall('sendtoaddress', { address: destinationAddress, amount: amountBTC, fee_rate: feeRate })
+        : await this.rpcCall('sendtoaddress', [destinationAddress, amountBTC]);
       
       // ========== OBTENÇÃO DE DETALHES DA TRANSAÇÃO ==========
       const txDetails = await this.rpcCall('gettransaction', [txid]);
@@ -233,6 +256,39 @@ class LiquidRPC {
     }
   }
 
+  /**
+   * Envia vários pagamentos L-BTC em uma única transação (sendmany)
+   * 
+   * A taxa é obtida depois do envio (gettransaction); se a consulta falhar
+   * o envio não é desfeito e a taxa volta como null.
+   * 
+   * @param {Object<string, number>} outputs - Endereço -> valor em satoshis
+   * @param {number} [feeRate=null] - Taxa em sat/vbyte (padrão: estimativa do Elements)
+   * @returns {Promise<Object>} { transactionHash, fee }
+   * @throws {Error} Se algum endereço for inválido ou o saldo for insuficiente (nada é enviado)
+   */
+  async sendMany(outputs, feeRate = null) {
+    const amounts = {};
+    for (const [address, amountSats] of Object.entries(outputs)) {
+      amounts[address] = amountSats / 100000000;
+    }
+
+    this.logger.info(`Enviando ${Object.keys(amounts).length} pagamentos Liquid em uma transação`);
+    const txid = feeRate
+      ? await this.rpcCall('sendmany', { dummy: '', amounts, fee_rate: feeRate })
+      : await this.rpcCall('sendmany', ['', amounts]);
+
+    let fee = null;
+    try {
+      const txDetails = await this.rpcCall('gettransaction', [txid]);
+      fee = Math.abs(Math.round((txDetails.fee || 0) * 100000000));
+    } catch (error) {
+      this.logger.warn(`Taxa da transação em lote ${txid} não encontrada: ${error.message}`);
+    }
+
+    return { transactionHash: txid, fee };
+  }
+
   /**
    * Método alias para sendPayment com asset específico
    * 
@@ -248,28 +304,55 @@ class LiquidRPC {
   }
 
   /**
-   * Estima taxa de transação dinâmica
+   * Estima a taxa absoluta de uma transação
+   * 
+   * Usa estimativa inteligente da rede (estimatesmartfee, em L-BTC/kvB) e a
+   * converte para satoshis considerando o tamanho estimado da transação
+   * (saídas de pagamento mais a saída de troco).
    * 
-   * Usa estimativa inteligente da rede para otimizar custo vs velocidade.
+   * Sem estimativa do Elements é usada a taxa mínima, exceto com strict:
+   * limites de taxa e cotações não podem ser conferidos contra um valor
+   * presumido.
    * 
-   * @returns {Promise<number>} Taxa estimada em BTC/vB
+   * @param {number} [outputCount=1] - Número de saídas de pagamento
+   * @param {number} [targetConf=6] - Confirmação desejada em blocos
+   * @param {boolean} [strict=false] - Falhar em vez de usar a taxa mínima
+   * @returns {Promise<Object>} { fee (sats), feeRate (sat/vbyte), targetConf }
+   * @throws {PaymentError} fee_estimate_unavailable (apenas com strict)
    */
-  async estimateFee() {
+  async estimateFee(outputCount = 1, targetConf = 6, strict = false) {
+    // Fallback para taxa mínima se estimativa falhar
+    let feeRateBtcPerKvb = 0.00001;
+    let failure = null;
     try {
       // Estimar taxa para confirmação em 6 blocos (~6 minutos na Liquid)
-      const feeEstimate = await this.rpcCall('estimatesmartfee', [6]);
+      const feeEstimate = await this.rpcCall('estimatesmartfee', [targetConf]);
       
       if (feeEstimate.feerate) {
-        return feeEstimate.feerate;
+        feeRateBtcPerKvb = feeEstimate.feerate;
+      } else {
+        failure = (feeEstimate.errors || []).join('; ') || 'estimatesmartfee sem feerate';
       }
-      
-      // Fallback para taxa mínima se estimativa falhar
-      return 0.00001;
-      
     } catch (error) {
-      this.logger.warn('Não foi possível estimar taxa, usando taxa mínima');
-      return 0.00001;
+      failure = error.message;
     }
+
+    if (failure) {
+      if (strict) {
+        throw new PaymentError('fee_estimate_unavailable',
+          `Não foi possível estimar a taxa Liquid: ${failure}`, { targetConf });
+      }
+      this.logger.warn(`Não foi possível estimar taxa (${failure}), usando taxa mínima`);
+    }
+
+    // L-BTC/kvB -> sat/vB (arredondado em sats/kvB para evitar resíduos de ponto flutuante)
+    const feeRate = Math.round(feeRateBtcPerKvb * 100000000) / 1000;
+    const vsize = TX_BASE_VSIZE + (outputCount + 1) * TX_OUTPUT_VSIZE;
+    return {
+      fee: Math.ceil(feeRate * vsize),
+      feeRate,
+      targetConf
+    };
   }
 
   /**
@@ -285,7 +368,9 @@ class LiquidRPC {
         confirmations: tx.confirmations || 0,
         confirmed: (tx.confirmations || 0) >= 2, // Liquid requer 2 confirmações
         blockHash: tx.blockhash || null,
-        blockTime: tx.blocktime || null
+        blockHeight: tx.blockheight || null,
+        blockTime: tx.blocktime || null,
+        walletConflicts: tx.walletconflicts || []
       };
     } catch (error) {
       this.logger.error(`Erro ao consultar status da transação ${txid}:`, error);
@@ -293,6 +378,86 @@ class LiquidRPC {
     }
   }
 
+  /**
+   * Lista as transações mais recentes da carteira (listtransactions)
+   * 
+   * Valores e taxas são convertidos para satoshis (sempre positivos).
+   * Usado na reconciliação após reinício para localizar envios.
+   * 
+   * @param {number} [count=100] - Quantidade de transações (as mais recentes)
+   * @returns {Promise<Array<Object>>} Transações { txid, vout, category, address, amount, fee, asset, confirmations, blockHash, time }
+   */
+  async listTransactions(count = 100) {
+    const transactions = await this.rpcCall('listtransactions', ['*', count]);
+    return transactions.map(tx => ({
+      txid: tx.txid,
+      vout: tx.vout ?? 0,
+      category: tx.category,
+      address: tx.address || null,
+      amount: Math.abs(Math.round((tx.amount || 0) * 100000000)),
+      fee: Math.abs(Math.round((tx.fee || 0) * 100000000)),
+      asset: tx.asset || null,
+      confirmations: tx.confirmations || 0,
+      blockHash: tx.blockhash || null,
+      time: tx.time || 0
+    }));
+  }
+
+  /**
+   * Obtém a forma não confidencial de um endereço Liquid
+   * 
+   * O listtransactions pode exibir o endereço sem o blinding key; a
+   * comparação com o destino da requisição precisa das duas formas.
+   * 
+   * @param {string} address - Endereço (confidencial ou não)
+   * @returns {Promise<string>} Endereço não confidencial (ou o próprio endereço)
+   */
+  async getUnconfidentialAddress(address) {
+    const info = await this.rpcCall('validateaddress', [address]);
+    return info.unconfidential || address;
+  }
+
+  /**
+   * Obtém o estado da blockchain no Elements (getblockchaininfo)
+   * 
+   * @returns {Promise<Object>} Rede, altura do bloco e progresso de sincronização
+   */
+  async getBlockchainInfo() {
+    try {
+      const info = await this.rpcCall('getblockchaininfo');
+      return {
+        chain: info.chain,
+        blocks: info.blocks,
+        headers: info.headers,
+        initialBlockDownload: info.initialblockdownload === true,
+        verificationProgress: info.verificationprogress
+      };
+    } catch (error) {
+      this.logger.error('Erro ao consultar informações da blockchain Liquid:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtém o estado da carteira carregada no Elements (getwalletinfo)
+   * 
+   * @returns {Promise<Object>} Nome da carteira e se está desbloqueada
+   */
+  async getWalletInfo() {
+    try {
+      const info = await this.rpcCall('getwalletinfo');
+      return {
+        walletName: info.walletname,
+        // unlocked_until ausente = carteira sem senha; 0 = bloqueada
+        unlocked: info.unlocked_until === undefined || info.unlocked_until > 0,
+        txCount: info.txcount
+      };
+    } catch (error) {
+      this.logger.error('Erro ao consultar carteira Liquid:', error);
+      throw error;
+    }
+  }
+
   /**
    * Gera novo endereço Liquid padrão
    * 
@@ -307,9 +472,15 @@ class LiquidRPC {
     }
   }
 
-  async getNewAddressConfidential() {
+  /**
+   * Gera novo endereço Liquid confidencial
+   * 
+   * @param {string} [label=''] - Rótulo gravado na carteira do Elements
+   * @returns {Promise<string>} Endereço confidencial (ou o padrão, se não houver)
+   */
+  async getNewAddressConfidential(label = '') {
     try {
-      const address = await this.rpcCall('getnewaddress');
+      const address = await this.rpcCall('getnewaddress', [label]);
       const confidentialAddress = await this.rpcCall('getaddressinfo', [address]);
       return confidentialAddress.confidential || address;
     } catch (error) {
@@ -13,26 +13,48 @@
  * 
  * ENDPOINTS DISPONÍVEIS:
  * - POST /payment - Processar novos pagamentos
+ * - POST /payment/quote - Cotar a taxa de um pagamento sem enviá-lo
+ * - GET /payment/:id - Status e histórico de um pagamento
+ * - GET /payment/by-transaction/:transactionId - Status pelo ID do cliente
+ * - POST /invoice - Emitir uma invoice Lightning para recebimento
+ * - GET /invoice/:id - Status de uma invoice emitida
+ * - POST /address/:network - Emitir um endereço de depósito (bitcoin ou liquid)
+ * - GET /address/:id - Endereço de depósito e depósitos recebidos
  * - GET /balance/:network - Consultar saldos
  * - GET /pending - Listar pagamentos pendentes
  * - GET /sent - Listar pagamentos enviados
  * - POST /webhook/test - Testar webhook
  * - GET /webhook/stats - Estatísticas de webhooks
  * - POST /webhook/retry-failed - Reprocessar webhooks falhados
+ * - GET /queue/stats - Estado da fila de pagamentos assíncronos
  * 
  * SEGURANÇA:
  * - Whitelist de IPs permitidos
- * - Autenticação via header X-Secret-Key
+ * - Autenticação via header X-Secret-Key (clientes nomeados com escopos)
  * - Logs detalhados de todas as operações
  */
 
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
 const config = require('../config/config.json');
 const PaymentProcessor = require('./payment-processor');
+const PaymentQueue = require('./payment-queue');
+const AuthManager = require('./auth-manager');
+const ApprovalManager = require('./approval-manager');
+const HealthMonitor = require('./health-monitor');
+const PaymentRecovery = require('./payment-recovery');
+const PaymentActions = require('./payment-actions');
+const BatchProcessor = require('./batch-processor');
+const QuoteManager = require('./quote-manager');
+const InvoiceManager = require('./invoice-manager');
+const DepositManager = require('./deposit-manager');
+const ConfirmationTracker = require('./confirmation-tracker');
+const LightningTracker = require('./lightning-tracker');
+const RequestValidator = require('./request-validator');
+const { buildOpenApiDocument } = require('./openapi');
+const metrics = require('./metrics');
+const { PaymentError, PaymentRejectedError } = require('./errors');
 
 // ========== CONFIGURAÇÃO DO SISTEMA DE LOGS ==========
 // Configurar logger estruturado com múltiplos transportes
@@ -55,48 +77,200 @@ const logger = winston.createLogger({
 
 // ========== CONFIGURAÇÃO DO SERVIDOR EXPRESS ==========
 const app = express();
+
+// Durante o desligamento novas requisições são recusadas (inclusive em conexões keep-alive)
+let shuttingDown = false;
+app.use((req, res, next) => {
+  if (shuttingDown) {
+    res.set('Connection', 'close');
+    return res.status(503).json({ 
+      error: 'Servidor em desligamento',
+      message: 'Tente novamente em instantes'
+    });
+  }
+  next();
+});
+
 // Middleware para parsing de JSON nas requisições
-app.use(express.json());
+// O corpo bruto é guardado em req.rawBody para validação de requisições assinadas
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 
 // ========== MIDDLEWARE DE SEGURANÇA ==========
 /**
  * Middleware de autenticação e autorização
  * 
- * Implementa dupla validação de segurança:
+ * Implementa validação de segurança em camadas (ver AuthManager):
  * 1. Validação de IP - apenas IPs whitelist podem acessar
- * 2. Validação de chave secreta - header X-Secret-Key obrigatório
+ * 2. Validação de chave - header X-Secret-Key identifica o cliente da API
+ * 3. Escopos por rota - cada endpoint exige um escopo (requireScope)
  * 
  * Casos especiais:
- * - IPs localhost (::1, 127.0.0.1) sempre permitidos para desenvolvimento
+ * - IPs localhost (::1, 127.0.0.0/8) permitidos se server.allowLocalhost não for false
+ * - X-Forwarded-For considerado apenas de proxies em server.trustedProxies
  * - Logs detalhados de tentativas de acesso não autorizadas
+ * - Trilha de auditoria por cliente (API_AUDIT)
  */
-app.use((req, res, next) => {
-  const clientIp = req.ip || req.connection.remoteAddress;
-  logger.info(`Requisição recebida de IP: ${clientIp}`);
-  
-  // ========== VALIDAÇÃO DE IP ==========
-  // Verificar se o IP está na lista de IPs permitidos ou é localhost
-  if (!config.server.allowedIps.includes(clientIp) && clientIp !== '::1' && clientIp !== '127.0.0.1') {
-    logger.warn(`IP não autorizado: ${clientIp}`);
-    return res.status(403).json({ error: 'IP não autorizado' });
-  }
-  
-  // ========== VALIDAÇÃO DE CHAVE SECRETA ==========
-  // Verificar se a chave secreta no header corresponde à configurada
-  const secretKey = req.headers['x-secret-key'];
-  if (secretKey !== config.server.secretKey) {
-    logger.warn(`Chave secreta inválida de IP: ${clientIp}`);
-    return res.status(401).json({ error: 'Chave secreta inválida' });
-  }
-  
-  // Se passou nas validações, continuar para o próximo middleware
-  next();
-});
+const authManager = new AuthManager(logger);
+const requireScope = (scope) => authManager.requireScope(scope);
+app.use(authManager.middleware());
+
+// ========== VALIDAÇÃO DAS REQUISIÇÕES ==========
+// Cada rota declara seus JSON Schemas em api-schemas.js (também usados no /openapi.json)
+const requestValidator = new RequestValidator(logger);
+const validate = (routeKey) => requestValidator.middleware(routeKey);
 
 // ========== INICIALIZAÇÃO DO PROCESSADOR DE PAGAMENTOS ==========
 // Instanciar o processador principal que coordena todas as operações
 const paymentProcessor = new PaymentProcessor(logger);
 
+// Lotes de pagamentos (uma transação on-chain/Liquid por lote)
+const batchProcessor = new BatchProcessor(paymentProcessor, logger);
+
+// Worker em processo para o modo assíncrono do POST /payment e para os lotes
+const paymentQueue = new PaymentQueue(paymentProcessor, batchProcessor, logger);
+
+// Fluxo de aprovação manual para pagamentos grandes ou sinalizados
+const approvalManager = new ApprovalManager(paymentProcessor, paymentQueue, logger);
+
+// Verificação de prontidão do LND e do Elements
+const healthMonitor = new HealthMonitor(paymentProcessor, logger);
+
+// Reconciliação dos pagamentos interrompidos por uma queda do servidor
+const paymentRecovery = new PaymentRecovery(paymentProcessor, logger);
+
+// Nova tentativa de pagamentos com erro e cancelamento de pagamentos ainda não executados
+const paymentActions = new PaymentActions(paymentProcessor, paymentQueue, paymentRecovery, logger);
+
+// Cotações de taxa (POST /payment/quote) que podem ser exigidas no POST /payment
+const quoteManager = new QuoteManager(paymentProcessor, logger);
+
+// Recebimentos: invoices Lightning com webhooks de pagamento e expiração
+const invoiceManager = new InvoiceManager(paymentProcessor, logger);
+
+// Recebimentos: endereços de depósito on-chain e Liquid com webhooks de detecção e confirmação
+const depositManager = new DepositManager(paymentProcessor, logger);
+
+// Confirmações dos pagamentos on-chain e Liquid enviados (payment.confirmed e payment.dropped)
+const confirmationTracker = new ConfirmationTracker(paymentProcessor, logger);
+
+// Pagamentos Lightning in_flight acompanhados no LND até o resultado final (TrackPaymentV2/TrackPayments)
+const lightningTracker = new LightningTracker(paymentProcessor, logger);
+
+// ========== RESPOSTA PARA REQUISIÇÕES REPETIDAS ==========
+/**
+ * Responde a uma requisição de pagamento que já foi registrada anteriormente
+ *
+ * - Dados diferentes da requisição original: 409 Conflict
+ * - Pagamento já enviado: mesmo resultado da resposta original
+ * - Pagamento com erro: mesmo erro da resposta original
+ * - Pagamento cancelado: 422 com o código payment_cancelled
+ * - Pagamento aguardando conferência manual: 202 com o motivo
+ * - Pagamento ainda em processamento: 202 com o status atual
+ *
+ * @param {Object} res - Objeto de resposta do Express
+ * @param {Object} existing - Requisição registrada anteriormente
+ * @param {Object} candidate - Nova requisição recebida
+ */
+function sendExistingPaymentResponse(res, existing, candidate) {
+  if (!paymentProcessor.isSamePaymentRequest(existing, candidate)) {
+    logger.warn(`Requisição conflitante para transactionId ${candidate.transactionId} (pagamento ${existing.id})`);
+    return res.status(409).json({
+      error: 'Conflito de idempotência',
+      message: 'Já existe um pagamento registrado para este transactionId/Idempotency-Key com dados diferentes',
+      paymentId: existing.id,
+      transactionId: existing.transactionId
+    });
+  }
+
+  logger.info(`Requisição repetida para transactionId ${candidate.transactionId}, retornando pagamento ${existing.id}`);
+
+  switch (existing.status) {
+    case 'sent':
+    case 'confirmed':
+      return res.json({
+        success: true,
+        message: 'Pagamento processado com sucesso',
+        paymentId: existing.id,
+        transactionHash: existing.transactionHash,
+        status: existing.status,
+        idempotent: true
+      });
+
+    case 'rejected':
+      return res.status(422).json({
+        error: 'Pagamento recusado',
+        code: existing.errorCode,
+        message: existing.error,
+        paymentId: existing.id,
+        status: existing.status,
+        idempotent: true
+      });
+
+    case 'cancelled':
+      return res.status(422).json({
+        error: 'Pagamento cancelado',
+        code: existing.errorCode,
+        message: existing.error,
+        paymentId: existing.id,
+        status: existing.status,
+        idempotent: true
+      });
+
+    case 'dropped':
+      return res.status(422).json({
+        error: 'Transação do pagamento descartada',
+        code: existing.errorCode,
+        message: existing.error,
+        paymentId: existing.id,
+        transactionHash: existing.transactionHash,
+        status: existing.status,
+        idempotent: true
+      });
+
+    case 'error':
+      return res.status(500).json({
+        error: 'Erro interno do servidor',
+        code: existing.errorCode || null,
+        message: existing.error,
+        paymentId: existing.id,
+        status: existing.status,
+        idempotent: true
+      });
+
+    case 'awaiting_approval':
+      return res.status(202).json({
+        success: true,
+        message: 'Pagamento aguardando aprovação',
+        paymentId: existing.id,
+        status: existing.status,
+        idempotent: true
+      });
+
+    case 'needs_review':
+      return res.status(202).json({
+        success: true,
+        message: 'Pagamento aguardando conferência manual',
+        reason: existing.reviewReason,
+        paymentId: existing.id,
+        status: existing.status,
+        idempotent: true
+      });
+
+    default:
+      return res.status(202).json({
+        success: true,
+        message: 'Pagamento já está em processamento',
+        paymentId: existing.id,
+        status: existing.status,
+        idempotent: true
+      });
+  }
+}
+
 // ========== ENDPOINT PRINCIPAL: PROCESSAR PAGAMENTOS ==========
 /**
  * POST /payment - Endpoint principal para processamento de pagamentos
@@ -105,87 +279,235 @@ const paymentProcessor = new PaymentProcessor(logger);
  * 1. Validação de dados obrigatórios
  * 2. Validação de rede suportada  
  * 3. Validação de webhook (se fornecido)
- * 4. Criação de ID único para rastreamento
- * 5. Persistência da requisição em arquivo
- * 6. Processamento assíncrono do pagamento
- * 7. Retorno de confirmação com ID e hash da transação
+ * 4. Verificação de idempotência (transactionId/Idempotency-Key já registrado)
+ * 5. Criação de ID único para rastreamento
+ * 6. Persistência da requisição no armazenamento (config.storage)
+ * 7. Processamento do pagamento (inline ou via fila no modo assíncrono)
+ * 8. Retorno de confirmação com ID e hash da transação (ou 202 no modo assíncrono)
  * 
  * DADOS OBRIGATÓRIOS:
  * - transactionId: ID único da transação no sistema cliente
  * - username: Usuário que solicitou o pagamento
  * - amount: Valor em satoshis
- * - network: Rede de destino (bitcoin/lightning/liquid)
+ * - network: Rede de destino (bitcoin/lightning/liquid) ou "auto" para usar
+ *   a rede detectada pelo formato do destino
  * - destinationWallet: Endereço/invoice de destino
+ *
+ * Um destino incompatível com a rede informada (ex: endereço Liquid com
+ * network "bitcoin") é recusado com 400 network_mismatch e o tipo detectado.
  * 
  * DADOS OPCIONAIS:
  * - webhookUrl: URL para notificações de status
  * - webhookSecret: Chave para assinatura HMAC dos webhooks
+ * - async: true para responder 202 imediatamente e processar em segundo plano
+ * - quoteId: cotação de POST /payment/quote a ser exigida (mesma rede, destino
+ *   e valor; o pagamento usa a taxa cotada)
+ * - maxFeeSats, maxFeePercent, maxFeeRate: limites de taxa (sobrescrevem config.fees)
+ * 
+ * HEADERS OPCIONAIS:
+ * - Idempotency-Key: chave adicional de idempotência; repetições com a mesma
+ *   chave ou o mesmo transactionId retornam o pagamento original
  */
-app.post('/payment', async (req, res) => {
+app.post('/payment', requireScope('payments:write'), validate('POST /payment'), async (req, res) => {
   try {
-    // ========== EXTRAÇÃO E VALIDAÇÃO DOS DADOS ==========
+    // ========== EXTRAÇÃO DOS DADOS ==========
+    // Tipos, tamanhos e campos obrigatórios já validados pelo schema da rota
     const { 
       transactionId, 
       username, 
       amount, 
-      network, 
       destinationWallet,
       webhookUrl,
       webhookSecret 
     } = req.body;
     
-    // Validar dados obrigatórios
-    if (!transactionId || !username || !amount || !network || !destinationWallet) {
-      return res.status(400).json({ 
-        error: 'Dados obrigatórios faltando',
-        required: ['transactionId', 'username', 'amount', 'network', 'destinationWallet']
-      });
+    // ========== REDE DO DESTINO ==========
+    // "auto" usa a rede detectada; uma rede informada precisa ser compatível com o destino
+    let network;
+    try {
+      network = paymentProcessor.resolveNetwork(req.body.network, destinationWallet);
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        return sendNetworkError(res, error);
+      }
+      throw error;
     }
     
-    // Validar rede suportada
-    if (!['bitcoin', 'lightning', 'liquid'].includes(network.toLowerCase())) {
+    // Validar URL do webhook se fornecida (apenas HTTP/HTTPS)
+    if (webhookUrl && !paymentProcessor.webhookManager.validateWebhookUrl(webhookUrl)) {
       return res.status(400).json({ 
-        error: 'Rede não suportada',
-        supported: ['bitcoin', 'lightning', 'liquid']
+        error: 'URL de webhook inválida',
+        message: 'A URL deve ser um endereço HTTP ou HTTPS válido'
       });
     }
     
-    // Validar URL do webhook se fornecida
-    if (webhookUrl && !paymentProcessor.webhookManager.validateWebhookUrl(webhookUrl)) {
+    // Modo assíncrono: por requisição ("async": true ou ?async=true) ou padrão da configuração
+    const asyncMode = req.body.async === true || req.query.async === 'true' ||
+      (req.body.async === undefined && paymentQueue.config.asyncByDefault === true);
+    if (asyncMode && !paymentQueue.isEnabled()) {
       return res.status(400).json({ 
-        error: 'URL de webhook inválida',
-        message: 'A URL deve ser um endereço HTTP ou HTTPS válido'
+        error: 'Modo assíncrono desabilitado',
+        message: 'Habilite a fila de pagamentos (queue.enabled) na configuração'
       });
     }
     
+    // Estado do backend da rede (health.requireReadyBackends). Consultado aqui porque
+    // a verificação de idempotência abaixo não pode ter await até a gravação.
+    const backendStatus = healthMonitor.isRequiredForPayments()
+      ? await healthMonitor.getNetworkStatus(network)
+      : null;
+    
     // ========== CRIAÇÃO DO OBJETO DE REQUISIÇÃO ==========
     // Criar objeto padronizado com ID único e timestamp
+    const idempotencyKey = req.headers['idempotency-key'] || null;
     const paymentRequest = {
       id: uuidv4(), // UUID v4 para garantir unicidade
       transactionId,
       username,
-      amount: parseInt(amount), // Garantir que é um inteiro
-      network: network.toLowerCase(),
+      amount,
+      network,
       destinationWallet,
       webhookUrl: webhookUrl || null,
       webhookSecret: webhookSecret || null,
+      idempotencyKey,
+      feeLimits: extractFeeLimits(req.body),
       timestamp: new Date().toISOString(),
       status: 'pending' // Status inicial
     };
-    
+
+    // ========== VERIFICAÇÃO DE IDEMPOTÊNCIA ==========
+    // Uma requisição repetida (mesmo transactionId ou Idempotency-Key) nunca paga de novo.
+    // A busca e a gravação abaixo são síncronas, então duas requisições simultâneas
+    // não conseguem passar pela verificação antes de uma delas gravar o registro.
+    const existingPayment = paymentProcessor.findExistingPayment(transactionId, idempotencyKey);
+    if (existingPayment) {
+      return sendExistingPaymentResponse(res, existingPayment, paymentRequest);
+    }
+
+    // ========== COTAÇÃO ACEITA ==========
+    // Conferida sem await até a gravação; só é consumida quando o pagamento é registrado
+    let quote = null;
+    if (req.body.quoteId) {
+      try {
+        quote = quoteManager.getValidQuote(req.body.quoteId, paymentRequest);
+      } catch (error) {
+        if (error instanceof PaymentError) {
+          return sendQuoteError(res, error);
+        }
+        throw error;
+      }
+      paymentRequest.quote = {
+        id: quote.id,
+        fee: quote.fee,
+        feeRate: quote.feeRate,
+        expiresAt: quote.expiresAt
+      };
+    }
+
+    // ========== PRONTIDÃO DO BACKEND ==========
+    // Recusar em vez de aceitar um pagamento que só pode falhar
+    if (backendStatus && !backendStatus.ready) {
+      logger.warn(`Pagamento recusado: backend ${backendStatus.backend} de ${network} não está pronto`);
+      return res.status(503).json({
+        error: 'Rede indisponível',
+        code: 'backend_not_ready',
+        network,
+        backend: backendStatus.backend,
+        message: backendStatus.error
+      });
+    }
+
+    // ========== APROVAÇÃO MANUAL ==========
+    // Requisições que se enquadram nas regras de config.approvals aguardam o compliance
+    const approvalReasons = approvalManager.evaluate(paymentRequest);
+    if (approvalReasons.length > 0) {
+      logger.info(`Nova requisição de pagamento: ${JSON.stringify(paymentRequest)}`);
+      if (quote) {
+        quoteManager.consume(quote.id);
+      }
+      await approvalManager.requestApproval(paymentRequest, approvalReasons);
+      return res.status(202).json({
+        success: true,
+        message: 'Pagamento aguardando aprovação',
+        paymentId: paymentRequest.id,
+        status: paymentRequest.status,
+        approvalReasons
+      });
+    }
+
+    // ========== LIMITE DE PAGAMENTOS SIMULTÂNEOS ==========
+    // No modo assíncrono a fila aguarda uma vaga; no síncrono o cliente deve tentar de novo
+    if (!asyncMode && !paymentProcessor.canStartPayment()) {
+      return res.status(429).json({
+        error: 'Limite de pagamentos simultâneos atingido',
+        code: 'concurrency_limit_exceeded',
+        message: 'Tente novamente em instantes ou use o modo assíncrono'
+      });
+    }
+
     logger.info(`Nova requisição de pagamento: ${JSON.stringify(paymentRequest)}`);
     
     // ========== PERSISTÊNCIA DA REQUISIÇÃO ==========
-    // Salvar requisição no diretório payment_req para rastreamento
-    const filename = `${paymentRequest.id}_${transactionId}.json`;
-    const filepath = path.join(__dirname, '../payment_req', filename);
+    // Salvar requisição no armazenamento para rastreamento
+    // Registrar status inicial no histórico (queued no modo assíncrono)
+    if (quote) {
+      quoteManager.consume(quote.id);
+    }
+    paymentProcessor.recordTransition(paymentRequest, asyncMode ? 'queued' : 'pending');
+    const location = paymentProcessor.savePaymentRequest(paymentRequest);
+    logger.info(`Requisição salva: ${location}`);
     
-    fs.writeFileSync(filepath, JSON.stringify(paymentRequest, null, 2));
-    logger.info(`Requisição salva: ${filepath}`);
+    // ========== MODO ASSÍNCRONO ==========
+    // Entregar a requisição ao worker e responder imediatamente
+    if (asyncMode) {
+      paymentQueue.drain();
+      return res.status(202).json({
+        success: true,
+        message: 'Pagamento aceito para processamento assíncrono',
+        paymentId: paymentRequest.id,
+        status: paymentRequest.status
+      });
+    }
     
     // ========== PROCESSAMENTO DO PAGAMENTO ==========
     // Enviar para processamento assíncrono
-    const result = await paymentProcessor.processPayment(paymentRequest);
+    let result;
+    try {
+      result = await paymentProcessor.processPayment(paymentRequest);
+    } catch (error) {
+      // Recusa pela política de limites não é erro interno: informar o código ao cliente
+      if (error instanceof PaymentRejectedError) {
+        return res.status(422).json({
+          error: 'Pagamento recusado',
+          code: error.code,
+          message: error.message,
+          details: error.details,
+          paymentId: paymentRequest.id,
+          status: paymentRequest.status
+        });
+      }
+      // HTLC ainda pendente no LND: o resultado chega pelo webhook quando o LightningTracker o registrar
+      if (error instanceof PaymentError && error.code === 'payment_in_flight') {
+        return res.status(202).json({
+          success: true,
+          message: 'Pagamento Lightning em andamento no LND; o resultado será enviado por webhook',
+          code: error.code,
+          paymentId: paymentRequest.id,
+          status: paymentRequest.status
+        });
+      }
+      // Falha com código estável (ex: no_route, fee_limit_exceeded): o cliente decide pelo code
+      if (error instanceof PaymentError) {
+        return res.status(500).json({
+          error: 'Erro interno do servidor',
+          code: error.code,
+          message: error.message,
+          paymentId: paymentRequest.id,
+          status: paymentRequest.status
+        });
+      }
+      throw error;
+    }
     
     // ========== RESPOSTA DE SUCESSO ==========
     res.json({
@@ -205,6 +527,664 @@ app.post('/payment', async (req, res) => {
   }
 });
 
+/**
+ * Extrai os limites de taxa informados em um pagamento
+ *
+ * @param {Object} fields - Body do POST /payment ou item do lote
+ * @returns {Object|null} { maxFeeSats?, maxFeePercent?, maxFeeRate? } ou null se nenhum foi informado
+ */
+function extractFeeLimits(fields) {
+  const feeLimits = {};
+  for (const field of ['maxFeeSats', 'maxFeePercent', 'maxFeeRate']) {
+    if (fields[field] !== undefined) {
+      feeLimits[field] = fields[field];
+    }
+  }
+  return Object.keys(feeLimits).length > 0 ? feeLimits : null;
+}
+
+// ========== ENDPOINT: COTAÇÃO DE TAXA ==========
+/**
+ * POST /payment/quote - Estima a taxa de um pagamento sem movimentar fundos
+ *
+ * Recebe o mesmo body do POST /payment (webhookUrl, webhookSecret e async
+ * são ignorados) e retorna a taxa estimada e a validade da cotação:
+ * - Bitcoin on-chain: EstimateFee do LND com o endereço e o valor reais
+ * - Liquid: estimatesmartfee do Elements convertido em taxa absoluta
+ * - Lightning: QueryRoutes para a invoice (ou Lightning Address resolvida)
+ *
+ * O quoteId pode ser enviado no POST /payment para exigir a cotação.
+ */
+app.post('/payment/quote', requireScope('payments:write'), validate('POST /payment/quote'), async (req, res) => {
+  try {
+    const { amount, destinationWallet } = req.body;
+    
+    let network;
+    try {
+      network = paymentProcessor.resolveNetwork(req.body.network, destinationWallet);
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        return sendNetworkError(res, error);
+      }
+      throw error;
+    }
+    
+    let quote;
+    try {
+      quote = await quoteManager.createQuote({ network, destinationWallet, amount });
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        logger.warn(`Cotação indisponível: ${error.message}`);
+        return res.status(503).json({
+          error: 'Cotação indisponível',
+          code: error.code,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    
+    res.json({
+      success: true,
+      quoteId: quote.id,
+      network: quote.network,
+      destinationWallet: quote.destinationWallet,
+      amount: quote.amount,
+      fee: quote.fee,
+      feeRate: quote.feeRate,
+      total: quote.total,
+      route: quote.route,
+      expiresAt: quote.expiresAt
+    });
+    
+  } catch (error) {
+    logger.error(`Erro ao cotar pagamento: ${error.message}`, error);
+    res.status(500).json({ 
+      error: 'Erro interno do servidor',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * Responde a recusa de um pagamento por causa da cotação informada
+ *
+ * @param {Object} res - Resposta Express
+ * @param {PaymentError} error - Erro de QuoteManager.getValidQuote
+ */
+function sendQuoteError(res, error) {
+  logger.warn(`Pagamento recusado: ${error.message}`);
+  res.status(422).json({
+    error: 'Cotação inválida',
+    code: error.code,
+    message: error.message,
+    details: error.details
+  });
+}
+
+/**
+ * Responde a recusa de um destino incompatível com a rede (ou de rede não detectada)
+ *
+ * @param {Object} res - Resposta Express
+ * @param {PaymentError} error - Erro de PaymentProcessor.resolveNetwork
+ */
+function sendNetworkError(res, error) {
+  logger.warn(`Pagamento recusado: ${error.message}`);
+  res.status(400).json({
+    error: error.code === 'network_not_detected' ? 'Rede não detectada' : 'Rede incompatível com o destino',
+    code: error.code,
+    message: error.message,
+    network: error.details.network,
+    detectedType: error.details.detectedType
+  });
+}
+
+// ========== ENDPOINT: LOTE DE PAGAMENTOS ==========
+/**
+ * Monta o resultado de um item do lote a partir do registro do pagamento
+ *
+ * @param {Object} payment - Registro do pagamento
+ * @param {Object} [extra={}] - Campos adicionais (ex: idempotent)
+ * @returns {Object} Resultado do item
+ */
+function formatBatchItemResult(payment, extra = {}) {
+  return {
+    transactionId: payment.transactionId,
+    paymentId: payment.id,
+    success: !['error', 'rejected', 'cancelled'].includes(payment.status),
+    status: payment.status,
+    transactionHash: payment.transactionHash || null,
+    fee: payment.networkFee ?? null,
+    code: payment.errorCode || null,
+    error: payment.error || null,
+    ...extra
+  };
+}
+
+/**
+ * POST /payments/batch - Envia vários pagamentos em uma chamada
+ * 
+ * Cada item tem os mesmos campos do POST /payment e é tratado como um
+ * pagamento individual (idempotência pelo transactionId, aprovação manual,
+ * política de limites e webhooks). Os pagamentos on-chain são enviados em
+ * uma transação SendMany do LND e os Liquid em uma transação sendmany do
+ * Elements; os Lightning são pagos com concorrência limitada
+ * (batch.lightningConcurrency). A resposta (202) é enviada assim que os
+ * itens são gravados e traz o paymentId e o status de cada item, na ordem
+ * recebida; a execução segue em segundo plano pela fila de pagamentos e o
+ * resultado chega pelos webhooks e pelo GET /payment/:id.
+ */
+app.post('/payments/batch', requireScope('payments:write'), validate('POST /payments/batch'), async (req, res) => {
+  try {
+    const { items } = req.body;
+    const batchId = req.body.batchId || uuidv4();
+    
+    // ========== VALIDAÇÃO DO LOTE ==========
+    const webhookUrls = [req.body.webhookUrl, ...items.map(item => item.webhookUrl)].filter(Boolean);
+    if (webhookUrls.some(url => !paymentProcessor.webhookManager.validateWebhookUrl(url))) {
+      return res.status(400).json({ 
+        error: 'URL de webhook inválida',
+        message: 'A URL deve ser um endereço HTTP ou HTTPS válido'
+      });
+    }
+    
+    const transactionIds = items.map(item => item.transactionId);
+    const repeated = transactionIds.filter((transactionId, index) => transactionIds.indexOf(transactionId) !== index);
+    if (repeated.length > 0) {
+      return res.status(400).json({
+        error: 'Requisição inválida',
+        message: `transactionId repetido no lote: ${[...new Set(repeated)].join(', ')}`
+      });
+    }
+    
+    // Rede de cada item ("auto" ou conferida com o destino); itens incompatíveis não são registrados
+    const networks = items.map(item => {
+      try {
+        return { network: paymentProcessor.resolveNetwork(item.network, item.destinationWallet) };
+      } catch (error) {
+        if (error instanceof PaymentError) {
+          return { error };
+        }
+        throw error;
+      }
+    });
+    
+    // Estado dos backends (health.requireReadyBackends), consultado antes das gravações abaixo
+    const backendStatus = {};
+    if (healthMonitor.isRequiredForPayments()) {
+      for (const { network } of networks.filter(resolved => resolved.network)) {
+        if (!backendStatus[network]) {
+          backendStatus[network] = await healthMonitor.getNetworkStatus(network);
+        }
+      }
+    }
+    
+    // ========== REGISTRO DOS ITENS ==========
+    // Sem await neste laço: a verificação de idempotência e a gravação de cada item
+    // acontecem sem que outra requisição consiga registrar o mesmo transactionId no meio
+    const entries = [];
+    const toProcess = [];
+    const approvals = [];
+    
+    for (const [index, item] of items.entries()) {
+      const { network, error: networkError } = networks[index];
+      if (networkError) {
+        entries.push({
+          result: {
+            transactionId: item.transactionId,
+            paymentId: null,
+            success: false,
+            status: null,
+            code: networkError.code,
+            error: networkError.message,
+            detectedType: networkError.details.detectedType
+          }
+        });
+        continue;
+      }
+      
+      const paymentRequest = {
+        id: uuidv4(),
+        transactionId: item.transactionId,
+        username: item.username,
+        amount: item.amount,
+        network,
+        destinationWallet: item.destinationWallet,
+        webhookUrl: item.webhookUrl || req.body.webhookUrl || null,
+        webhookSecret: item.webhookSecret || req.body.webhookSecret || null,
+        idempotencyKey: null,
+        feeLimits: extractFeeLimits(item),
+        batch: { id: batchId },
+        timestamp: new Date().toISOString(),
+        status: 'pending'
+      };
+      
+      const existing = paymentProcessor.findExistingPayment(item.transactionId);
+      if (existing) {
+        entries.push({
+          result: paymentProcessor.isSamePaymentRequest(existing, paymentRequest)
+            ? formatBatchItemResult(existing, { idempotent: true })
+            : formatBatchItemResult(existing, {
+              success: false,
+              code: 'idempotency_conflict',
+              error: 'Já existe um pagamento registrado para este transactionId com dados diferentes'
+            })
+        });
+        continue;
+      }
+      
+      const status = backendStatus[network];
+      if (status && !status.ready) {
+        entries.push({
+          result: {
+            transactionId: item.transactionId,
+            paymentId: null,
+            success: false,
+            status: null,
+            code: 'backend_not_ready',
+            error: status.error
+          }
+        });
+        continue;
+      }
+      
+      // requestApproval grava o status antes do webhook; o webhook segue em segundo plano
+      const approvalReasons = approvalManager.evaluate(paymentRequest);
+      if (approvalReasons.length > 0) {
+        approvals.push(approvalManager.requestApproval(paymentRequest, approvalReasons));
+      } else {
+        toProcess.push(paymentRequest);
+      }
+      entries.push({ payment: paymentRequest });
+    }
+    
+    logger.info(`Lote ${batchId} aceito: ${items.length} item(ns), ${toProcess.length} para execução, ${approvals.length} aguardando aprovação`);
+    
+    // ========== EXECUÇÃO EM SEGUNDO PLANO ==========
+    // A fila respeita o limite de pagamentos simultâneos e envia os itens juntos
+    paymentQueue.dispatchBatch(batchId, toProcess);
+    Promise.all(approvals).catch(error => {
+      logger.error(`Lote ${batchId}: erro ao solicitar aprovações: ${error.message}`);
+    });
+    
+    // ========== RESPOSTA ==========
+    const results = entries.map(entry => entry.result || formatBatchItemResult(entry.payment));
+    const summary = {};
+    for (const result of results) {
+      const key = result.status || result.code;
+      summary[key] = (summary[key] || 0) + 1;
+    }
+    
+    res.status(202).json({
+      success: true,
+      batchId,
+      summary,
+      results
+    });
+    
+  } catch (error) {
+    logger.error(`Erro ao processar lote de pagamentos: ${error.message}`, error);
+    res.status(500).json({ 
+      error: 'Erro interno do servidor',
+      message: error.message 
+    });
+  }
+});
+
+// ========== ENDPOINTS: STATUS DE UM PAGAMENTO ==========
+/**
+ * Monta a visão pública do status de um pagamento
+ *
+ * Não expõe o webhookSecret informado pelo cliente.
+ *
+ * @param {Object} payment - Registro do pagamento
+ * @returns {Object} Status, dados da transação e histórico do pagamento
+ */
+function formatPaymentStatus(payment) {
+  return {
+    id: payment.id,
+    transactionId: payment.transactionId,
+    username: payment.username,
+    amount: payment.amount,
+    network: payment.network,
+    destinationWallet: payment.destinationWallet,
+    status: payment.status,
+    transactionHash: payment.transactionHash || null,
+    fee: payment.networkFee ?? null,
+    error: payment.error || null,
+    errorCode: payment.errorCode || null,
+    createdAt: payment.timestamp,
+    completedAt: payment.completedAt || null,
+    errorAt: payment.errorAt || null,
+    confirmations: payment.confirmations ?? null,
+    blockHash: payment.blockHash || null,
+    confirmedAt: payment.confirmedAt || null,
+    droppedAt: payment.droppedAt || null,
+    lightning: payment.lightning || null,
+    preimage: payment.preimage || null,
+    route: payment.route || null,
+    approvalReasons: payment.approvalReasons || [],
+    approvals: payment.approvals || [],
+    reviewReason: payment.reviewReason || null,
+    batch: payment.batch || null,
+    feeLimits: payment.feeLimits || null,
+    quote: payment.quote || null,
+    history: payment.history || [],
+    webhookDeliveries: payment.webhookDeliveries || []
+  };
+}
+
+/**
+ * GET /payment/by-transaction/:transactionId - Status pelo ID do sistema cliente
+ * 
+ * Retorna o registro mais recente do pagamento associado ao transactionId
+ * (enviado, com erro ou ainda pendente).
+ */
+app.get('/payment/by-transaction/:transactionId', requireScope('payments:read'), validate('GET /payment/by-transaction/:transactionId'), (req, res) => {
+  try {
+    const payment = paymentProcessor.findExistingPayment(req.params.transactionId);
+    
+    if (!payment) {
+      return res.status(404).json({ 
+        error: 'Pagamento não encontrado',
+        transactionId: req.params.transactionId
+      });
+    }
+    
+    res.json({
+      success: true,
+      payment: formatPaymentStatus(payment)
+    });
+    
+  } catch (error) {
+    logger.error(`Erro ao consultar pagamento: ${error.message}`, error);
+    res.status(500).json({ 
+      error: 'Erro ao consultar pagamento',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * GET /payment/:id - Status pelo paymentId retornado no POST /payment
+ * 
+ * Retorna status atual (pending, queued, processing, sent, error, confirmed),
+ * hash da transação, taxa, erro, histórico de transições e webhooks enviados.
+ */
+app.get('/payment/:id', requireScope('payments:read'), validate('GET /payment/:id'), (req, res) => {
+  try {
+    const payment = paymentProcessor.getPaymentById(req.params.id);
+    
+    if (!payment) {
+      return res.status(404).json({ 
+        error: 'Pagamento não encontrado',
+        paymentId: req.params.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      payment: formatPaymentStatus(payment)
+    });
+    
+  } catch (error) {
+    logger.error(`Erro ao consultar pagamento: ${error.message}`, error);
+    res.status(500).json({ 
+      error: 'Erro ao consultar pagamento',
+      message: error.message 
+    });
+  }
+});
+
+// ========== ENDPOINTS: NOVA TENTATIVA E CANCELAMENTO ==========
+/**
+ * Converte erros do ApprovalManager e do PaymentActions em respostas HTTP
+ *
+ * @param {Object} res - Resposta do Express
+ * @param {Error} error - Erro lançado pela ação
+ * @param {string} action - Ação executada (para log e mensagem)
+ */
+function sendPaymentActionError(res, error, action) {
+  const statusByCode = {
+    payment_not_found: 404,
+    invalid_payment_state: 409,
+    duplicate_approver: 409,
+    payment_already_sent: 409,
+    payment_needs_review: 409,
+    payment_in_flight: 409,
+    backend_unavailable: 503
+  };
+
+  if (statusByCode[error.code]) {
+    return res.status(statusByCode[error.code]).json({
+      error: `Não foi possível ${action} o pagamento`,
+      code: error.code,
+      message: error.message,
+      details: error.details || {}
+    });
+  }
+
+  logger.error(`Erro ao ${action} pagamento: ${error.message}`, error);
+  res.status(500).json({ 
+    error: `Erro ao ${action} pagamento`,
+    message: error.message 
+  });
+}
+
+/**
+ * POST /payment/:id/retry - Executa novamente um pagamento com erro
+ * 
+ * Antes da nova tentativa o envio anterior é conferido no nó. Se os fundos
+ * saíram, o pagamento é registrado como enviado e a resposta é 409
+ * (payment_already_sent); se o resultado for incerto, 409 (payment_needs_review).
+ */
+app.post('/payment/:id/retry', requireScope('payments:write'), validate('POST /payment/:id/retry'), async (req, res) => {
+  try {
+    const payment = await paymentActions.retry(req.params.id, req.apiClient.name);
+    
+    res.status(202).json({
+      success: true,
+      message: 'Nova tentativa de pagamento iniciada',
+      payment: formatPaymentStatus(payment)
+    });
+    
+  } catch (error) {
+    sendPaymentActionError(res, error, 'tentar novamente');
+  }
+});
+
+/**
+ * POST /payment/:id/cancel - Cancela um pagamento enfileirado ou aguardando aprovação
+ * 
+ * Body opcional: { "reason": "..." }. O pagamento é encerrado com status
+ * cancelled e o webhook payment.cancelled é enviado.
+ */
+app.post('/payment/:id/cancel', requireScope('payments:write'), validate('POST /payment/:id/cancel'), async (req, res) => {
+  try {
+    const payment = await paymentActions.cancel(req.params.id, req.apiClient.name, req.body.reason || null);
+    
+    res.json({
+      success: true,
+      message: 'Pagamento cancelado',
+      payment: formatPaymentStatus(payment)
+    });
+    
+  } catch (error) {
+    sendPaymentActionError(res, error, 'cancelar');
+  }
+});
+
+// ========== ENDPOINTS: RECEBIMENTOS (INVOICES LIGHTNING) ==========
+/**
+ * POST /invoice - Emite uma invoice Lightning para recebimento
+ * 
+ * Body: { reference, amount, memo?, expiry?, webhookUrl?, webhookSecret?, username? }
+ * 
+ * A reference é a chave de idempotência: repetir a requisição com os mesmos
+ * dados retorna a invoice já emitida (idempotent: true); com dados
+ * diferentes a resposta é 409. Quando a invoice é paga ou expira, os
+ * webhooks invoice.paid ou invoice.expired são enviados para o webhookUrl.
+ */
+app.post('/invoice', requireScope('invoices:write'), validate('POST /invoice'), async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await invoiceManager.createInvoice(req.body);
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        logger.warn(`Invoice recusada para a referência ${req.body.reference}: ${error.message}`);
+        return res.status(409).json({
+          error: 'Conflito de idempotência',
+          code: error.code,
+          message: error.message,
+          details: error.details || {}
+        });
+      }
+      throw error;
+    }
+    
+    const { invoice, created } = result;
+    res.status(created ? 201 : 200).json({
+      success: true,
+      invoiceId: invoice.id,
+      reference: invoice.reference,
+      paymentRequest: invoice.paymentRequest,
+      paymentHash: invoice.paymentHash,
+      amount: invoice.amount,
+      status: invoice.status,
+      expiresAt: invoice.expiresAt,
+      ...(created ? {} : { idempotent: true })
+    });
+    
+  } catch (error) {
+    logger.error(`Erro ao emitir invoice: ${error.message}`, error);
+    res.status(500).json({ 
+      error: 'Erro interno do servidor',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * GET /invoice/:id - Status de uma invoice emitida pelo POST /invoice
+ * 
+ * Retorna status (open, paid ou expired), valor recebido, datas, histórico
+ * e webhooks enviados.
+ */
+app.get('/invoice/:id', requireScope('invoices:read'), validate('GET /invoice/:id'), (req, res) => {
+  try {
+    const invoice = paymentProcessor.storage.getInvoiceById(req.params.id);
+    
+    if (!invoice) {
+      return res.status(404).json({ 
+        error: 'Invoice não encontrada',
+        invoiceId: req.params.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      invoice: invoiceManager.formatInvoice(invoice)
+    });
+    
+  } catch (error) {
+    logger.error(`Erro ao consultar invoice: ${error.message}`, error);
+    res.status(500).json({ 
+      error: 'Erro ao consultar invoice',
+      message: error.message 
+    });
+  }
+});
+
+// ========== ENDPOINTS: RECEBIMENTOS (ENDEREÇOS DE DEPÓSITO) ==========
+/**
+ * POST /address/:network - Emite um endereço de depósito
+ * 
+ * Body: { reference, username, label?, addressType?, webhookUrl?, webhookSecret? }
+ * 
+ * A reference é a chave de idempotência, como no POST /invoice. Cada
+ * depósito recebido no endereço gera os webhooks deposit.detected (0
+ * confirmações) e deposit.confirmed (deposits.confirmations da rede).
+ */
+app.post('/address/:network', requireScope('deposits:write'), validate('POST /address/:network'), async (req, res) => {
+  try {
+    const network = req.params.network;
+    if (req.body.addressType && network !== 'bitcoin') {
+      return res.status(400).json({
+        error: 'Requisição inválida',
+        details: [{ location: 'body', field: 'addressType', message: 'disponível apenas na rede bitcoin' }]
+      });
+    }
+    
+    let result;
+    try {
+      result = await depositManager.createAddress({ ...req.body, network });
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        logger.warn(`Endereço recusado para a referência ${req.body.reference}: ${error.message}`);
+        return res.status(409).json({
+          error: 'Conflito de idempotência',
+          code: error.code,
+          message: error.message,
+          details: error.details || {}
+        });
+      }
+      throw error;
+    }
+    
+    const { depositAddress, created } = result;
+    res.status(created ? 201 : 200).json({
+      success: true,
+      addressId: depositAddress.id,
+      network: depositAddress.network,
+      address: depositAddress.address,
+      reference: depositAddress.reference,
+      username: depositAddress.username,
+      label: depositAddress.label,
+      requiredConfirmations: depositAddress.requiredConfirmations,
+      ...(created ? {} : { idempotent: true })
+    });
+    
+  } catch (error) {
+    logger.error(`Erro ao emitir endereço de depósito: ${error.message}`, error);
+    res.status(500).json({ 
+      error: 'Erro interno do servidor',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * GET /address/:id - Endereço de depósito com os depósitos recebidos
+ * 
+ * Cada depósito traz txid, vout, valor, confirmações e status (detected ou
+ * confirmed).
+ */
+app.get('/address/:id', requireScope('deposits:read'), validate('GET /address/:id'), (req, res) => {
+  try {
+    const depositAddress = paymentProcessor.storage.getDepositAddressById(req.params.id);
+    
+    if (!depositAddress) {
+      return res.status(404).json({ 
+        error: 'Endereço não encontrado',
+        addressId: req.params.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      address: depositManager.formatDepositAddress(depositAddress)
+    });
+    
+  } catch (error) {
+    logger.error(`Erro ao consultar endereço de depósito: ${error.message}`, error);
+    res.status(500).json({ 
+      error: 'Erro ao consultar endereço de depósito',
+      message: error.message 
+    });
+  }
+});
+
 // ========== ENDPOINT: CONSULTAR SALDOS ==========
 /**
  * GET /balance/:network - Consulta saldos por rede específica
@@ -220,18 +1200,10 @@ app.post('/payment', async (req, res) => {
  * - Monitoramento de liquidez
  * - Dashboards de administração
  */
-app.get('/balance/:network', async (req, res) => {
+app.get('/balance/:network', requireScope('balances:read'), validate('GET /balance/:network'), async (req, res) => {
   try {
     const { network } = req.params;
     
-    // Validar rede suportada
-    if (!['bitcoin', 'lightning', 'liquid', 'all'].includes(network.toLowerCase())) {
-      return res.status(400).json({ 
-        error: 'Rede não suportada',
-        supported: ['bitcoin', 'lightning', 'liquid', 'all']
-      });
-    }
-    
     if (network.toLowerCase() === 'all') {
       // ========== CONSULTAR TODOS OS SALDOS ==========
       // Obter saldos de todas as redes em paralelo para melhor performance
@@ -260,39 +1232,109 @@ app.get('/balance/:network', async (req, res) => {
   }
 });
 
+// ========== FILTROS E PAGINAÇÃO DAS LISTAGENS ==========
+/**
+ * Converte os parâmetros de query das listagens em opções de consulta do armazenamento
+ * 
+ * PARÂMETROS ACEITOS:
+ * - network, username: filtros exatos
+ * - status: um ou mais status separados por vírgula
+ * - from, to: intervalo de datas (ISO 8601) sobre o timestamp da requisição
+ * - minAmount, maxAmount: intervalo de valor em satoshis
+ * - sortBy: timestamp (padrão) ou amount
+ * - order: desc (padrão) ou asc
+ * - limit: tamanho da página (padrão e máximo em config.listing)
+ * - cursor: valor de nextCursor retornado pela página anterior
+ * 
+ * Tipos, enums e faixas já foram validados pelo schema da rota (listQuery em
+ * api-schemas.js); aqui restam as datas e o cursor.
+ * 
+ * @param {Object} query - req.query do Express
+ * @returns {Object} { options } ou { error } com a mensagem de validação
+ */
+function parseListQuery(query) {
+  const listingConfig = config.listing || {};
+  const options = {
+    network: query.network,
+    username: query.username,
+    status: query.status ? query.status.split(',').map(status => status.trim()).filter(Boolean) : undefined,
+    minAmount: query.minAmount,
+    maxAmount: query.maxAmount,
+    sortBy: query.sortBy || 'timestamp',
+    order: query.order || 'desc',
+    limit: query.limit || listingConfig.defaultLimit || 100,
+    cursor: query.cursor
+  };
+  
+  for (const field of ['from', 'to']) {
+    if (query[field] !== undefined) {
+      const date = new Date(query[field]);
+      if (isNaN(date.getTime())) {
+        return { error: `Parâmetro ${field} deve ser uma data ISO 8601 válida` };
+      }
+      options[field] = date;
+    }
+  }
+  
+  if (options.cursor) {
+    try {
+      paymentProcessor.storage.validateCursor(options.cursor);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+  
+  return { options };
+}
+
+/**
+ * Responde uma listagem de pagamentos
+ * 
+ * Os registros seguem o formato do armazenamento, sem o webhookSecret
+ * informado pelo cliente (como em formatPaymentStatus).
+ * 
+ * @param {Object} req - Requisição do Express
+ * @param {Object} res - Resposta do Express
+ * @param {string} view - pending (não concluídos) ou sent (concluídos)
+ */
+function sendPaymentList(req, res, view) {
+  const { options, error } = parseListQuery(req.query);
+  if (error) {
+    return res.status(400).json({ 
+      error: 'Parâmetros de consulta inválidos',
+      message: error
+    });
+  }
+  
+  const result = paymentProcessor.storage.queryPayments(view, options);
+  
+  res.json({
+    success: true,
+    count: result.payments.length,
+    total: result.total,
+    nextCursor: result.nextCursor,
+    payments: result.payments.map(({ webhookSecret, ...payment }) => payment)
+  });
+}
+
 // ========== ENDPOINT: LISTAR TRANSAÇÕES PENDENTES ==========
 /**
- * GET /pending - Lista todas as transações pendentes
+ * GET /pending - Lista transações pendentes
+ * 
+ * Retorna as requisições que ainda não foram concluídas.
+ * Inclui tanto requisições aguardando processamento quanto aquelas que
+ * falharam ou foram recusadas, cada uma pelo seu registro vigente.
  * 
- * Lê o diretório payment_req/ e retorna todas as requisições que ainda
- * não foram processadas. Inclui tanto requisições aguardando processamento
- * quanto aquelas que falharam (arquivos com prefixo ERROR_).
+ * Aceita filtros, ordenação e paginação por cursor (ver parseListQuery).
  * 
  * Útil para:
  * - Monitoramento de fila de processamento
  * - Debugging de transações presas
  * - Relatórios administrativos
  */
-app.get('/pending', (req, res) => {
+app.get('/pending', requireScope('payments:read'), validate('GET /pending'), (req, res) => {
   try {
-    const pendingDir = path.join(__dirname, '../payment_req');
-    const files = fs.readdirSync(pendingDir);
-    
-    // Processar cada arquivo e extrair dados da requisição
-    const pendingPayments = files.map(file => {
-      const filepath = path.join(pendingDir, file);
-      const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
-      return {
-        filename: file,
-        ...data
-      };
-    });
-    
-    res.json({
-      success: true,
-      count: pendingPayments.length,
-      payments: pendingPayments
-    });
+    sendPaymentList(req, res, 'pending');
     
   } catch (error) {
     logger.error(`Erro ao listar pagamentos pendentes: ${error.message}`, error);
@@ -303,26 +1345,10 @@ app.get('/pending', (req, res) => {
   }
 });
 
-// Endpoint para listar transações enviadas
-app.get('/sent', (req, res) => {
+// Endpoint para listar transações enviadas (mesmos filtros e paginação do /pending)
+app.get('/sent', requireScope('payments:read'), validate('GET /sent'), (req, res) => {
   try {
-    const sentDir = path.join(__dirname, '../payment_sent');
-    const files = fs.readdirSync(sentDir);
-    
-    const sentPayments = files.map(file => {
-      const filepath = path.join(sentDir, file);
-      const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
-      return {
-        filename: file,
-        ...data
-      };
-    });
-    
-    res.json({
-      success: true,
-      count: sentPayments.length,
-      payments: sentPayments
-    });
+    sendPaymentList(req, res, 'sent');
     
   } catch (error) {
     logger.error(`Erro ao listar pagamentos enviados: ${error.message}`, error);
@@ -334,7 +1360,7 @@ app.get('/sent', (req, res) => {
 });
 
 // Endpoint para consultar todos os saldos
-app.get('/balance/all', async (req, res) => {
+app.get('/balance/all', requireScope('balances:read'), validate('GET /balance/all'), async (req, res) => {
   try {
     const allBalances = await paymentProcessor.getAllBalances();
     
@@ -353,17 +1379,10 @@ app.get('/balance/all', async (req, res) => {
 });
 
 // Endpoint para testar webhook
-app.post('/webhook/test', async (req, res) => {
+app.post('/webhook/test', requireScope('webhooks:admin'), validate('POST /webhook/test'), async (req, res) => {
   try {
     const { webhookUrl, webhookSecret } = req.body;
     
-    if (!webhookUrl) {
-      return res.status(400).json({ 
-        error: 'URL de webhook é obrigatória',
-        required: ['webhookUrl']
-      });
-    }
-    
     // Validar URL do webhook
     if (!paymentProcessor.webhookManager.validateWebhookUrl(webhookUrl)) {
       return res.status(400).json({ 
@@ -393,7 +1412,7 @@ app.post('/webhook/test', async (req, res) => {
 });
 
 // Endpoint para obter estatísticas de webhook
-app.get('/webhook/stats', (req, res) => {
+app.get('/webhook/stats', requireScope('webhooks:admin'), validate('GET /webhook/stats'), (req, res) => {
   try {
     const stats = paymentProcessor.webhookManager.getWebhookStats();
     
@@ -412,7 +1431,7 @@ app.get('/webhook/stats', (req, res) => {
 });
 
 // Endpoint para reprocessar webhooks falhados
-app.post('/webhook/retry-failed', async (req, res) => {
+app.post('/webhook/retry-failed', requireScope('webhooks:admin'), validate('POST /webhook/retry-failed'), async (req, res) => {
   try {
     logger.info('Iniciando reprocessamento de webhooks falhados');
     
@@ -433,8 +1452,97 @@ app.post('/webhook/retry-failed', async (req, res) => {
   }
 });
 
+// Endpoint para obter estado da fila de pagamentos assíncronos
+app.get('/queue/stats', requireScope('payments:read'), validate('GET /queue/stats'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      stats: paymentQueue.getStats()
+    });
+    
+  } catch (error) {
+    logger.error(`Erro ao obter estatísticas da fila: ${error.message}`, error);
+    res.status(500).json({ 
+      error: 'Erro ao obter estatísticas da fila',
+      message: error.message 
+    });
+  }
+});
+
+// ========== ENDPOINTS: APROVAÇÃO MANUAL ==========
+/**
+ * GET /admin/approvals - Lista pagamentos aguardando aprovação (mais antigos primeiro)
+ */
+app.get('/admin/approvals', requireScope('payments:approve'), validate('GET /admin/approvals'), (req, res) => {
+  try {
+    const payments = approvalManager.getPendingApprovals();
+    
+    res.json({
+      success: true,
+      requiredApprovals: approvalManager.getRequiredApprovals(),
+      count: payments.length,
+      payments: payments.map(formatPaymentStatus)
+    });
+    
+  } catch (error) {
+    logger.error(`Erro ao listar aprovações: ${error.message}`, error);
+    res.status(500).json({ 
+      error: 'Erro ao listar aprovações',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * POST /admin/approvals/:id/approve - Aprova um pagamento
+ * 
+ * Body opcional: { "comment": "..." }. O aprovador é o cliente da API
+ * autenticado; com requiredApprovals = 2 outro cliente precisa aprovar.
+ */
+app.post('/admin/approvals/:id/approve', requireScope('payments:approve'), validate('POST /admin/approvals/:id/approve'), async (req, res) => {
+  try {
+    const payment = await approvalManager.approve(
+      req.params.id,
+      req.apiClient.name,
+      req.body.comment || null
+    );
+    
+    res.json({
+      success: true,
+      message: payment.status === 'awaiting_approval'
+        ? 'Aprovação registrada, aguardando aprovações restantes'
+        : 'Pagamento aprovado e liberado para execução',
+      payment: formatPaymentStatus(payment)
+    });
+    
+  } catch (error) {
+    sendPaymentActionError(res, error, 'aprovar');
+  }
+});
+
+/**
+ * POST /admin/approvals/:id/reject - Reprova um pagamento
+ * 
+ * Body obrigatório: { "reason": "..." }. O pagamento é encerrado com
+ * status rejected e o webhook payment.rejected é enviado.
+ */
+app.post('/admin/approvals/:id/reject', requireScope('payments:approve'), validate('POST /admin/approvals/:id/reject'), async (req, res) => {
+  try {
+    const payment = await approvalManager.reject(req.params.id, req.apiClient.name, req.body.reason);
+    
+    res.json({
+      success: true,
+      message: 'Pagamento reprovado',
+      payment: formatPaymentStatus(payment)
+    });
+    
+  } catch (error) {
+    sendPaymentActionError(res, error, 'reprovar');
+  }
+});
+
 // Endpoint original para consultar todos os saldos (manter compatibilidade)
-app.get('/balance/all', async (req, res) => {
+app.get('/balance/all', requireScope('balances:read'), validate('GET /balance/all'), async (req, res) => {
   try {
     const allBalances = await paymentProcessor.getAllBalances();
     
@@ -452,21 +1560,216 @@ app.get('/balance/all', async (req, res) => {
   }
 });
 
+// ========== ENDPOINT: DOCUMENTO OPENAPI ==========
+/**
+ * GET /openapi.json - Especificação OpenAPI 3 da API
+ * 
+ * Gerada a partir dos mesmos schemas usados na validação das requisições,
+ * para geração de código cliente. Exige autenticação, mas nenhum escopo.
+ */
+const openApiDocument = buildOpenApiDocument();
+app.get('/openapi.json', validate('GET /openapi.json'), (req, res) => {
+  res.json(openApiDocument);
+});
+
+// ========== ENDPOINTS: SAÚDE E PRONTIDÃO ==========
+/**
+ * Acessíveis sem chave a partir de health.allowedIps (sondas do orquestrador).
+ * De outros IPs exigem apenas um cliente autenticado, sem escopo específico.
+ */
+const healthConfig = config.health || {};
+authManager.allowAnonymous('/health/live', healthConfig.allowedIps, []);
+authManager.allowAnonymous('/health/ready', healthConfig.allowedIps, []);
+
+/**
+ * GET /health/live - Processo ativo (não consulta os nós)
+ */
+app.get('/health/live', validate('GET /health/live'), (req, res) => {
+  res.json({
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /health/ready - Prontidão dos backends
+ * 
+ * Consulta LND (GetInfo) e Elements (getblockchaininfo/getwalletinfo) e
+ * informa cada backend separadamente. Responde 503 se algum não estiver pronto.
+ */
+app.get('/health/ready', validate('GET /health/ready'), async (req, res) => {
+  try {
+    const status = await healthMonitor.check();
+    
+    res.status(status.ready ? 200 : 503).json({
+      status: status.ready ? 'ready' : 'not_ready',
+      ...status
+    });
+    
+  } catch (error) {
+    logger.error(`Erro ao verificar prontidão: ${error.message}`, error);
+    res.status(503).json({ 
+      status: 'not_ready',
+      error: 'Erro ao verificar prontidão',
+      message: error.message 
+    });
+  }
+});
+
+// ========== ENDPOINT: MÉTRICAS PROMETHEUS ==========
+/**
+ * GET /metrics - Métricas no formato texto do Prometheus
+ * 
+ * Exige o escopo metrics:read ou um IP listado em metrics.allowedIps
+ * (acesso sem chave, para o Prometheus). Os saldos são consultados nos nós
+ * no máximo a cada metrics.balanceRefreshSeconds para não sobrecarregá-los.
+ */
+const metricsConfig = config.metrics || {};
+if (metricsConfig.enabled !== false) {
+  authManager.allowAnonymous('/metrics', metricsConfig.allowedIps, ['metrics:read']);
+  
+  let balancesRefreshedAt = 0;
+  app.get('/metrics', requireScope('metrics:read'), validate('GET /metrics'), async (req, res) => {
+    try {
+      const refreshMs = (metricsConfig.balanceRefreshSeconds || 60) * 1000;
+      if (Date.now() - balancesRefreshedAt >= refreshMs) {
+        balancesRefreshedAt = Date.now();
+        try {
+          metrics.setBalances(await paymentProcessor.getAllBalances());
+        } catch (error) {
+          logger.warn(`Métricas: saldos não atualizados - ${error.message}`);
+        }
+      }
+      
+      res.set('Content-Type', metrics.register.contentType);
+      res.send(await metrics.register.metrics());
+      
+    } catch (error) {
+      logger.error(`Erro ao gerar métricas: ${error.message}`, error);
+      res.status(500).json({ 
+        error: 'Erro ao gerar métricas',
+        message: error.message 
+      });
+    }
+  });
+}
+
+// ========== TRATAMENTO DE JSON INVÁLIDO ==========
+// Body que não é JSON válido recebe o mesmo formato de erro da validação por schema
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Requisição inválida',
+      details: [{ location: 'body', field: 'body', message: 'JSON inválido' }]
+    });
+  }
+  next(error);
+});
+
 // Iniciar servidor
-app.listen(config.server.port, () => {
+const server = app.listen(config.server.port, () => {
   logger.info(`Servidor iniciado na porta ${config.server.port}`);
   console.log(`🚀 Servidor rodando na porta ${config.server.port}`);
   console.log(`📝 Logs sendo salvos em: ${config.logging.filename}`);
   console.log(`🔑 IPs permitidos: ${config.server.allowedIps.join(', ')}`);
+  
+  // Iniciar worker da fila assíncrona (retoma requisições enfileiradas antes do reinício)
+  paymentQueue.start();
+  
+  // Conferir no LND/Elements os pagamentos interrompidos pela última parada
+  paymentRecovery.start();
+  
+  // Acompanhar as invoices emitidas (retoma do último settle_index gravado)
+  invoiceManager.start();
+  
+  // Acompanhar os depósitos nos endereços emitidos (recupera os recebidos com o servidor parado)
+  depositManager.start();
+  
+  // Acompanhar as confirmações dos pagamentos on-chain e Liquid enviados
+  confirmationTracker.start();
+  
+  // Acompanhar os pagamentos Lightning em andamento (inclusive os encontrados pela reconciliação)
+  lightningTracker.start();
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  logger.info('Servidor sendo encerrado...');
-  process.exit(0);
-});
+// ========== DESLIGAMENTO GRACIOSO ==========
+/**
+ * Aguarda os pagamentos, webhooks e a reconciliação em andamento terminarem
+ * 
+ * @param {number} timeoutMs - Prazo máximo de espera
+ * @returns {Promise<boolean>} true se tudo terminou dentro do prazo
+ */
+async function waitForDrain(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  
+  while (Date.now() < deadline) {
+    const activePayments = paymentProcessor.activePayments.size;
+    const activeWebhooks = paymentProcessor.webhookManager.activeSends;
+    const backgroundIdle = !paymentRecovery.active && !confirmationTracker.active && !lightningTracker.active;
+    if (activePayments === 0 && activeWebhooks === 0 && backgroundIdle) {
+      return true;
+    }
+    
+    logger.info(`Desligamento: aguardando ${activePayments} pagamento(s) e ${activeWebhooks} webhook(s)`);
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  
+  return false;
+}
 
-process.on('SIGTERM', () => {
-  logger.info('Servidor sendo encerrado...');
+/**
+ * Encerra o servidor em etapas
+ * 
+ * 1. Para de aceitar requisições (HTTP, fila assíncrona e reconciliação)
+ * 2. Aguarda, até shutdown.timeoutMs, os processPayment e webhooks em andamento
+ * 3. Marca como in_flight os pagamentos que ainda não terminaram
+ * 4. Fecha o canal gRPC e o servidor HTTP
+ * 
+ * Um segundo sinal durante o desligamento encerra o processo imediatamente.
+ * 
+ * @param {string} signal - Sinal recebido (SIGINT ou SIGTERM)
+ */
+async function gracefulShutdown(signal) {
+  if (shuttingDown) {
+    logger.warn(`${signal} recebido novamente, encerrando imediatamente`);
+    process.exit(1);
+  }
+  
+  shuttingDown = true;
+  const timeoutMs = (config.shutdown || {}).timeoutMs || 30000;
+  logger.info(`${signal} recebido, servidor sendo encerrado (prazo de ${timeoutMs}ms)...`);
+  
+  // ========== ETAPA 1: PARAR DE ACEITAR REQUISIÇÕES ==========
+  paymentQueue.stop();
+  paymentRecovery.stop();
+  invoiceManager.stop();
+  depositManager.stop();
+  confirmationTracker.stop();
+  lightningTracker.stop();
+  const serverClosed = new Promise(resolve => server.close(resolve));
+  server.closeIdleConnections();
+  
+  // ========== ETAPA 2: AGUARDAR PAGAMENTOS E WEBHOOKS ==========
+  const drained = await waitForDrain(timeoutMs);
+  
+  // ========== ETAPA 3: MARCAR PAGAMENTOS INTERROMPIDOS ==========
+  if (!drained) {
+    const marked = paymentProcessor.markInFlight();
+    logger.warn(`Prazo de desligamento esgotado: ${marked.length} pagamento(s) marcado(s) como in_flight`, {
+      paymentIds: marked,
+      pendingWebhooks: paymentProcessor.webhookManager.activeSends
+    });
+  }
+  
+  // ========== ETAPA 4: FECHAR CONEXÕES ==========
+  paymentProcessor.close();
+  server.closeAllConnections();
+  await serverClosed;
+  
+  logger.info('Servidor encerrado');
   process.exit(0);
-});
+}
+
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
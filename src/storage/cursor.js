@@ -0,0 +1,42 @@
+/**
+ * CURSOR.JS - Cursores de Paginação das Listagens
+ *
+ * Formato comum aos backends de armazenamento: o cursor guarda o valor de
+ * ordenação (timestamp ou valor) e a chave de desempate do último item da
+ * página (nome do arquivo no backend de arquivos, ID no SQLite).
+ */
+
+/**
+ * Codifica a posição do último item da página em um cursor opaco
+ *
+ * @param {number} value - Valor de ordenação do item
+ * @param {string} key - Chave de desempate do item
+ * @returns {string} Cursor em base64url
+ */
+function encodeCursor(value, key) {
+  return Buffer.from(JSON.stringify({ v: value, f: key })).toString('base64url');
+}
+
+/**
+ * Decodifica um cursor gerado por encodeCursor()
+ *
+ * @param {string} cursor - Cursor recebido do cliente
+ * @returns {Object} Posição { value, key }
+ * @throws {Error} Se o cursor for inválido
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof decoded.v !== 'number' || typeof decoded.f !== 'string') {
+      throw new Error('formato inesperado');
+    }
+    return { value: decoded.v, key: decoded.f };
+  } catch (error) {
+    throw new Error(`Cursor inválido: ${error.message}`);
+  }
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
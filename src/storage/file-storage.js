@@ -0,0 +1,588 @@
+/**
+ * FILE-STORAGE.JS - Armazenamento em Arquivos JSON
+ *
+ * Backend original do servidor, mantido para instalações que ainda usam os
+ * diretórios e para quem prefere inspecionar os pagamentos com um editor:
+ * - payment_req/{id}_{transactionId}.json: requisições ainda não concluídas
+ * - payment_req/ERROR_{id}_{transactionId}.json: pagamentos com erro, recusados ou cancelados
+ * - payment_sent/{id}_{transactionId}.json: pagamentos enviados
+ * - webhook_failures/failed_webhook_*.json: webhooks para reprocessamento
+ * - invoices/{id}_{paymentHash}.json: invoices Lightning emitidas
+ * - sync_state.json: posição dos streams do nó (ex: último settle_index)
+ * - deposit_addresses/{id}.json: endereços de depósito e depósitos recebidos
+ *
+ * ESTADO DE UM PAGAMENTO:
+ * O mesmo pagamento pode ter mais de um arquivo. Vale o registro mais
+ * avançado: payment_sent/, depois o arquivo ERROR_ e por último a
+ * requisição original em payment_req/.
+ *
+ * GRAVAÇÃO:
+ * Cada arquivo é escrito em um temporário (.tmp) e renomeado, então um
+ * leitor nunca encontra um JSON pela metade. A conclusão grava em
+ * payment_sent/ antes de remover de payment_req/: uma queda entre os dois
+ * passos deixa os dois arquivos, e o de payment_sent/ prevalece.
+ *
+ * As leituras passam pelo PaymentIndex (cache em memória por mtime + tamanho).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PaymentIndex = require('./payment-index');
+
+class FileStorage {
+  /**
+   * Construtor do FileStorage
+   *
+   * @param {Object} options - Configuração do backend
+   * @param {string} [options.baseDir] - Diretório dos arquivos (padrão: raiz do projeto)
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(options, logger) {
+    this.logger = logger;
+    this.baseDir = options.baseDir || path.join(__dirname, '../..');
+    this.requestDir = path.join(this.baseDir, 'payment_req');
+    this.sentDir = path.join(this.baseDir, 'payment_sent');
+    this.failedWebhooksDir = path.join(this.baseDir, 'webhook_failures');
+    this.invoicesDir = path.join(this.baseDir, 'invoices');
+    this.syncStateFile = path.join(this.baseDir, 'sync_state.json');
+    this.depositAddressesDir = path.join(this.baseDir, 'deposit_addresses');
+
+    for (const dir of [this.requestDir, this.sentDir]) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Índice em memória dos arquivos de payment_req/ e payment_sent/
+    this.paymentIndex = new PaymentIndex(this.baseDir, logger);
+  }
+
+  /**
+   * Monta o nome do arquivo de um pagamento
+   *
+   * @param {Object} payment - Registro do pagamento
+   * @param {string} [prefix=''] - Prefixo (ERROR_ para pagamentos com erro)
+   * @returns {string} {prefixo}{id}_{transactionId}.json
+   */
+  getFilename(payment, prefix = '') {
+    return `${prefix}${payment.id}_${payment.transactionId}.json`;
+  }
+
+  /**
+   * Grava um JSON de forma atômica (temporário + rename)
+   *
+   * @param {string} filepath - Caminho final do arquivo
+   * @param {Object} data - Conteúdo
+   */
+  writeJson(filepath, data) {
+    const tempPath = `${filepath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filepath);
+  }
+
+  // ========== PAGAMENTOS ==========
+
+  /**
+   * Salva (ou atualiza) um pagamento
+   *
+   * Pagamentos ainda não concluídos ficam em payment_req/; um pagamento já
+   * concluído é atualizado no próprio arquivo de payment_sent/.
+   *
+   * @param {Object} payment - Registro do pagamento
+   * @returns {string} Caminho do arquivo gravado
+   */
+  savePayment(payment) {
+    const sentFile = path.join(this.sentDir, this.getFilename(payment));
+    const filepath = fs.existsSync(sentFile)
+      ? sentFile
+      : path.join(this.requestDir, this.getFilename(payment));
+    this.writeJson(filepath, payment);
+    return filepath;
+  }
+
+  /**
+   * Registra um pagamento concluído: grava em payment_sent/ e remove de payment_req/
+   *
+   * @param {Object} payment - Registro do pagamento com os dados da transação
+   */
+  completePayment(payment) {
+    const sourceFile = path.join(this.requestDir, this.getFilename(payment));
+    const destFile = path.join(this.sentDir, this.getFilename(payment));
+
+    this.writeJson(destFile, payment);
+
+    // Remover o arquivo original para evitar reprocessamento
+    if (fs.existsSync(sourceFile)) {
+      fs.unlinkSync(sourceFile);
+    }
+
+    this.logger.info(`Arquivo movido: ${sourceFile} -> ${destFile}`);
+  }
+
+  /**
+   * Registra um pagamento com erro, recusado ou cancelado (arquivo ERROR_ em payment_req/)
+   *
+   * @param {Object} payment - Registro do pagamento com os dados do erro
+   */
+  failPayment(payment) {
+    const errorFile = path.join(this.requestDir, this.getFilename(payment, 'ERROR_'));
+    this.writeJson(errorFile, payment);
+    this.logger.info(`Arquivo de erro salvo: ${errorFile}`);
+  }
+
+  /**
+   * Reabre um pagamento com erro para nova tentativa
+   *
+   * Grava a requisição original em payment_req/ e remove o arquivo ERROR_,
+   * que de outra forma continuaria prevalecendo sobre ela.
+   *
+   * @param {Object} payment - Registro do pagamento com o novo status
+   * @returns {string} Caminho do arquivo gravado
+   */
+  reopenPayment(payment) {
+    const filepath = path.join(this.requestDir, this.getFilename(payment));
+    const errorFile = path.join(this.requestDir, this.getFilename(payment, 'ERROR_'));
+
+    this.writeJson(filepath, payment);
+    if (fs.existsSync(errorFile)) {
+      fs.unlinkSync(errorFile);
+    }
+
+    return filepath;
+  }
+
+  /**
+   * Procura um pagamento pelo ID interno
+   *
+   * @param {string} paymentId - ID gerado pelo servidor
+   * @returns {Object|null} Registro mais recente (cópia) ou null
+   */
+  getPaymentById(paymentId) {
+    return this.findPaymentRecord(
+      file => file.startsWith(`${paymentId}_`) || file.startsWith(`ERROR_${paymentId}_`),
+      data => data.id === paymentId
+    );
+  }
+
+  /**
+   * Procura o pagamento registrado para um transactionId ou Idempotency-Key
+   *
+   * @param {string} transactionId - ID da transação no sistema cliente
+   * @param {string} [idempotencyKey=null] - Valor do header Idempotency-Key
+   * @returns {Object|null} Registro mais recente (cópia) ou null
+   */
+  findByTransaction(transactionId, idempotencyKey = null) {
+    // Sem Idempotency-Key basta olhar o nome do arquivo ({id}_{transactionId}.json)
+    return this.findPaymentRecord(
+      file => Boolean(idempotencyKey) || file.endsWith(`_${transactionId}.json`),
+      data => data.transactionId === transactionId ||
+        Boolean(idempotencyKey && data.idempotencyKey === idempotencyKey)
+    );
+  }
+
+  /**
+   * Procura o registro mais recente de um pagamento nos diretórios
+   *
+   * Percorre os diretórios na ordem do estado mais avançado para o menos
+   * avançado: payment_sent/, depois arquivos ERROR_ de payment_req/ e por
+   * último a requisição original em payment_req/.
+   *
+   * @param {Function} fileFilter - Filtro pelo nome do arquivo
+   * @param {Function} matcher - Recebe os dados do arquivo e retorna true se for o pagamento procurado
+   * @returns {Object|null} Dados do pagamento (cópia) ou null
+   */
+  findPaymentRecord(fileFilter, matcher) {
+    const directories = ['payment_sent', 'payment_req'];
+    let pendingMatch = null;
+
+    for (const directory of directories) {
+      const records = this.paymentIndex.list(directory).filter(record => fileFilter(record.filename));
+
+      for (const { filename, data } of records) {
+        if (!matcher(data)) {
+          continue;
+        }
+
+        // Arquivos ERROR_ têm prioridade sobre a requisição original que fica em payment_req/
+        if (directory === 'payment_sent' || filename.startsWith('ERROR_')) {
+          return this.paymentIndex.clone(data);
+        }
+        pendingMatch = pendingMatch || data;
+      }
+    }
+
+    return pendingMatch ? this.paymentIndex.clone(pendingMatch) : null;
+  }
+
+  /**
+   * Resolve o registro vigente de cada pagamento
+   *
+   * @returns {Map<string, {filename: string, data: Object, completed: boolean}>} paymentId -> registro (somente leitura)
+   */
+  resolvePayments() {
+    const resolved = new Map();
+
+    for (const { filename, data } of this.paymentIndex.list('payment_req')) {
+      if (!resolved.has(data.id) || filename.startsWith('ERROR_')) {
+        resolved.set(data.id, { filename, data, completed: false });
+      }
+    }
+
+    for (const { filename, data } of this.paymentIndex.list('payment_sent')) {
+      resolved.set(data.id, { filename, data, completed: true });
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Lista pagamentos pelo estado vigente, em ordem de chegada
+   *
+   * @param {Object} [filters={}] - Filtros (status, username, network, destinationWallet, from, to...)
+   * @returns {Array<Object>} Pagamentos (cópias)
+   */
+  listPayments(filters = {}) {
+    const payments = [];
+    for (const { data } of this.resolvePayments().values()) {
+      if (this.paymentIndex.matchesFilters(data, filters)) {
+        payments.push(this.paymentIndex.clone(data));
+      }
+    }
+    return payments.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  /**
+   * Consulta paginada das listagens GET /pending e GET /sent
+   *
+   * Usa o registro vigente de cada pagamento (resolvePayments), como o
+   * backend SQLite: pending lista os não concluídos (a requisição original
+   * ou o arquivo ERROR_, nunca os dois) e sent os de payment_sent/.
+   *
+   * @param {string} view - pending ou sent
+   * @param {Object} options - Filtros, ordenação e cursor (ver PaymentIndex.query)
+   * @returns {Object} { payments, total, nextCursor }
+   */
+  queryPayments(view, options) {
+    const completed = view === 'sent';
+    const records = Array.from(this.resolvePayments().values())
+      .filter(record => record.completed === completed);
+    return this.paymentIndex.query(records, options);
+  }
+
+  /**
+   * Valida um cursor de paginação recebido do cliente
+   *
+   * @param {string} cursor - Cursor retornado por queryPayments()
+   * @throws {Error} Se o cursor for inválido
+   */
+  validateCursor(cursor) {
+    this.paymentIndex.decodeCursor(cursor);
+  }
+
+  /**
+   * Exporta todos os pagamentos com o estado vigente (usado na migração)
+   *
+   * @returns {Array<{payment: Object, completed: boolean}>} Pagamentos (cópias)
+   */
+  exportPayments() {
+    return Array.from(this.resolvePayments().values())
+      .map(({ data, completed }) => ({ payment: this.paymentIndex.clone(data), completed }));
+  }
+
+  // ========== WEBHOOKS FALHADOS ==========
+
+  /**
+   * Salva um webhook que esgotou as tentativas
+   *
+   * @param {Object} failure - { webhookUrl, payload, error, failedAt, attempts }
+   * @returns {string} Identificador do registro (caminho do arquivo)
+   */
+  saveFailedWebhook(failure) {
+    fs.mkdirSync(this.failedWebhooksDir, { recursive: true });
+    const filename = `failed_webhook_${Date.now()}_${failure.payload.data?.transactionId || failure.payload.data?.reference || 'unknown'}.json`;
+    const filepath = path.join(this.failedWebhooksDir, filename);
+    this.writeJson(filepath, failure);
+    return filepath;
+  }
+
+  /**
+   * Lista os webhooks falhados em ordem de gravação
+   *
+   * Arquivos ilegíveis são ignorados com aviso no log.
+   *
+   * @returns {Array<Object>} Registros { id, webhookUrl, payload, error, failedAt, attempts }
+   */
+  listFailedWebhooks() {
+    if (!fs.existsSync(this.failedWebhooksDir)) {
+      return [];
+    }
+
+    const failures = [];
+    const files = fs.readdirSync(this.failedWebhooksDir)
+      .filter(file => file.startsWith('failed_webhook_') && file.endsWith('.json'))
+      .sort();
+
+    for (const file of files) {
+      const filepath = path.join(this.failedWebhooksDir, file);
+      try {
+        failures.push({ id: filepath, ...JSON.parse(fs.readFileSync(filepath, 'utf8')) });
+      } catch (error) {
+        this.logger.error(`Erro ao ler webhook falhado ${file}: ${error.message}`);
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Remove um webhook falhado (após reenvio com sucesso)
+   *
+   * @param {string} id - Identificador retornado por listFailedWebhooks()
+   */
+  deleteFailedWebhook(id) {
+    if (fs.existsSync(id)) {
+      fs.unlinkSync(id);
+    }
+  }
+
+  /**
+   * Conta os webhooks falhados aguardando reprocessamento
+   *
+   * @returns {number} Quantidade de registros
+   */
+  countFailedWebhooks() {
+    if (!fs.existsSync(this.failedWebhooksDir)) {
+      return 0;
+    }
+    return fs.readdirSync(this.failedWebhooksDir)
+      .filter(file => file.startsWith('failed_webhook_') && file.endsWith('.json'))
+      .length;
+  }
+
+  // ========== INVOICES ==========
+
+  /**
+   * Salva (ou atualiza) uma invoice
+   *
+   * @param {Object} invoice - Registro da invoice
+   * @returns {string} Caminho do arquivo gravado
+   */
+  saveInvoice(invoice) {
+    fs.mkdirSync(this.invoicesDir, { recursive: true });
+    const filepath = path.join(this.invoicesDir, `${invoice.id}_${invoice.paymentHash}.json`);
+    this.writeJson(filepath, invoice);
+    return filepath;
+  }
+
+  /**
+   * Lê as invoices de invoices/ que passam no filtro de nome
+   *
+   * Arquivos ilegíveis são ignorados com aviso no log.
+   *
+   * @param {Function} [fileFilter] - Filtro pelo nome do arquivo
+   * @returns {Array<Object>} Invoices
+   */
+  readInvoices(fileFilter = () => true) {
+    if (!fs.existsSync(this.invoicesDir)) {
+      return [];
+    }
+
+    const invoices = [];
+    const files = fs.readdirSync(this.invoicesDir)
+      .filter(file => file.endsWith('.json') && fileFilter(file));
+
+    for (const file of files) {
+      try {
+        invoices.push(JSON.parse(fs.readFileSync(path.join(this.invoicesDir, file), 'utf8')));
+      } catch (error) {
+        this.logger.error(`Erro ao ler invoice ${file}: ${error.message}`);
+      }
+    }
+
+    return invoices;
+  }
+
+  /**
+   * Procura uma invoice pelo ID interno
+   *
+   * @param {string} invoiceId - ID gerado pelo servidor
+   * @returns {Object|null} Registro da invoice ou null
+   */
+  getInvoiceById(invoiceId) {
+    return this.readInvoices(file => file.startsWith(`${invoiceId}_`))[0] || null;
+  }
+
+  /**
+   * Procura uma invoice pelo payment hash (hex)
+   *
+   * @param {string} paymentHash - Hash do pagamento
+   * @returns {Object|null} Registro da invoice ou null
+   */
+  findInvoiceByHash(paymentHash) {
+    return this.readInvoices(file => file.endsWith(`_${paymentHash}.json`))[0] || null;
+  }
+
+  /**
+   * Procura a invoice emitida para uma referência do cliente
+   *
+   * @param {string} reference - Referência informada no POST /invoice
+   * @returns {Object|null} Registro mais recente ou null
+   */
+  findInvoiceByReference(reference) {
+    const matches = this.readInvoices()
+      .filter(invoice => invoice.reference === reference)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return matches[0] || null;
+  }
+
+  /**
+   * Lista as invoices com um status, da que expira primeiro para a última
+   *
+   * @param {string} status - open, paid ou expired
+   * @returns {Array<Object>} Invoices
+   */
+  listInvoicesByStatus(status) {
+    return this.readInvoices()
+      .filter(invoice => invoice.status === status)
+      .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt));
+  }
+
+  // ========== ENDEREÇOS DE DEPÓSITO ==========
+
+  /**
+   * Salva (ou atualiza) um endereço de depósito com os depósitos recebidos
+   *
+   * @param {Object} depositAddress - Registro do endereço
+   * @returns {string} Caminho do arquivo gravado
+   */
+  saveDepositAddress(depositAddress) {
+    fs.mkdirSync(this.depositAddressesDir, { recursive: true });
+    const filepath = path.join(this.depositAddressesDir, `${depositAddress.id}.json`);
+    this.writeJson(filepath, depositAddress);
+    return filepath;
+  }
+
+  /**
+   * Lê todos os endereços de depósito
+   *
+   * Arquivos ilegíveis são ignorados com aviso no log.
+   *
+   * @returns {Array<Object>} Endereços em ordem de criação
+   */
+  readDepositAddresses() {
+    if (!fs.existsSync(this.depositAddressesDir)) {
+      return [];
+    }
+
+    const depositAddresses = [];
+    const files = fs.readdirSync(this.depositAddressesDir).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      try {
+        depositAddresses.push(JSON.parse(fs.readFileSync(path.join(this.depositAddressesDir, file), 'utf8')));
+      } catch (error) {
+        this.logger.error(`Erro ao ler endereço de depósito ${file}: ${error.message}`);
+      }
+    }
+
+    return depositAddresses.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Procura um endereço de depósito pelo ID interno
+   *
+   * @param {string} addressId - ID gerado pelo servidor
+   * @returns {Object|null} Registro do endereço ou null (também se o arquivo estiver corrompido)
+   */
+  getDepositAddressById(addressId) {
+    const filepath = path.join(this.depositAddressesDir, `${path.basename(addressId)}.json`);
+    if (!fs.existsSync(filepath)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (error) {
+      this.logger.warn(`Arquivo de endereço de depósito ilegível ignorado: ${path.basename(filepath)} - ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Procura um endereço de depósito pelo endereço (ou sua forma não confidencial)
+   *
+   * @param {string} address - Endereço visto na transação
+   * @returns {Object|null} Registro do endereço ou null
+   */
+  findDepositAddress(address) {
+    return this.readDepositAddresses().find(depositAddress =>
+      depositAddress.address === address || depositAddress.unconfidentialAddress === address) || null;
+  }
+
+  /**
+   * Procura o endereço de depósito emitido para uma referência do cliente
+   *
+   * @param {string} reference - Referência informada no POST /address/:network
+   * @returns {Object|null} Registro mais recente ou null
+   */
+  findDepositAddressByReference(reference) {
+    const matches = this.readDepositAddresses().filter(depositAddress => depositAddress.reference === reference);
+    return matches[matches.length - 1] || null;
+  }
+
+  /**
+   * Lista os endereços de uma rede com depósitos aguardando confirmação
+   *
+   * @param {string} network - bitcoin ou liquid
+   * @returns {Array<Object>} Endereços
+   */
+  listDepositAddressesWithPending(network) {
+    return this.readDepositAddresses().filter(depositAddress =>
+      depositAddress.network === network &&
+      (depositAddress.deposits || []).some(deposit => deposit.status === 'detected'));
+  }
+
+  // ========== ESTADO DOS STREAMS ==========
+
+  /**
+   * Lê todas as posições gravadas em sync_state.json
+   *
+   * @returns {Object} Chave -> valor
+   */
+  readSyncState() {
+    if (!fs.existsSync(this.syncStateFile)) {
+      return {};
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this.syncStateFile, 'utf8'));
+    } catch (error) {
+      this.logger.error(`Erro ao ler ${this.syncStateFile}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Lê a posição gravada de um stream do nó
+   *
+   * @param {string} key - Nome do estado (ex: lnd.invoices.settleIndex)
+   * @returns {*} Valor gravado ou null
+   */
+  getSyncState(key) {
+    const value = this.readSyncState()[key];
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Grava a posição de um stream do nó
+   *
+   * @param {string} key - Nome do estado
+   * @param {*} value - Valor serializável em JSON
+   */
+  saveSyncState(key, value) {
+    this.writeJson(this.syncStateFile, { ...this.readSyncState(), [key]: value });
+  }
+
+  /**
+   * Encerra o backend (nada a fazer para arquivos)
+   */
+  close() {}
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,58 @@
+/**
+ * STORAGE - Armazenamento Persistente dos Pagamentos
+ *
+ * Escolhe o backend configurado em config.storage.backend:
+ * - sqlite: banco SQLite embutido (config.storage.sqlite.filename)
+ * - file: arquivos JSON em payment_req/, payment_sent/, webhook_failures/,
+ *   invoices/ e deposit_addresses/
+ *   (padrão quando a seção storage não existe na configuração)
+ *
+ * INTERFACE COMUM DOS BACKENDS:
+ * - savePayment(payment) / completePayment(payment) / failPayment(payment)
+ * - reopenPayment(payment): pagamento com erro volta a ser executado
+ * - getPaymentById(id) / findByTransaction(transactionId, idempotencyKey)
+ * - listPayments(filters): estado atual de cada pagamento, em ordem de chegada
+ * - queryPayments(view, options) / validateCursor(cursor): listagens paginadas
+ * - saveFailedWebhook / listFailedWebhooks / deleteFailedWebhook / countFailedWebhooks
+ * - saveInvoice / getInvoiceById / findInvoiceByHash / findInvoiceByReference
+ * - listInvoicesByStatus(status): invoices open, paid ou expired
+ * - saveDepositAddress / getDepositAddressById / findDepositAddress / findDepositAddressByReference
+ * - listDepositAddressesWithPending(network): endereços com depósitos não confirmados
+ * - getSyncState(key) / saveSyncState(key, value): posição dos streams do nó
+ * - close()
+ *
+ * Os registros retornados são cópias e podem ser alterados livremente.
+ */
+
+const config = require('../../config/config.json');
+const FileStorage = require('./file-storage');
+const SqliteStorage = require('./sqlite-storage');
+
+/**
+ * Cria o backend de armazenamento configurado
+ *
+ * @param {Object} logger - Instância do logger Winston
+ * @returns {FileStorage|SqliteStorage} Backend de armazenamento
+ * @throws {Error} Se o backend configurado não existir
+ */
+function createStorage(logger) {
+  const storageConfig = config.storage || {};
+  const backend = storageConfig.backend || 'file';
+
+  switch (backend) {
+    case 'file':
+      return new FileStorage({}, logger);
+
+    case 'sqlite':
+      return new SqliteStorage(storageConfig.sqlite || {}, logger);
+
+    default:
+      throw new Error(`Backend de armazenamento não suportado: ${backend}`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  FileStorage,
+  SqliteStorage
+};
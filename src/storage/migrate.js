@@ -0,0 +1,77 @@
+/**
+ * MIGRATE.JS - Migração dos Arquivos JSON para o SQLite
+ *
+ * Importa de uma vez os diretórios payment_req/, payment_sent/,
+ * webhook_failures/, invoices/ e deposit_addresses/ e o sync_state.json
+ * para o banco configurado em config.storage.sqlite.
+ *
+ * USO (com o servidor parado):
+ *   npm run migrate:sqlite
+ *
+ * - Cada pagamento é importado com o estado vigente (payment_sent/ >
+ *   ERROR_ > requisição original)
+ * - A importação é transacional e pode ser repetida: registros já
+ *   existentes no banco são mantidos
+ * - Os arquivos não são apagados; depois de conferir o resultado, altere
+ *   storage.backend para "sqlite" e mova os diretórios para o backup
+ */
+
+const config = require('../../config/config.json');
+const FileStorage = require('./file-storage');
+const SqliteStorage = require('./sqlite-storage');
+
+/**
+ * Executa a migração
+ *
+ * @param {Object} logger - Logger com info/warn/error (console no uso por linha de comando)
+ * @returns {Object} Resumo { payments, paymentsImported, webhookFailures, webhookFailuresImported, invoices, invoicesImported, depositAddresses, depositAddressesImported }
+ */
+function migrate(logger) {
+  const fileStorage = new FileStorage({}, logger);
+  const sqliteStorage = new SqliteStorage((config.storage || {}).sqlite || {}, logger);
+
+  try {
+    const payments = fileStorage.exportPayments();
+    const failures = fileStorage.listFailedWebhooks();
+    const invoices = fileStorage.readInvoices();
+    const depositAddresses = fileStorage.readDepositAddresses();
+
+    const summary = {
+      payments: payments.length,
+      paymentsImported: sqliteStorage.importPayments(payments),
+      webhookFailures: failures.length,
+      webhookFailuresImported: sqliteStorage.importFailedWebhooks(failures),
+      invoices: invoices.length,
+      invoicesImported: sqliteStorage.importInvoices(invoices),
+      depositAddresses: depositAddresses.length,
+      depositAddressesImported: sqliteStorage.importDepositAddresses(depositAddresses)
+    };
+
+    // Posição dos streams: mantém a do banco se já existir
+    for (const [key, value] of Object.entries(fileStorage.readSyncState())) {
+      if (sqliteStorage.getSyncState(key) === null) {
+        sqliteStorage.saveSyncState(key, value);
+      }
+    }
+
+    logger.info(`Pagamentos: ${summary.paymentsImported} importados de ${summary.payments} encontrados`);
+    logger.info(`Webhooks falhados: ${summary.webhookFailuresImported} importados de ${summary.webhookFailures} encontrados`);
+    logger.info(`Invoices: ${summary.invoicesImported} importadas de ${summary.invoices} encontradas`);
+    logger.info(`Endereços de depósito: ${summary.depositAddressesImported} importados de ${summary.depositAddresses} encontrados`);
+    return summary;
+  } finally {
+    sqliteStorage.close();
+  }
+}
+
+if (require.main === module) {
+  try {
+    migrate(console);
+    console.info('Migração concluída. Configure storage.backend = "sqlite" para usar o banco.');
+  } catch (error) {
+    console.error(`Erro na migração: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = migrate;
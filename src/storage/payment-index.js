@@ -0,0 +1,259 @@
+/**
+ * PAYMENT-INDEX.JS - Índice em Memória dos Arquivos de Pagamento
+ *
+ * Mantém em memória o conteúdo dos arquivos JSON de payment_req/ e
+ * payment_sent/ para que listagens e buscas não precisem ler e fazer
+ * JSON.parse de milhares de arquivos a cada requisição.
+ *
+ * FUNCIONAMENTO:
+ * - Cada arquivo é identificado pela assinatura mtime + tamanho
+ * - Em cada consulta apenas arquivos novos ou alterados são relidos
+ * - Arquivos removidos do disco saem do índice automaticamente
+ * - Arquivos corrompidos são ignorados (com aviso no log) sem quebrar a consulta
+ *
+ * CONSULTAS SUPORTADAS:
+ * - Filtros por rede, usuário, status, intervalo de datas e valor
+ * - Ordenação por data ou valor (asc/desc)
+ * - Paginação por cursor (estável mesmo com novos arquivos chegando)
+ *
+ * Os objetos retornados pelo índice são compartilhados com o cache e
+ * devem ser tratados como somente leitura (use clone() antes de alterar).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { encodeCursor, decodeCursor } = require('./cursor');
+
+class PaymentIndex {
+  /**
+   * Construtor do índice
+   *
+   * @param {string} baseDir - Raiz do projeto (onde ficam payment_req/ e payment_sent/)
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(baseDir, logger) {
+    this.logger = logger;
+    this.baseDir = baseDir;
+
+    // directory -> Map(filename -> { signature, data })
+    this.entries = new Map();
+  }
+
+  /**
+   * Sincroniza o índice de um diretório com o disco
+   *
+   * Faz apenas readdir + stat; arquivos só são relidos quando a
+   * assinatura (mtime + tamanho) mudou desde a última leitura.
+   *
+   * @param {string} directory - Diretório relativo à raiz do projeto (ex: 'payment_req')
+   * @returns {Map} Entradas atualizadas do diretório
+   */
+  refresh(directory) {
+    const dirPath = path.join(this.baseDir, directory);
+    let cache = this.entries.get(directory);
+    if (!cache) {
+      cache = new Map();
+      this.entries.set(directory, cache);
+    }
+
+    if (!fs.existsSync(dirPath)) {
+      cache.clear();
+      return cache;
+    }
+
+    const files = new Set(fs.readdirSync(dirPath).filter(file => file.endsWith('.json')));
+
+    // Remover do índice arquivos que não existem mais
+    for (const filename of cache.keys()) {
+      if (!files.has(filename)) {
+        cache.delete(filename);
+      }
+    }
+
+    for (const filename of files) {
+      const filepath = path.join(dirPath, filename);
+      let stats;
+      try {
+        stats = fs.statSync(filepath);
+      } catch (error) {
+        // Arquivo removido entre o readdir e o stat
+        cache.delete(filename);
+        continue;
+      }
+
+      const signature = `${stats.mtimeMs}:${stats.size}`;
+      const cached = cache.get(filename);
+      if (cached && cached.signature === signature) {
+        continue;
+      }
+
+      let data = null;
+      try {
+        data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+      } catch (error) {
+        this.logger.warn(`Arquivo de pagamento ilegível ignorado: ${filename} - ${error.message}`);
+      }
+
+      // Arquivos corrompidos ficam no índice com data = null para não serem relidos a cada consulta
+      cache.set(filename, { signature, data });
+    }
+
+    return cache;
+  }
+
+  /**
+   * Lista todos os registros válidos de um diretório
+   *
+   * @param {string} directory - Diretório relativo à raiz do projeto
+   * @returns {Array<{filename: string, data: Object}>} Registros (somente leitura)
+   */
+  list(directory) {
+    const records = [];
+    for (const [filename, entry] of this.refresh(directory)) {
+      if (entry.data) {
+        records.push({ filename, data: entry.data });
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Cria uma cópia profunda de um registro para alteração segura
+   *
+   * @param {Object} data - Registro retornado pelo índice
+   * @returns {Object} Cópia independente do cache
+   */
+  clone(data) {
+    return JSON.parse(JSON.stringify(data));
+  }
+
+  /**
+   * Consulta registros com filtros, ordenação e paginação
+   *
+   * @param {Array<{filename: string, data: Object}>} records - Registros de list() (ou o estado vigente de cada pagamento)
+   * @param {Object} [options={}] - Opções da consulta
+   * @param {string} [options.network] - Filtrar por rede
+   * @param {string} [options.username] - Filtrar por usuário
+   * @param {string} [options.destinationWallet] - Filtrar por destino
+   * @param {Array<string>} [options.status] - Filtrar por um ou mais status
+   * @param {Date} [options.from] - Data mínima (timestamp da requisição)
+   * @param {Date} [options.to] - Data máxima (timestamp da requisição)
+   * @param {number} [options.minAmount] - Valor mínimo em satoshis
+   * @param {number} [options.maxAmount] - Valor máximo em satoshis
+   * @param {string} [options.sortBy='timestamp'] - Campo de ordenação (timestamp ou amount)
+   * @param {string} [options.order='desc'] - Direção da ordenação (asc ou desc)
+   * @param {number} [options.limit=100] - Tamanho da página
+   * @param {string} [options.cursor] - Cursor retornado pela página anterior
+   * @returns {Object} { payments, total, nextCursor }
+   */
+  query(records, options = {}) {
+    const sortBy = options.sortBy || 'timestamp';
+    const direction = options.order === 'asc' ? 1 : -1;
+    const limit = options.limit || 100;
+
+    const sortValue = record => (sortBy === 'amount'
+      ? Number(record.data.amount) || 0
+      : new Date(record.data.timestamp).getTime() || 0);
+
+    // Desempate pelo nome do arquivo para manter a ordem estável entre páginas
+    const compare = (a, b) => {
+      const diff = a.value - b.value;
+      if (diff !== 0) {
+        return diff * direction;
+      }
+      return a.filename < b.filename ? -direction : (a.filename > b.filename ? direction : 0);
+    };
+
+    const matches = records
+      .filter(record => this.matchesFilters(record.data, options))
+      .map(record => ({ ...record, value: sortValue(record) }))
+      .sort(compare);
+
+    let start = 0;
+    if (options.cursor) {
+      const cursor = this.decodeCursor(options.cursor);
+      start = matches.findIndex(record => compare(record, cursor) > 0);
+      if (start === -1) {
+        start = matches.length;
+      }
+    }
+
+    const page = matches.slice(start, start + limit);
+    const hasMore = start + limit < matches.length;
+    const last = page[page.length - 1];
+
+    return {
+      payments: page.map(record => ({ filename: record.filename, ...record.data })),
+      total: matches.length,
+      nextCursor: hasMore && last ? this.encodeCursor(last) : null
+    };
+  }
+
+  /**
+   * Verifica se um registro atende aos filtros da consulta
+   *
+   * @param {Object} data - Registro do pagamento
+   * @param {Object} options - Filtros (ver query())
+   * @returns {boolean} true se o registro atende a todos os filtros
+   */
+  matchesFilters(data, options) {
+    if (options.network && data.network !== options.network) {
+      return false;
+    }
+
+    if (options.username && data.username !== options.username) {
+      return false;
+    }
+
+    if (options.destinationWallet && data.destinationWallet !== options.destinationWallet) {
+      return false;
+    }
+
+    if (options.status && options.status.length > 0 && !options.status.includes(data.status)) {
+      return false;
+    }
+
+    const timestamp = new Date(data.timestamp).getTime();
+    if (options.from && !(timestamp >= options.from.getTime())) {
+      return false;
+    }
+
+    if (options.to && !(timestamp <= options.to.getTime())) {
+      return false;
+    }
+
+    if (options.minAmount !== undefined && !(data.amount >= options.minAmount)) {
+      return false;
+    }
+
+    if (options.maxAmount !== undefined && !(data.amount <= options.maxAmount)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Codifica a posição do último item da página em um cursor opaco
+   *
+   * @param {Object} record - Último registro da página
+   * @returns {string} Cursor em base64url
+   */
+  encodeCursor(record) {
+    return encodeCursor(record.value, record.filename);
+  }
+
+  /**
+   * Decodifica um cursor gerado por encodeCursor()
+   *
+   * @param {string} cursor - Cursor recebido do cliente
+   * @returns {Object} Posição { value, filename }
+   * @throws {Error} Se o cursor for inválido
+   */
+  decodeCursor(cursor) {
+    const { value, key } = decodeCursor(cursor);
+    return { value, filename: key };
+  }
+}
+
+module.exports = PaymentIndex;
@@ -0,0 +1,750 @@
+/**
+ * SQLITE-STORAGE.JS - Armazenamento em Banco SQLite Embutido
+ *
+ * Guarda cada pagamento em uma única linha (o registro completo em JSON na
+ * coluna data, mais colunas indexadas para as consultas). Uma mudança de
+ * estado é uma única escrita transacional: não existe a janela entre gravar
+ * em payment_sent/ e remover de payment_req/ do backend de arquivos.
+ *
+ * TABELAS:
+ * - payments: um registro por pagamento
+ *   índices em transaction_id, idempotency_key, username, status,
+ *   created_at e completed_at
+ * - webhook_failures: webhooks que esgotaram as tentativas
+ * - invoices: invoices Lightning emitidas pelo POST /invoice
+ *   índices em reference, payment_hash e (status, expires_at)
+ * - sync_state: posição dos streams do nó (ex: último settle_index)
+ * - deposit_addresses: endereços de depósito do POST /address/:network, com
+ *   os depósitos recebidos; índices em address, unconfidential_address,
+ *   reference e (network, pending_deposits)
+ *
+ * DATAS:
+ * created_at e completed_at são guardados em milissegundos (epoch) para
+ * ordenar e filtrar por intervalo sem depender do formato do texto.
+ *
+ * O banco usa journal WAL com synchronous FULL: leituras não bloqueiam a
+ * escrita e um pagamento confirmado não se perde em queda de energia.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { encodeCursor, decodeCursor } = require('./cursor');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS payments (
+    id TEXT PRIMARY KEY,
+    transaction_id TEXT NOT NULL,
+    idempotency_key TEXT,
+    username TEXT,
+    network TEXT,
+    destination_wallet TEXT,
+    amount INTEGER,
+    status TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    completed_at INTEGER,
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_payments_transaction_id ON payments (transaction_id);
+  CREATE INDEX IF NOT EXISTS idx_payments_idempotency_key ON payments (idempotency_key);
+  CREATE INDEX IF NOT EXISTS idx_payments_username ON payments (username, created_at);
+  CREATE INDEX IF NOT EXISTS idx_payments_status ON payments (status, created_at);
+  CREATE INDEX IF NOT EXISTS idx_payments_created_at ON payments (created_at);
+  CREATE INDEX IF NOT EXISTS idx_payments_completed_at ON payments (completed_at);
+
+  CREATE TABLE IF NOT EXISTS webhook_failures (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_url TEXT NOT NULL,
+    event TEXT,
+    transaction_id TEXT,
+    failed_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS invoices (
+    id TEXT PRIMARY KEY,
+    reference TEXT NOT NULL,
+    payment_hash TEXT NOT NULL,
+    status TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_invoices_reference ON invoices (reference);
+  CREATE INDEX IF NOT EXISTS idx_invoices_payment_hash ON invoices (payment_hash);
+  CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices (status, expires_at);
+
+  CREATE TABLE IF NOT EXISTS deposit_addresses (
+    id TEXT PRIMARY KEY,
+    network TEXT NOT NULL,
+    address TEXT NOT NULL,
+    unconfidential_address TEXT,
+    reference TEXT NOT NULL,
+    username TEXT NOT NULL,
+    pending_deposits INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_deposit_addresses_address ON deposit_addresses (address);
+  CREATE INDEX IF NOT EXISTS idx_deposit_addresses_unconfidential ON deposit_addresses (unconfidential_address);
+  CREATE INDEX IF NOT EXISTS idx_deposit_addresses_reference ON deposit_addresses (reference);
+  CREATE INDEX IF NOT EXISTS idx_deposit_addresses_pending ON deposit_addresses (network, pending_deposits);
+
+  CREATE TABLE IF NOT EXISTS sync_state (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+`;
+
+class SqliteStorage {
+  /**
+   * Construtor do SqliteStorage
+   *
+   * @param {Object} options - Configuração (config.storage.sqlite)
+   * @param {string} [options.filename='data/payments.db'] - Arquivo do banco, relativo à raiz do projeto
+   * @param {Object} logger - Instância do logger Winston
+   */
+  constructor(options, logger) {
+    this.logger = logger;
+    this.filename = path.resolve(path.join(__dirname, '../..'), options.filename || 'data/payments.db');
+
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = FULL');
+    this.db.pragma(`busy_timeout = ${options.busyTimeoutMs || 5000}`);
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      upsert: this.db.prepare(`
+        INSERT INTO payments (
+          id, transaction_id, idempotency_key, username, network, destination_wallet,
+          amount, status, created_at, updated_at, completed_at, data
+        ) VALUES (
+          @id, @transactionId, @idempotencyKey, @username, @network, @destinationWallet,
+          @amount, @status, @createdAt, @updatedAt, @completedAt, @data
+        )
+        ON CONFLICT (id) DO UPDATE SET
+          status = excluded.status,
+          amount = excluded.amount,
+          updated_at = excluded.updated_at,
+          completed_at = COALESCE(excluded.completed_at, payments.completed_at),
+          data = excluded.data
+      `),
+      insertIgnore: this.db.prepare(`
+        INSERT OR IGNORE INTO payments (
+          id, transaction_id, idempotency_key, username, network, destination_wallet,
+          amount, status, created_at, updated_at, completed_at, data
+        ) VALUES (
+          @id, @transactionId, @idempotencyKey, @username, @network, @destinationWallet,
+          @amount, @status, @createdAt, @updatedAt, @completedAt, @data
+        )
+      `),
+      byId: this.db.prepare('SELECT data FROM payments WHERE id = ?'),
+      byTransaction: this.db.prepare(`
+        SELECT data FROM payments
+        WHERE transaction_id = @transactionId
+           OR (@idempotencyKey IS NOT NULL AND idempotency_key = @idempotencyKey)
+        ORDER BY completed_at IS NULL, created_at DESC
+        LIMIT 1
+      `),
+      insertWebhookFailure: this.db.prepare(`
+        INSERT INTO webhook_failures (webhook_url, event, transaction_id, failed_at, data)
+        VALUES (@webhookUrl, @event, @transactionId, @failedAt, @data)
+      `),
+      webhookFailureExists: this.db.prepare(`
+        SELECT 1 FROM webhook_failures
+        WHERE webhook_url = @webhookUrl AND failed_at = @failedAt AND event IS @event AND transaction_id IS @transactionId
+      `),
+      listWebhookFailures: this.db.prepare('SELECT id, data FROM webhook_failures ORDER BY id'),
+      deleteWebhookFailure: this.db.prepare('DELETE FROM webhook_failures WHERE id = ?'),
+      countWebhookFailures: this.db.prepare('SELECT COUNT(*) AS total FROM webhook_failures'),
+      upsertInvoice: this.db.prepare(`
+        INSERT INTO invoices (id, reference, payment_hash, status, created_at, expires_at, updated_at, data)
+        VALUES (@id, @reference, @paymentHash, @status, @createdAt, @expiresAt, @updatedAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          status = excluded.status,
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `),
+      insertIgnoreInvoice: this.db.prepare(`
+        INSERT OR IGNORE INTO invoices (id, reference, payment_hash, status, created_at, expires_at, updated_at, data)
+        VALUES (@id, @reference, @paymentHash, @status, @createdAt, @expiresAt, @updatedAt, @data)
+      `),
+      invoiceById: this.db.prepare('SELECT data FROM invoices WHERE id = ?'),
+      invoiceByHash: this.db.prepare('SELECT data FROM invoices WHERE payment_hash = ?'),
+      invoiceByReference: this.db.prepare('SELECT data FROM invoices WHERE reference = ? ORDER BY created_at DESC LIMIT 1'),
+      invoicesByStatus: this.db.prepare('SELECT data FROM invoices WHERE status = ? ORDER BY expires_at'),
+      upsertDepositAddress: this.db.prepare(`
+        INSERT INTO deposit_addresses (id, network, address, unconfidential_address, reference, username, pending_deposits, created_at, updated_at, data)
+        VALUES (@id, @network, @address, @unconfidentialAddress, @reference, @username, @pendingDeposits, @createdAt, @updatedAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          pending_deposits = excluded.pending_deposits,
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `),
+      insertIgnoreDepositAddress: this.db.prepare(`
+        INSERT OR IGNORE INTO deposit_addresses (id, network, address, unconfidential_address, reference, username, pending_deposits, created_at, updated_at, data)
+        VALUES (@id, @network, @address, @unconfidentialAddress, @reference, @username, @pendingDeposits, @createdAt, @updatedAt, @data)
+      `),
+      depositAddressById: this.db.prepare('SELECT data FROM deposit_addresses WHERE id = ?'),
+      depositAddressByAddress: this.db.prepare('SELECT data FROM deposit_addresses WHERE address = @address OR unconfidential_address = @address LIMIT 1'),
+      depositAddressByReference: this.db.prepare('SELECT data FROM deposit_addresses WHERE reference = ? ORDER BY created_at DESC LIMIT 1'),
+      depositAddressesWithPending: this.db.prepare('SELECT data FROM deposit_addresses WHERE network = ? AND pending_deposits > 0 ORDER BY created_at'),
+      getSyncState: this.db.prepare('SELECT value FROM sync_state WHERE key = ?'),
+      saveSyncState: this.db.prepare(`
+        INSERT INTO sync_state (key, value, updated_at) VALUES (@key, @value, @updatedAt)
+        ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `)
+    };
+
+    this.logger.info(`Armazenamento SQLite: ${this.filename}`);
+  }
+
+  /**
+   * Converte um pagamento nos parâmetros das colunas da tabela payments
+   *
+   * @param {Object} payment - Registro do pagamento
+   * @param {boolean} completed - true se o pagamento foi concluído (enviado)
+   * @returns {Object} Parâmetros nomeados
+   */
+  toRow(payment, completed) {
+    const now = Date.now();
+    return {
+      id: payment.id,
+      transactionId: payment.transactionId,
+      idempotencyKey: payment.idempotencyKey || null,
+      username: payment.username || null,
+      network: payment.network || null,
+      destinationWallet: payment.destinationWallet || null,
+      amount: Number(payment.amount) || 0,
+      status: payment.status,
+      createdAt: new Date(payment.timestamp).getTime() || now,
+      updatedAt: now,
+      completedAt: completed ? (new Date(payment.completedAt).getTime() || now) : null,
+      data: JSON.stringify(payment)
+    };
+  }
+
+  /**
+   * Converte uma linha lida do banco no registro do pagamento
+   *
+   * @param {Object} row - Linha com a coluna data
+   * @returns {Object|null} Registro do pagamento ou null
+   */
+  fromRow(row) {
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  // ========== PAGAMENTOS ==========
+
+  /**
+   * Salva (ou atualiza) um pagamento
+   *
+   * Um pagamento já concluído continua concluído (completed_at é preservado).
+   *
+   * @param {Object} payment - Registro do pagamento
+   * @returns {string} Localização do registro (para logs)
+   */
+  savePayment(payment) {
+    this.statements.upsert.run(this.toRow(payment, false));
+    return `${this.filename}#${payment.id}`;
+  }
+
+  /**
+   * Registra um pagamento concluído (status e dados da transação em uma escrita)
+   *
+   * @param {Object} payment - Registro do pagamento com os dados da transação
+   */
+  completePayment(payment) {
+    this.statements.upsert.run(this.toRow(payment, true));
+    this.logger.info(`Pagamento ${payment.id} registrado como concluído`);
+  }
+
+  /**
+   * Registra um pagamento com erro, recusado ou cancelado
+   *
+   * @param {Object} payment - Registro do pagamento com os dados do erro
+   */
+  failPayment(payment) {
+    this.statements.upsert.run(this.toRow(payment, false));
+    this.logger.info(`Pagamento ${payment.id} registrado com status ${payment.status}`);
+  }
+
+  /**
+   * Reabre um pagamento com erro para nova tentativa
+   *
+   * @param {Object} payment - Registro do pagamento com o novo status
+   * @returns {string} Localização do registro (para logs)
+   */
+  reopenPayment(payment) {
+    return this.savePayment(payment);
+  }
+
+  /**
+   * Procura um pagamento pelo ID interno
+   *
+   * @param {string} paymentId - ID gerado pelo servidor
+   * @returns {Object|null} Registro do pagamento ou null
+   */
+  getPaymentById(paymentId) {
+    return this.fromRow(this.statements.byId.get(paymentId));
+  }
+
+  /**
+   * Procura o pagamento registrado para um transactionId ou Idempotency-Key
+   *
+   * Se houver mais de um, prevalece o concluído e depois o mais recente.
+   *
+   * @param {string} transactionId - ID da transação no sistema cliente
+   * @param {string} [idempotencyKey=null] - Valor do header Idempotency-Key
+   * @returns {Object|null} Registro do pagamento ou null
+   */
+  findByTransaction(transactionId, idempotencyKey = null) {
+    return this.fromRow(this.statements.byTransaction.get({
+      transactionId,
+      idempotencyKey: idempotencyKey || null
+    }));
+  }
+
+  /**
+   * Monta as cláusulas WHERE dos filtros de consulta
+   *
+   * @param {Object} filters - Filtros (ver listPayments e queryPayments)
+   * @returns {Object} { clauses, params }
+   */
+  buildFilters(filters) {
+    const clauses = [];
+    const params = {};
+
+    const equals = { network: 'network', username: 'username', destinationWallet: 'destination_wallet' };
+    for (const [option, column] of Object.entries(equals)) {
+      if (filters[option]) {
+        clauses.push(`${column} = @${option}`);
+        params[option] = filters[option];
+      }
+    }
+
+    if (filters.status && filters.status.length > 0) {
+      const names = filters.status.map((status, index) => {
+        params[`status${index}`] = status;
+        return `@status${index}`;
+      });
+      clauses.push(`status IN (${names.join(', ')})`);
+    }
+
+    if (filters.from) {
+      clauses.push('created_at >= @from');
+      params.from = filters.from.getTime();
+    }
+
+    if (filters.to) {
+      clauses.push('created_at <= @to');
+      params.to = filters.to.getTime();
+    }
+
+    if (filters.minAmount !== undefined) {
+      clauses.push('amount >= @minAmount');
+      params.minAmount = filters.minAmount;
+    }
+
+    if (filters.maxAmount !== undefined) {
+      clauses.push('amount <= @maxAmount');
+      params.maxAmount = filters.maxAmount;
+    }
+
+    return { clauses, params };
+  }
+
+  /**
+   * Lista pagamentos pelo estado atual, em ordem de chegada
+   *
+   * @param {Object} [filters={}] - Filtros (status, username, network, destinationWallet, from, to...)
+   * @returns {Array<Object>} Pagamentos
+   */
+  listPayments(filters = {}) {
+    const { clauses, params } = this.buildFilters(filters);
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT data FROM payments ${where} ORDER BY created_at, id`)
+      .all(params)
+      .map(row => this.fromRow(row));
+  }
+
+  /**
+   * Consulta paginada das listagens GET /pending e GET /sent
+   *
+   * pending lista os pagamentos não concluídos (inclusive com erro ou
+   * recusados) e sent os concluídos. A paginação usa keyset sobre a coluna
+   * de ordenação com desempate pelo ID.
+   *
+   * @param {string} view - pending ou sent
+   * @param {Object} options - Filtros, ordenação (sortBy, order), limit e cursor
+   * @returns {Object} { payments, total, nextCursor }
+   */
+  queryPayments(view, options) {
+    const { clauses, params } = this.buildFilters(options);
+    clauses.unshift(view === 'sent' ? 'completed_at IS NOT NULL' : 'completed_at IS NULL');
+
+    const column = options.sortBy === 'amount' ? 'amount' : 'created_at';
+    const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+    const limit = options.limit || 100;
+
+    const total = this.db.prepare(`SELECT COUNT(*) AS total FROM payments WHERE ${clauses.join(' AND ')}`)
+      .get(params).total;
+
+    const pageClauses = [...clauses];
+    if (options.cursor) {
+      const cursor = decodeCursor(options.cursor);
+      const operator = direction === 'ASC' ? '>' : '<';
+      pageClauses.push(`(${column} ${operator} @cursorValue OR (${column} = @cursorValue AND id ${operator} @cursorId))`);
+      params.cursorValue = cursor.value;
+      params.cursorId = cursor.key;
+    }
+
+    // Uma linha a mais indica se existe próxima página
+    const rows = this.db.prepare(`
+      SELECT id, ${column} AS sortValue, data FROM payments
+      WHERE ${pageClauses.join(' AND ')}
+      ORDER BY ${column} ${direction}, id ${direction}
+      LIMIT @limit
+    `).all({ ...params, limit: limit + 1 });
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      payments: page.map(row => this.fromRow(row)),
+      total,
+      nextCursor: rows.length > limit && last ? encodeCursor(last.sortValue, last.id) : null
+    };
+  }
+
+  /**
+   * Valida um cursor de paginação recebido do cliente
+   *
+   * @param {string} cursor - Cursor retornado por queryPayments()
+   * @throws {Error} Se o cursor for inválido
+   */
+  validateCursor(cursor) {
+    decodeCursor(cursor);
+  }
+
+  /**
+   * Importa pagamentos de outro backend em uma única transação
+   *
+   * Pagamentos já existentes (mesmo ID) são mantidos, então a importação
+   * pode ser repetida sem duplicar registros.
+   *
+   * @param {Array<{payment: Object, completed: boolean}>} records - Pagamentos exportados
+   * @returns {number} Quantidade de pagamentos inseridos
+   */
+  importPayments(records) {
+    const importAll = this.db.transaction(items => {
+      let inserted = 0;
+      for (const { payment, completed } of items) {
+        inserted += this.statements.insertIgnore.run(this.toRow(payment, completed)).changes;
+      }
+      return inserted;
+    });
+    return importAll(records);
+  }
+
+  // ========== WEBHOOKS FALHADOS ==========
+
+  /**
+   * Converte um webhook falhado nos parâmetros da tabela webhook_failures
+   *
+   * @param {Object} failure - { webhookUrl, payload, error, failedAt, attempts }
+   * @returns {Object} Parâmetros nomeados
+   */
+  toWebhookFailureRow(failure) {
+    return {
+      webhookUrl: failure.webhookUrl,
+      event: failure.payload?.event || null,
+      transactionId: failure.payload?.data?.transactionId || null,
+      failedAt: failure.failedAt,
+      data: JSON.stringify(failure)
+    };
+  }
+
+  /**
+   * Salva um webhook que esgotou as tentativas
+   *
+   * @param {Object} failure - { webhookUrl, payload, error, failedAt, attempts }
+   * @returns {number} ID do registro
+   */
+  saveFailedWebhook(failure) {
+    return Number(this.statements.insertWebhookFailure.run(this.toWebhookFailureRow(failure)).lastInsertRowid);
+  }
+
+  /**
+   * Lista os webhooks falhados em ordem de gravação
+   *
+   * @returns {Array<Object>} Registros { id, webhookUrl, payload, error, failedAt, attempts }
+   */
+  listFailedWebhooks() {
+    return this.statements.listWebhookFailures.all()
+      .map(row => ({ id: row.id, ...JSON.parse(row.data) }));
+  }
+
+  /**
+   * Remove um webhook falhado (após reenvio com sucesso)
+   *
+   * @param {number} id - ID retornado por listFailedWebhooks()
+   */
+  deleteFailedWebhook(id) {
+    this.statements.deleteWebhookFailure.run(id);
+  }
+
+  /**
+   * Conta os webhooks falhados aguardando reprocessamento
+   *
+   * @returns {number} Quantidade de registros
+   */
+  countFailedWebhooks() {
+    return this.statements.countWebhookFailures.get().total;
+  }
+
+  /**
+   * Importa webhooks falhados de outro backend em uma única transação
+   *
+   * Registros idênticos (mesma URL, evento, transação e data) são ignorados.
+   *
+   * @param {Array<Object>} failures - Registros de listFailedWebhooks() do outro backend
+   * @returns {number} Quantidade de registros inseridos
+   */
+  importFailedWebhooks(failures) {
+    const importAll = this.db.transaction(items => {
+      let inserted = 0;
+      for (const { id, ...failure } of items) {
+        const row = this.toWebhookFailureRow(failure);
+        if (!this.statements.webhookFailureExists.get(row)) {
+          this.statements.insertWebhookFailure.run(row);
+          inserted++;
+        }
+      }
+      return inserted;
+    });
+    return importAll(failures);
+  }
+
+  // ========== INVOICES ==========
+
+  /**
+   * Converte uma invoice nos parâmetros das colunas da tabela invoices
+   *
+   * @param {Object} invoice - Registro da invoice
+   * @returns {Object} Parâmetros nomeados
+   */
+  toInvoiceRow(invoice) {
+    const now = Date.now();
+    return {
+      id: invoice.id,
+      reference: invoice.reference,
+      paymentHash: invoice.paymentHash,
+      status: invoice.status,
+      createdAt: new Date(invoice.createdAt).getTime() || now,
+      expiresAt: new Date(invoice.expiresAt).getTime() || now,
+      updatedAt: now,
+      data: JSON.stringify(invoice)
+    };
+  }
+
+  /**
+   * Salva (ou atualiza) uma invoice
+   *
+   * @param {Object} invoice - Registro da invoice
+   */
+  saveInvoice(invoice) {
+    this.statements.upsertInvoice.run(this.toInvoiceRow(invoice));
+  }
+
+  /**
+   * Procura uma invoice pelo ID interno
+   *
+   * @param {string} invoiceId - ID gerado pelo servidor
+   * @returns {Object|null} Registro da invoice ou null
+   */
+  getInvoiceById(invoiceId) {
+    return this.fromRow(this.statements.invoiceById.get(invoiceId));
+  }
+
+  /**
+   * Procura uma invoice pelo payment hash (hex)
+   *
+   * @param {string} paymentHash - Hash do pagamento
+   * @returns {Object|null} Registro da invoice ou null
+   */
+  findInvoiceByHash(paymentHash) {
+    return this.fromRow(this.statements.invoiceByHash.get(paymentHash));
+  }
+
+  /**
+   * Procura a invoice emitida para uma referência do cliente
+   *
+   * @param {string} reference - Referência informada no POST /invoice
+   * @returns {Object|null} Registro da invoice ou null
+   */
+  findInvoiceByReference(reference) {
+    return this.fromRow(this.statements.invoiceByReference.get(reference));
+  }
+
+  /**
+   * Lista as invoices com um status, da que expira primeiro para a última
+   *
+   * @param {string} status - open, paid ou expired
+   * @returns {Array<Object>} Invoices
+   */
+  listInvoicesByStatus(status) {
+    return this.statements.invoicesByStatus.all(status).map(row => this.fromRow(row));
+  }
+
+  /**
+   * Importa invoices de outro backend em uma única transação
+   *
+   * @param {Array<Object>} invoices - Registros de exportInvoices() do outro backend
+   * @returns {number} Quantidade de invoices inseridas
+   */
+  importInvoices(invoices) {
+    const importAll = this.db.transaction(items => {
+      let inserted = 0;
+      for (const invoice of items) {
+        inserted += this.statements.insertIgnoreInvoice.run(this.toInvoiceRow(invoice)).changes;
+      }
+      return inserted;
+    });
+    return importAll(invoices);
+  }
+
+  // ========== ENDEREÇOS DE DEPÓSITO ==========
+
+  /**
+   * Converte um endereço de depósito nos parâmetros das colunas da tabela
+   *
+   * @param {Object} depositAddress - Registro do endereço
+   * @returns {Object} Parâmetros nomeados
+   */
+  toDepositAddressRow(depositAddress) {
+    const now = Date.now();
+    return {
+      id: depositAddress.id,
+      network: depositAddress.network,
+      address: depositAddress.address,
+      unconfidentialAddress: depositAddress.unconfidentialAddress || null,
+      reference: depositAddress.reference,
+      username: depositAddress.username,
+      pendingDeposits: (depositAddress.deposits || []).filter(deposit => deposit.status === 'detected').length,
+      createdAt: new Date(depositAddress.createdAt).getTime() || now,
+      updatedAt: now,
+      data: JSON.stringify(depositAddress)
+    };
+  }
+
+  /**
+   * Salva (ou atualiza) um endereço de depósito com os depósitos recebidos
+   *
+   * @param {Object} depositAddress - Registro do endereço
+   */
+  saveDepositAddress(depositAddress) {
+    this.statements.upsertDepositAddress.run(this.toDepositAddressRow(depositAddress));
+  }
+
+  /**
+   * Procura um endereço de depósito pelo ID interno
+   *
+   * @param {string} addressId - ID gerado pelo servidor
+   * @returns {Object|null} Registro do endereço ou null
+   */
+  getDepositAddressById(addressId) {
+    return this.fromRow(this.statements.depositAddressById.get(addressId));
+  }
+
+  /**
+   * Procura um endereço de depósito pelo endereço (ou sua forma não confidencial)
+   *
+   * @param {string} address - Endereço visto na transação
+   * @returns {Object|null} Registro do endereço ou null
+   */
+  findDepositAddress(address) {
+    return this.fromRow(this.statements.depositAddressByAddress.get({ address }));
+  }
+
+  /**
+   * Procura o endereço de depósito emitido para uma referência do cliente
+   *
+   * @param {string} reference - Referência informada no POST /address/:network
+   * @returns {Object|null} Registro do endereço ou null
+   */
+  findDepositAddressByReference(reference) {
+    return this.fromRow(this.statements.depositAddressByReference.get(reference));
+  }
+
+  /**
+   * Lista os endereços de uma rede com depósitos aguardando confirmação
+   *
+   * @param {string} network - bitcoin ou liquid
+   * @returns {Array<Object>} Endereços
+   */
+  listDepositAddressesWithPending(network) {
+    return this.statements.depositAddressesWithPending.all(network).map(row => this.fromRow(row));
+  }
+
+  /**
+   * Importa endereços de depósito de outro backend em uma única transação
+   *
+   * @param {Array<Object>} depositAddresses - Registros do outro backend
+   * @returns {number} Quantidade de endereços inseridos
+   */
+  importDepositAddresses(depositAddresses) {
+    const importAll = this.db.transaction(items => {
+      let inserted = 0;
+      for (const depositAddress of items) {
+        inserted += this.statements.insertIgnoreDepositAddress.run(this.toDepositAddressRow(depositAddress)).changes;
+      }
+      return inserted;
+    });
+    return importAll(depositAddresses);
+  }
+
+  // ========== ESTADO DOS STREAMS ==========
+
+  /**
+   * Lê a posição gravada de um stream do nó
+   *
+   * @param {string} key - Nome do estado (ex: lnd.invoices.settleIndex)
+   * @returns {*} Valor gravado ou null
+   */
+  getSyncState(key) {
+    const row = this.statements.getSyncState.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  /**
+   * Grava a posição de um stream do nó
+   *
+   * @param {string} key - Nome do estado
+   * @param {*} value - Valor serializável em JSON
+   */
+  saveSyncState(key, value) {
+    this.statements.saveSyncState.run({ key, value: JSON.stringify(value), updatedAt: Date.now() });
+  }
+
+  /**
+   * Fecha o banco (checkpoint do WAL)
+   */
+  close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = SqliteStorage;
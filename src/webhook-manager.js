@@ -17,6 +17,18 @@
  * - payment.pending: Pagamento recebido e sendo processado
  * - payment.completed: Pagamento enviado com sucesso
  * - payment.failed: Falha no processamento do pagamento
+ * - payment.rejected: Pagamento recusado pela política de limites ou reprovado manualmente (nenhum fundo movimentado)
+ * - payment.approval_required: Pagamento aguardando aprovação manual
+ * - payment.approved: Pagamento aprovado e liberado para execução
+ * - payment.needs_review: Pagamento interrompido cujo resultado não pôde ser confirmado no nó
+ * - payment.retried: Pagamento com erro liberado para nova tentativa
+ * - payment.cancelled: Pagamento cancelado antes da execução (nenhum fundo movimentado)
+ * - payment.confirmed: Transação on-chain ou Liquid atingiu as confirmações exigidas pela rede
+ * - payment.dropped: Transação on-chain ou Liquid descartada do mempool ou substituída
+ * - invoice.paid: Invoice emitida pelo POST /invoice foi paga
+ * - invoice.expired: Invoice emitida pelo POST /invoice expirou sem pagamento
+ * - deposit.detected: Depósito visto (0 confirmações) em um endereço do POST /address/:network
+ * - deposit.confirmed: Depósito atingiu as confirmações exigidas pela rede
  * - webhook.test: Webhook de teste para validação
  * 
  * SEGURANÇA:
@@ -27,8 +39,7 @@
  */
 
 const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
+const metrics = require('./metrics');
 const crypto = require('crypto');
 const config = require('../config/config.json');
 
@@ -36,20 +47,19 @@ class WebhookManager {
   /**
    * Construtor do WebhookManager
    * 
-   * Inicializa o gerenciador com configurações e prepara o diretório
-   * para armazenamento de webhooks falhados.
+   * Inicializa o gerenciador com configurações e o armazenamento
+   * usado para guardar webhooks falhados.
    * 
+   * @param {Object} storage - Backend de armazenamento (ver src/storage)
    * @param {Object} logger - Instância do logger Winston
    */
-  constructor(logger) {
+  constructor(storage, logger) {
+    this.storage = storage;
     this.logger = logger;
     this.config = config.webhooks;
-    this.failedWebhooksDir = path.join(__dirname, '../webhook_failures');
     
-    // Criar diretório para webhooks falhados se não existir
-    if (this.config.saveFailedWebhooks && !fs.existsSync(this.failedWebhooksDir)) {
-      fs.mkdirSync(this.failedWebhooksDir, { recursive: true });
-    }
+    // Envios em andamento (incluindo esperas de retry), aguardados no desligamento
+    this.activeSends = 0;
   }
 
   /**
@@ -104,6 +114,26 @@ class WebhookManager {
    * @returns {Promise<boolean>} true se enviado com sucesso, false caso contrário
    */
   async sendWebhook(webhookUrl, paymentData, event, webhookSecret = null) {
+    this.activeSends++;
+    try {
+      return await this.deliverWebhook(webhookUrl, paymentData, event, webhookSecret);
+    } finally {
+      this.activeSends--;
+    }
+  }
+
+  /**
+   * Executa o envio de um webhook (assinatura, tentativas e persistência de falhas)
+   * 
+   * Use sendWebhook(), que contabiliza o envio em activeSends.
+   * 
+   * @param {string} webhookUrl - URL de destino do webhook
+   * @param {Object} paymentData - Dados completos do pagamento
+   * @param {string} event - Tipo de evento
+   * @param {string} [webhookSecret=null] - Chave secreta para assinatura HMAC
+   * @returns {Promise<boolean>} true se enviado com sucesso, false caso contrário
+   */
+  async deliverWebhook(webhookUrl, paymentData, event, webhookSecret = null) {
     // ========== VERIFICAÇÃO DE HABILITAÇÃO ==========
     if (!this.config.enabled) {
       this.logger.info('Webhooks desabilitados na configuração');
@@ -144,6 +174,7 @@ class WebhookManager {
     while (attempt < maxAttempts) {
       try {
         this.logger.info(`Enviando webhook (tentativa ${attempt + 1}/${maxAttempts}): ${event} para ${webhookUrl}`);
+        metrics.webhookAttempts.inc({ event });
 
         // ========== ENVIO HTTP ==========
         const response = await axios.post(webhookUrl, payload, {
@@ -153,6 +184,7 @@ class WebhookManager {
         });
 
         this.logger.info(`Webhook enviado com sucesso: ${event} - Status: ${response.status}`);
+        metrics.webhookDeliveries.inc({ event });
         return true;
 
       } catch (error) {
@@ -164,6 +196,7 @@ class WebhookManager {
         if (isLastAttempt) {
           // ========== TRATAMENTO DE FALHA FINAL ==========
           this.logger.error(`Webhook falhou definitivamente após ${maxAttempts} tentativas: ${webhookUrl}`);
+          metrics.webhookFailures.inc({ event });
           
           // Log estruturado da falha
           if (this.config.logFailures) {
@@ -232,6 +265,193 @@ class WebhookManager {
     return await this.sendWebhook(webhookUrl, paymentData, 'payment.failed', webhookSecret);
   }
 
+  /**
+   * Envia webhook de pagamento recusado
+   * 
+   * Notifica que o pagamento foi recusado antes de ser executado
+   * (ex: limite de valor excedido ou reprovação manual). O campo
+   * errorCode traz o motivo.
+   * 
+   * @param {string} webhookUrl - URL de destino
+   * @param {Object} paymentData - Dados do pagamento com errorCode e error
+   * @param {string} [webhookSecret=null] - Chave secreta para assinatura
+   * @returns {Promise<boolean>} Sucesso do envio
+   */
+  async sendPaymentRejectedWebhook(webhookUrl, paymentData, webhookSecret = null) {
+    return await this.sendWebhook(webhookUrl, paymentData, 'payment.rejected', webhookSecret);
+  }
+
+  /**
+   * Envia webhook de pagamento aguardando aprovação
+   * 
+   * Notifica que o pagamento foi recebido mas só será executado após
+   * aprovação manual. O campo approvalReasons traz as regras aplicadas.
+   * 
+   * @param {string} webhookUrl - URL de destino
+   * @param {Object} paymentData - Dados do pagamento
+   * @param {string} [webhookSecret=null] - Chave secreta para assinatura
+   * @returns {Promise<boolean>} Sucesso do envio
+   */
+  async sendPaymentApprovalRequiredWebhook(webhookUrl, paymentData, webhookSecret = null) {
+    return await this.sendWebhook(webhookUrl, paymentData, 'payment.approval_required', webhookSecret);
+  }
+
+  /**
+   * Envia webhook de pagamento aprovado
+   * 
+   * Notifica que o pagamento recebeu as aprovações necessárias e
+   * seguirá para execução.
+   * 
+   * @param {string} webhookUrl - URL de destino
+   * @param {Object} paymentData - Dados do pagamento com a lista de aprovações
+   * @param {string} [webhookSecret=null] - Chave secreta para assinatura
+   * @returns {Promise<boolean>} Sucesso do envio
+   */
+  async sendPaymentApprovedWebhook(webhookUrl, paymentData, webhookSecret = null) {
+    return await this.sendWebhook(webhookUrl, paymentData, 'payment.approved', webhookSecret);
+  }
+
+  /**
+   * Envia webhook de pagamento que exige conferência manual
+   * 
+   * Notifica que o servidor foi reiniciado durante o pagamento e a
+   * reconciliação com o nó não conseguiu decidir se os fundos saíram
+   * (ex: pagamento ainda em andamento ou mais de uma transação compatível).
+   * O campo reviewReason traz o motivo.
+   * 
+   * @param {string} webhookUrl - URL de destino
+   * @param {Object} paymentData - Dados do pagamento com reviewReason
+   * @param {string} [webhookSecret=null] - Chave secreta para assinatura
+   * @returns {Promise<boolean>} Sucesso do envio
+   */
+  async sendPaymentNeedsReviewWebhook(webhookUrl, paymentData, webhookSecret = null) {
+    return await this.sendWebhook(webhookUrl, paymentData, 'payment.needs_review', webhookSecret);
+  }
+
+  /**
+   * Envia webhook de nova tentativa de pagamento
+   * 
+   * Notifica que um pagamento com erro foi liberado para ser executado
+   * novamente (após conferir no nó que os fundos não saíram). Os webhooks
+   * payment.pending e payment.completed/failed da nova tentativa vêm em seguida.
+   * 
+   * @param {string} webhookUrl - URL de destino
+   * @param {Object} paymentData - Dados do pagamento com o número da tentativa
+   * @param {string} [webhookSecret=null] - Chave secreta para assinatura
+   * @returns {Promise<boolean>} Sucesso do envio
+   */
+  async sendPaymentRetriedWebhook(webhookUrl, paymentData, webhookSecret = null) {
+    return await this.sendWebhook(webhookUrl, paymentData, 'payment.retried', webhookSecret);
+  }
+
+  /**
+   * Envia webhook de pagamento cancelado
+   * 
+   * Notifica que um pagamento enfileirado ou aguardando aprovação foi
+   * cancelado e não será executado.
+   * 
+   * @param {string} webhookUrl - URL de destino
+   * @param {Object} paymentData - Dados do pagamento com quem cancelou e o motivo
+   * @param {string} [webhookSecret=null] - Chave secreta para assinatura
+   * @returns {Promise<boolean>} Sucesso do envio
+   */
+  async sendPaymentCancelledWebhook(webhookUrl, paymentData, webhookSecret = null) {
+    return await this.sendWebhook(webhookUrl, paymentData, 'payment.cancelled', webhookSecret);
+  }
+
+  /**
+   * Envia webhook de pagamento confirmado
+   * 
+   * Notifica que a transação de um pagamento on-chain ou Liquid atingiu
+   * as confirmações exigidas pela rede. Inclui confirmations, blockHash
+   * e confirmedAt.
+   * 
+   * @param {string} webhookUrl - URL de destino
+   * @param {Object} paymentData - Dados do pagamento com as confirmações
+   * @param {string} [webhookSecret=null] - Chave secreta para assinatura
+   * @returns {Promise<boolean>} Sucesso do envio
+   */
+  async sendPaymentConfirmedWebhook(webhookUrl, paymentData, webhookSecret = null) {
+    return await this.sendWebhook(webhookUrl, paymentData, 'payment.confirmed', webhookSecret);
+  }
+
+  /**
+   * Envia webhook de transação descartada
+   * 
+   * Notifica que a transação de um pagamento enviado sumiu da carteira do
+   * nó ou foi substituída por outra. O pagamento exige conferência manual:
+   * os fundos podem não ter chegado ao destino.
+   * 
+   * @param {string} webhookUrl - URL de destino
+   * @param {Object} paymentData - Dados do pagamento com errorCode transaction_dropped
+   * @param {string} [webhookSecret=null] - Chave secreta para assinatura
+   * @returns {Promise<boolean>} Sucesso do envio
+   */
+  async sendPaymentDroppedWebhook(webhookUrl, paymentData, webhookSecret = null) {
+    return await this.sendWebhook(webhookUrl, paymentData, 'payment.dropped', webhookSecret);
+  }
+
+  /**
+   * Envia webhook de invoice paga
+   * 
+   * Notifica que uma invoice emitida pelo POST /invoice foi liquidada no
+   * LND. Inclui a referência do cliente, amountPaid e settledAt.
+   * 
+   * @param {string} webhookUrl - URL de destino
+   * @param {Object} invoiceData - Dados públicos da invoice
+   * @param {string} [webhookSecret=null] - Chave secreta para assinatura
+   * @returns {Promise<boolean>} Sucesso do envio
+   */
+  async sendInvoicePaidWebhook(webhookUrl, invoiceData, webhookSecret = null) {
+    return await this.sendWebhook(webhookUrl, invoiceData, 'invoice.paid', webhookSecret);
+  }
+
+  /**
+   * Envia webhook de invoice expirada
+   * 
+   * Notifica que a validade de uma invoice emitida pelo POST /invoice
+   * acabou sem pagamento. A invoice não pode mais ser paga.
+   * 
+   * @param {string} webhookUrl - URL de destino
+   * @param {Object} invoiceData - Dados públicos da invoice
+   * @param {string} [webhookSecret=null] - Chave secreta para assinatura
+   * @returns {Promise<boolean>} Sucesso do envio
+   */
+  async sendInvoiceExpiredWebhook(webhookUrl, invoiceData, webhookSecret = null) {
+    return await this.sendWebhook(webhookUrl, invoiceData, 'invoice.expired', webhookSecret);
+  }
+
+  /**
+   * Envia webhook de depósito detectado
+   * 
+   * Notifica que uma transação para um endereço emitido pelo
+   * POST /address/:network foi vista na rede (ainda sem as confirmações
+   * exigidas). O valor ainda não deve ser creditado.
+   * 
+   * @param {string} webhookUrl - URL de destino
+   * @param {Object} depositData - Endereço (referência e usuário) e o depósito
+   * @param {string} [webhookSecret=null] - Chave secreta para assinatura
+   * @returns {Promise<boolean>} Sucesso do envio
+   */
+  async sendDepositDetectedWebhook(webhookUrl, depositData, webhookSecret = null) {
+    return await this.sendWebhook(webhookUrl, depositData, 'deposit.detected', webhookSecret);
+  }
+
+  /**
+   * Envia webhook de depósito confirmado
+   * 
+   * Notifica que o depósito atingiu deposits.confirmations da rede e pode
+   * ser creditado.
+   * 
+   * @param {string} webhookUrl - URL de destino
+   * @param {Object} depositData - Endereço (referência e usuário) e o depósito
+   * @param {string} [webhookSecret=null] - Chave secreta para assinatura
+   * @returns {Promise<boolean>} Sucesso do envio
+   */
+  async sendDepositConfirmedWebhook(webhookUrl, depositData, webhookSecret = null) {
+    return await this.sendWebhook(webhookUrl, depositData, 'deposit.confirmed', webhookSecret);
+  }
+
   /**
    * Envia webhook de teste
    * 
@@ -271,7 +491,7 @@ class WebhookManager {
   }
 
   /**
-   * Salva webhook falhado em arquivo para reprocessamento
+   * Salva webhook falhado no armazenamento para reprocessamento
    */
   saveFailedWebhook(webhookUrl, payload, errorMessage) {
     const failureData = {
@@ -282,12 +502,9 @@ class WebhookManager {
       attempts: this.config.retryAttempts + 1
     };
 
-    const filename = `failed_webhook_${Date.now()}_${payload.data?.transactionId || 'unknown'}.json`;
-    const filepath = path.join(this.failedWebhooksDir, filename);
-
     try {
-      fs.writeFileSync(filepath, JSON.stringify(failureData, null, 2));
-      this.logger.info(`Webhook falhado salvo para reprocessamento: ${filepath}`);
+      const id = this.storage.saveFailedWebhook(failureData);
+      this.logger.info(`Webhook falhado salvo para reprocessamento: ${id}`);
     } catch (error) {
       this.logger.error(`Erro ao salvar webhook falhado: ${error.message}`);
     }
@@ -297,21 +514,12 @@ class WebhookManager {
    * Reprocessa webhooks falhados
    */
   async reprocessFailedWebhooks() {
-    if (!fs.existsSync(this.failedWebhooksDir)) {
-      return;
-    }
+    const failures = this.storage.listFailedWebhooks();
 
-    const files = fs.readdirSync(this.failedWebhooksDir)
-      .filter(file => file.startsWith('failed_webhook_') && file.endsWith('.json'));
+    this.logger.info(`Reprocessando ${failures.length} webhooks falhados...`);
 
-    this.logger.info(`Reprocessando ${files.length} webhooks falhados...`);
-
-    for (const file of files) {
-      const filepath = path.join(this.failedWebhooksDir, file);
-      
+    for (const failureData of failures) {
       try {
-        const failureData = JSON.parse(fs.readFileSync(filepath, 'utf8'));
-        
         this.logger.info(`Reprocessando webhook: ${failureData.webhookUrl}`);
         
         const success = await this.sendWebhook(
@@ -321,15 +529,15 @@ class WebhookManager {
         );
 
         if (success) {
-          // Webhook reenviado com sucesso, remover arquivo
-          fs.unlinkSync(filepath);
-          this.logger.info(`Webhook reprocessado com sucesso: ${file}`);
+          // Webhook reenviado com sucesso, remover registro
+          this.storage.deleteFailedWebhook(failureData.id);
+          this.logger.info(`Webhook reprocessado com sucesso: ${failureData.id}`);
         } else {
-          this.logger.warn(`Falha ao reprocessar webhook: ${file}`);
+          this.logger.warn(`Falha ao reprocessar webhook: ${failureData.id}`);
         }
 
       } catch (error) {
-        this.logger.error(`Erro ao reprocessar webhook ${file}: ${error.message}`);
+        this.logger.error(`Erro ao reprocessar webhook ${failureData.id}: ${error.message}`);
       }
     }
   }
@@ -362,15 +570,9 @@ class WebhookManager {
       timeout: this.config.timeout,
       retryAttempts: this.config.retryAttempts,
       retryDelay: this.config.retryDelay,
-      failedWebhooks: 0
+      failedWebhooks: this.storage.countFailedWebhooks()
     };
 
-    if (fs.existsSync(this.failedWebhooksDir)) {
-      const failedFiles = fs.readdirSync(this.failedWebhooksDir)
-        .filter(file => file.startsWith('failed_webhook_') && file.endsWith('.json'));
-      stats.failedWebhooks = failedFiles.length;
-    }
-
     return stats;
   }
 }
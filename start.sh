@@ -58,6 +58,25 @@ if [ ! -f "proto/lightning.proto" ]; then
     fi
 fi
 
+# Verificar se router.proto existe (envio de pagamentos Lightning via SendPaymentV2)
+if [ ! -f "proto/router.proto" ]; then
+    echo "⚠️  Arquivo router.proto não encontrado."
+    echo "Baixando router.proto do repositório oficial..."
+    
+    if command -v curl &> /dev/null; then
+        curl -o proto/router.proto https://raw.githubusercontent.com/lightningnetwork/lnd/master/lnrpc/routerrpc/router.proto
+        echo "✅ router.proto baixado com sucesso!"
+    elif command -v wget &> /dev/null; then
+        wget -O proto/router.proto https://raw.githubusercontent.com/lightningnetwork/lnd/master/lnrpc/routerrpc/router.proto
+        echo "✅ router.proto baixado com sucesso!"
+    else
+        echo "❌ curl ou wget não encontrados. Por favor, baixe manualmente:"
+        echo "https://raw.githubusercontent.com/lightningnetwork/lnd/master/lnrpc/routerrpc/router.proto"
+        echo "E salve em proto/router.proto"
+        exit 1
+    fi
+fi
+
 # Verificar conectividade com os nós
 echo "🔍 Verificando conectividade com os nós..."
 
@@ -0,0 +1,74 @@
+/**
+ * HELPERS.JS - Utilitários compartilhados pelos testes
+ *
+ * Cada teste usa um diretório temporário próprio, então nenhum arquivo é
+ * gravado nos diretórios do projeto (payment_req/, data/...).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStorage, SqliteStorage } = require('../src/storage');
+
+// Logger silencioso com a mesma interface do Winston
+const logger = {
+  info() {},
+  warn() {},
+  error() {},
+  debug() {}
+};
+
+// Backends testados com a mesma bateria de testes
+const backends = {
+  file: dir => new FileStorage({ baseDir: dir }, logger),
+  sqlite: dir => new SqliteStorage({ filename: path.join(dir, 'payments.db') }, logger)
+};
+
+/**
+ * Cria um backend de armazenamento em um diretório temporário
+ *
+ * @param {string} backend - file ou sqlite
+ * @returns {Object} { storage, dir, cleanup() }
+ */
+function createTempStorage(backend) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `lnd-rpc-${backend}-`));
+  const storage = backends[backend](dir);
+
+  return {
+    storage,
+    dir,
+    cleanup() {
+      storage.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Monta uma requisição de pagamento como a gravada pelo POST /payment
+ *
+ * @param {Object} [overrides={}] - Campos a sobrescrever
+ * @returns {Object} Requisição de pagamento
+ */
+function buildPayment(overrides = {}) {
+  return {
+    id: `pay-${Math.random().toString(36).slice(2, 10)}`,
+    transactionId: 'tx_001',
+    username: 'alice',
+    amount: 50000,
+    network: 'bitcoin',
+    destinationWallet: 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq',
+    webhookUrl: null,
+    idempotencyKey: null,
+    timestamp: new Date().toISOString(),
+    status: 'pending',
+    ...overrides
+  };
+}
+
+module.exports = {
+  logger,
+  backends: Object.keys(backends),
+  createTempStorage,
+  buildPayment
+};
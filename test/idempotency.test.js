@@ -0,0 +1,77 @@
+/**
+ * IDEMPOTENCY.TEST.JS - Repetição de pagamentos pelo transactionId
+ *
+ * As rotas POST /payment e POST /payments/batch usam findExistingPayment e
+ * isSamePaymentRequest do PaymentProcessor: uma repetição idêntica devolve o
+ * pagamento original e uma repetição com dados diferentes é um conflito.
+ * O processador é montado sem o construtor para não abrir conexões com o
+ * LND e o Elements; apenas o armazenamento é usado.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const PaymentProcessor = require('../src/payment-processor');
+const { backends, createTempStorage, buildPayment } = require('./helpers');
+
+for (const backend of backends) {
+  describe(`idempotência (${backend})`, () => {
+    let temp;
+    let processor;
+
+    beforeEach(() => {
+      temp = createTempStorage(backend);
+      processor = Object.create(PaymentProcessor.prototype);
+      processor.storage = temp.storage;
+    });
+
+    afterEach(() => {
+      temp.cleanup();
+    });
+
+    it('reconhece a repetição idêntica de um pagamento registrado', () => {
+      const original = buildPayment();
+      processor.storage.savePayment(original);
+
+      const retry = buildPayment({ timestamp: new Date(Date.now() + 1000).toISOString() });
+      const existing = processor.findExistingPayment(retry.transactionId);
+
+      assert.equal(existing.id, original.id);
+      assert.equal(processor.isSamePaymentRequest(existing, retry), true);
+    });
+
+    it('trata como conflito a repetição com dados diferentes', () => {
+      processor.storage.savePayment(buildPayment());
+      const existing = processor.findExistingPayment('tx_001');
+
+      for (const field of [{ amount: 60000 }, { network: 'liquid' }, { destinationWallet: 'bc1qoutro' }]) {
+        assert.equal(processor.isSamePaymentRequest(existing, buildPayment(field)), false);
+      }
+    });
+
+    it('encontra o pagamento pelo Idempotency-Key com outro transactionId', () => {
+      const original = buildPayment({ idempotencyKey: 'pedido-77' });
+      processor.storage.savePayment(original);
+
+      const existing = processor.findExistingPayment('tx_002', 'pedido-77');
+      assert.equal(existing.id, original.id);
+      assert.equal(processor.isSamePaymentRequest(existing, buildPayment({ transactionId: 'tx_002' })), false);
+    });
+
+    it('devolve o estado vigente de um pagamento já concluído ou com erro', () => {
+      const sent = buildPayment();
+      processor.storage.savePayment(sent);
+      processor.storage.completePayment({ ...sent, status: 'sent', transactionHash: 'a1b2' });
+      assert.equal(processor.findExistingPayment('tx_001').status, 'sent');
+
+      const failed = buildPayment({ transactionId: 'tx_002' });
+      processor.storage.savePayment(failed);
+      processor.storage.failPayment({ ...failed, status: 'error', errorCode: 'no_route' });
+      assert.equal(processor.findExistingPayment('tx_002').status, 'error');
+    });
+
+    it('não encontra transactionId nunca registrado', () => {
+      processor.storage.savePayment(buildPayment());
+      assert.equal(processor.findExistingPayment('tx_999'), null);
+    });
+  });
+}
@@ -0,0 +1,156 @@
+/**
+ * STORAGE.TEST.JS - Backends de armazenamento (arquivos e SQLite)
+ *
+ * A mesma bateria roda contra os dois backends: o servidor troca de um para
+ * o outro pelo config.storage.backend sem mudar o comportamento das rotas.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { backends, createTempStorage, buildPayment } = require('./helpers');
+
+for (const backend of backends) {
+  describe(`storage ${backend}`, () => {
+    let temp;
+    let storage;
+
+    beforeEach(() => {
+      temp = createTempStorage(backend);
+      storage = temp.storage;
+    });
+
+    afterEach(() => {
+      temp.cleanup();
+    });
+
+    // ========== PAGAMENTOS ==========
+
+    it('grava e lê um pagamento pelo ID e pelo transactionId', () => {
+      const payment = buildPayment();
+      storage.savePayment(payment);
+
+      assert.deepEqual(storage.getPaymentById(payment.id), payment);
+      assert.equal(storage.findByTransaction('tx_001').id, payment.id);
+      assert.equal(storage.getPaymentById('inexistente'), null);
+      assert.equal(storage.findByTransaction('tx_999'), null);
+    });
+
+    it('encontra o pagamento pelo Idempotency-Key', () => {
+      const payment = buildPayment({ idempotencyKey: 'chave-123' });
+      storage.savePayment(payment);
+
+      assert.equal(storage.findByTransaction('outro_tx', 'chave-123').id, payment.id);
+      assert.equal(storage.findByTransaction('outro_tx', 'chave-999'), null);
+    });
+
+    it('retorna cópias que podem ser alteradas sem afetar o registro', () => {
+      const payment = buildPayment();
+      storage.savePayment(payment);
+
+      const copy = storage.getPaymentById(payment.id);
+      copy.status = 'sent';
+
+      assert.equal(storage.getPaymentById(payment.id).status, 'pending');
+    });
+
+    it('mantém o registro concluído como estado vigente', () => {
+      const payment = buildPayment();
+      storage.savePayment(payment);
+      storage.completePayment({ ...payment, status: 'sent', transactionHash: 'a1b2' });
+
+      const current = storage.getPaymentById(payment.id);
+      assert.equal(current.status, 'sent');
+      assert.equal(current.transactionHash, 'a1b2');
+      assert.equal(storage.findByTransaction('tx_001').status, 'sent');
+    });
+
+    it('prefere o registro de erro e o reabre para nova tentativa', () => {
+      const payment = buildPayment();
+      storage.savePayment(payment);
+      storage.failPayment({ ...payment, status: 'error', errorCode: 'no_route' });
+
+      assert.equal(storage.getPaymentById(payment.id).status, 'error');
+      assert.equal(storage.findByTransaction('tx_001').errorCode, 'no_route');
+
+      storage.reopenPayment({ ...payment, status: 'queued' });
+      assert.equal(storage.getPaymentById(payment.id).status, 'queued');
+    });
+
+    it('lista pelo estado vigente em ordem de chegada', () => {
+      const first = buildPayment({ transactionId: 'tx_a', timestamp: '2024-07-20T10:00:00.000Z', status: 'queued' });
+      const second = buildPayment({ transactionId: 'tx_b', timestamp: '2024-07-20T10:01:00.000Z', status: 'queued' });
+      const done = buildPayment({ transactionId: 'tx_c', timestamp: '2024-07-20T10:02:00.000Z' });
+      storage.savePayment(second);
+      storage.savePayment(first);
+      storage.savePayment(done);
+      storage.completePayment({ ...done, status: 'sent' });
+
+      const queued = storage.listPayments({ status: ['queued'] });
+      assert.deepEqual(queued.map(payment => payment.transactionId), ['tx_a', 'tx_b']);
+      assert.deepEqual(storage.listPayments({ status: ['sent'] }).map(payment => payment.id), [done.id]);
+    });
+
+    // ========== WEBHOOKS FALHADOS ==========
+
+    it('grava, lista e remove webhooks falhados', () => {
+      // Mesmo formato gravado pelo WebhookManager.saveFailedWebhook
+      storage.saveFailedWebhook({
+        webhookUrl: 'https://example.com/webhook',
+        payload: { event: 'payment.completed', transactionId: 'tx_001' },
+        error: 'timeout',
+        failedAt: new Date().toISOString(),
+        attempts: 4
+      });
+
+      const [failure] = storage.listFailedWebhooks();
+      assert.equal(storage.countFailedWebhooks(), 1);
+      assert.equal(failure.webhookUrl, 'https://example.com/webhook');
+
+      storage.deleteFailedWebhook(failure.id);
+      assert.equal(storage.countFailedWebhooks(), 0);
+    });
+
+    // ========== ENDEREÇOS DE DEPÓSITO ==========
+
+    it('grava e procura endereços de depósito', () => {
+      const depositAddress = {
+        id: 'dep-1',
+        network: 'bitcoin',
+        address: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4',
+        reference: 'cliente_42',
+        username: 'alice',
+        deposits: [],
+        createdAt: new Date().toISOString()
+      };
+      storage.saveDepositAddress(depositAddress);
+
+      assert.equal(storage.getDepositAddressById('dep-1').address, depositAddress.address);
+      assert.equal(storage.findDepositAddressByReference('cliente_42').id, 'dep-1');
+      assert.equal(storage.getDepositAddressById('dep-2'), null);
+    });
+
+    // ========== ESTADO DE SINCRONIZAÇÃO ==========
+
+    it('guarda a posição dos streams do nó', () => {
+      assert.equal(storage.getSyncState('settleIndex'), null);
+      storage.saveSyncState('settleIndex', 42);
+      assert.equal(storage.getSyncState('settleIndex'), 42);
+    });
+  });
+}
+
+describe('storage file', () => {
+  it('ignora arquivo de endereço de depósito corrompido', () => {
+    const temp = createTempStorage('file');
+    try {
+      fs.mkdirSync(temp.storage.depositAddressesDir, { recursive: true });
+      fs.writeFileSync(path.join(temp.storage.depositAddressesDir, 'dep-1.json'), '{ corrompido');
+
+      assert.equal(temp.storage.getDepositAddressById('dep-1'), null);
+    } finally {
+      temp.cleanup();
+    }
+  });
+});